@@ -0,0 +1,50 @@
+// Rate limit policies, one per limited route, applied by name in server.js.
+// Each counts requests in a sliding window (`windowMs`) for every key in
+// `keyBy`: the client IP and/or the email address a form submits. A key that
+// reaches `max` is blocked until its oldest request leaves the window, or for
+// `blockMs` when that is set. Blocks are listed in the admin area
+// (#/admin/rate-limits), where they can be lifted early.
+export const RATE_LIMIT_POLICIES = {
+  // Every /api/ request
+  api: {
+    windowMs: 15 * 60 * 1000,
+    max: 100,
+    keyBy: ['ip'],
+    message: 'Too many requests from this IP, please try again later.'
+  },
+  // POST /api/contact
+  contact: {
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    keyBy: ['ip', 'email'],
+    message: 'Too many contact form submissions, please try again later.'
+  }
+}
+
+const KEY_TYPES = ['ip', 'email']
+
+// The policies with per-deployment overrides from RATE_LIMITS, a JSON object
+// of policy name -> fields, e.g. {"contact":{"max":3,"blockMs":3600000}}
+export function rateLimitPolicies(overrides = '') {
+  let changes = {}
+  if (overrides) {
+    try {
+      changes = JSON.parse(overrides)
+    } catch (err) {
+      throw new Error(`RATE_LIMITS is not valid JSON: ${err.message}`)
+    }
+  }
+  const unknown = Object.keys(changes).filter(name => !RATE_LIMIT_POLICIES[name])
+  if (unknown.length) throw new Error(`RATE_LIMITS has unknown policies: ${unknown.join(', ')}`)
+
+  return Object.fromEntries(Object.entries(RATE_LIMIT_POLICIES).map(([name, defaults]) => {
+    const policy = { ...defaults, ...changes[name], name }
+    if (!(policy.windowMs > 0) || !(policy.max > 0) || (policy.blockMs !== undefined && !(policy.blockMs > 0))) {
+      throw new Error(`Rate limit "${name}" needs a positive windowMs, max and blockMs`)
+    }
+    if (!Array.isArray(policy.keyBy) || !policy.keyBy.length || policy.keyBy.some(type => !KEY_TYPES.includes(type))) {
+      throw new Error(`Rate limit "${name}" keyBy must list one or more of: ${KEY_TYPES.join(', ')}`)
+    }
+    return [name, policy]
+  }))
+}
@@ -0,0 +1,86 @@
+const COLLECTION = 'activity'
+
+// Section ids of the portfolio page (the <section id> in each component)
+export const SECTIONS = ['home', 'about', 'projects', 'skills', 'contact']
+
+const KINDS = ['apkDownloads', 'sectionViews']
+
+const dayId = (date = new Date()) => date.toISOString().slice(0, 10)
+
+const add = (totals, counts = {}) => {
+  for (const [key, count] of Object.entries(counts)) totals[key] = (totals[key] || 0) + count
+  return totals
+}
+
+const ranked = totals => Object.entries(totals)
+  .map(([key, count]) => ({ key, count }))
+  .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key))
+
+// Anonymous daily counters for the digest: one record per UTC day,
+// { id: 'YYYY-MM-DD', apkDownloads: { file: n }, sectionViews: { section: n } }.
+// Nothing identifying a visitor is kept. Counts build up in memory and are
+// written every `flushIntervalMs` (one store write per day touched), so a
+// busy page doesn't rewrite the store on every view.
+export function createActivity(store, { flushIntervalMs = 60 * 1000 } = {}) {
+  // day -> kind -> Map(key -> count) not yet written
+  const pending = new Map()
+
+  const increment = (kind, key) => {
+    const id = dayId()
+    if (!pending.has(id)) pending.set(id, Object.fromEntries(KINDS.map(k => [k, new Map()])))
+    const counts = pending.get(id)[kind]
+    counts.set(key, (counts.get(key) || 0) + 1)
+  }
+
+  const flush = () => {
+    const days = [...pending]
+    pending.clear()
+    for (const [id, kinds] of days) {
+      store.upsert(COLLECTION, id, (record = { apkDownloads: {}, sectionViews: {} }) => ({
+        ...record,
+        ...Object.fromEntries(KINDS.map(kind => [kind, add({ ...record[kind] }, Object.fromEntries(kinds[kind]))]))
+      }))
+    }
+  }
+
+  const timer = setInterval(() => {
+    try {
+      flush()
+    } catch (err) {
+      console.error('Activity counters could not be saved:', err.message)
+    }
+  }, flushIntervalMs)
+  timer.unref()
+
+  return {
+    flush,
+
+    apkDownloaded(file) {
+      increment('apkDownloads', file)
+    },
+
+    // Unknown section ids are ignored
+    sectionViewed(section) {
+      if (!SECTIONS.includes(section)) return false
+      increment('sectionViews', section)
+      return true
+    },
+
+    // Totals for the days overlapping [from, to), most frequent first
+    summary(from, to) {
+      flush()
+      const first = dayId(from)
+      const last = dayId(new Date(to.getTime() - 1))
+      const days = store.list(COLLECTION, record => record.id >= first && record.id <= last)
+      return {
+        apkDownloads: ranked(days.reduce((totals, day) => add(totals, day.apkDownloads), {})),
+        sectionViews: ranked(days.reduce((totals, day) => add(totals, day.sectionViews), {}))
+      }
+    },
+
+    stop() {
+      clearInterval(timer)
+      flush()
+    }
+  }
+}
@@ -0,0 +1,55 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createStore } from './store.js'
+import { createActivity } from './activity.js'
+
+const withStore = (fn) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'activity-'))
+  try {
+    return fn(createStore(path.join(dir, 'store.json')))
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+test('counts stay in memory until flushed, then land in one write per day', () => withStore((store) => {
+  let writes = 0
+  const counted = { ...store, upsert: (...args) => { writes++; return store.upsert(...args) } }
+  const activity = createActivity(counted, { flushIntervalMs: 60 * 60 * 1000 })
+  for (let i = 0; i < 5; i++) activity.sectionViewed('projects')
+  activity.sectionViewed('about')
+  activity.apkDownloaded('app.apk')
+
+  assert.deepEqual(store.list('activity'), [])
+  activity.flush()
+  assert.equal(writes, 1)
+  activity.sectionViewed('projects')
+  activity.stop()
+  assert.equal(writes, 2)
+
+  const [day] = store.list('activity')
+  assert.deepEqual(day.sectionViews, { projects: 6, about: 1 })
+  assert.deepEqual(day.apkDownloads, { 'app.apk': 1 })
+}))
+
+test('unknown sections are refused and never written', () => withStore((store) => {
+  const activity = createActivity(store, { flushIntervalMs: 60 * 60 * 1000 })
+  assert.equal(activity.sectionViewed('__proto__'), false)
+  assert.equal(activity.sectionViewed('constructor'), false)
+  assert.equal(activity.sectionViewed('contact'), true)
+  activity.stop()
+  assert.deepEqual(store.list('activity')[0].sectionViews, { contact: 1 })
+}))
+
+test('summary includes counts that have not been flushed yet', () => withStore((store) => {
+  const activity = createActivity(store, { flushIntervalMs: 60 * 60 * 1000 })
+  activity.apkDownloaded('app.apk')
+  activity.apkDownloaded('app.apk')
+  const now = Date.now()
+  const summary = activity.summary(new Date(now - 60 * 1000), new Date(now + 60 * 1000))
+  assert.deepEqual(summary.apkDownloads, [{ key: 'app.apk', count: 2 }])
+  activity.stop()
+}))
@@ -0,0 +1,120 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import multer from 'multer'
+import { attachmentRules, attachmentType, validateAttachments, formatFileSize } from '../../shared/contactSchema.js'
+
+// Leading bytes of each allowed type. DOCX is a ZIP container whose local
+// file headers name its parts in plain text, so it must also have a word/ part.
+const SIGNATURES = {
+  pdf: buffer => buffer.subarray(0, 5).toString('latin1') === '%PDF-',
+  png: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  jpg: buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  docx: buffer => buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))
+    && buffer.includes('[Content_Types].xml')
+    && buffer.includes('word/')
+}
+
+// The allowed type a file's content actually is, or null
+export function sniffType(buffer) {
+  return Object.keys(SIGNATURES).find(id => SIGNATURES[id](buffer)) || null
+}
+
+// Keep a display name: no directories, control characters or quotes
+const cleanName = name => path.basename(String(name).replace(/\\/g, '/'))
+  .replace(/[\u0000-\u001f\u007f"]/g, '')
+  .slice(-120) || 'attachment'
+
+const ID_PATTERN = /^[0-9a-f-]{36}$/
+
+const uploadError = (res, msg) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors: [{ type: 'field', path: 'attachments', msg, location: 'body' }]
+})
+
+// Files attached to contact form submissions. Uploads are held in memory
+// (bounded by attachmentRules), checked against the allowlist by name and
+// by content, and written under `dir` — inside DATA_DIR, never anywhere
+// express.static serves from. They are only handed out to admins.
+export function createAttachments({ dir }) {
+  const { maxFiles, maxFileSize } = attachmentRules
+  const parse = multer({
+    storage: multer.memoryStorage(),
+    defParamCharset: 'utf8',
+    limits: { files: maxFiles, fileSize: maxFileSize, fields: 30, fieldSize: 64 * 1024 }
+  }).array('attachments', maxFiles)
+
+  const filePath = (submissionId, attachment) => {
+    if (!ID_PATTERN.test(submissionId) || !ID_PATTERN.test(attachment.id)) return null
+    return path.join(dir, submissionId, `${attachment.id}${attachment.extension}`)
+  }
+
+  return {
+    // Multipart parser for the contact route. Leaves the checked files on
+    // req.files (empty for JSON submissions) and answers 400 in the same
+    // shape as validateBody when they break the rules.
+    upload(req, res, next) {
+      parse(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+          if (err.code === 'LIMIT_FILE_SIZE') {
+            return uploadError(res, `Each file must be ${formatFileSize(maxFileSize)} or less`)
+          }
+          if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+            return uploadError(res, `You can attach up to ${maxFiles} files`)
+          }
+          return uploadError(res, 'Upload could not be read')
+        }
+        if (err) return next(err)
+
+        const files = (req.files || []).map(file => ({ ...file, originalname: cleanName(file.originalname) }))
+        const error = validateAttachments(files.map(file => ({ name: file.originalname, size: file.size })))
+        if (error) return uploadError(res, error)
+        for (const file of files) {
+          if (sniffType(file.buffer) !== attachmentType(file.originalname).id) {
+            return uploadError(res, `"${file.originalname}" does not look like a ${attachmentType(file.originalname).label} file`)
+          }
+        }
+        req.files = files
+        next()
+      })
+    },
+
+    // Write a submission's files to disk; returns what to keep on the record:
+    // [{ id, name, type, mimeType, extension, size, sha256 }]
+    async save(submissionId, files) {
+      if (!files?.length) return []
+      const folder = path.join(dir, submissionId)
+      await fs.promises.mkdir(folder, { recursive: true })
+      return Promise.all(files.map(async (file) => {
+        const type = attachmentType(file.originalname)
+        const attachment = {
+          id: crypto.randomUUID(),
+          name: file.originalname,
+          type: type.id,
+          mimeType: type.mimeType,
+          extension: type.extensions[0],
+          size: file.size,
+          sha256: crypto.createHash('sha256').update(file.buffer).digest('hex')
+        }
+        await fs.promises.writeFile(filePath(submissionId, attachment), file.buffer, { mode: 0o600, flag: 'wx' })
+        return attachment
+      }))
+    },
+
+    // Absolute path of a stored attachment, or null if it is missing
+    path(submissionId, attachment) {
+      const file = filePath(submissionId, attachment)
+      return file && fs.existsSync(file) ? file : null
+    },
+
+    // Nodemailer-style attachments for an outgoing email
+    forEmail(submissionId, attachments = []) {
+      return attachments.map(attachment => ({
+        filename: attachment.name,
+        path: filePath(submissionId, attachment),
+        contentType: attachment.mimeType
+      }))
+    }
+  }
+}
@@ -0,0 +1,269 @@
+import crypto from 'crypto'
+import { promisify } from 'util'
+import { signToken, verifyToken } from './signing.js'
+
+const scrypt = promisify(crypto.scrypt)
+
+const ACCOUNTS = 'admins'
+const SESSIONS = 'sessions'
+const FAILURES = 'loginFailures'
+
+export const SESSION_COOKIE = 'portfolio_admin'
+export const CSRF_HEADER = 'x-csrf-token'
+
+// scrypt password hashes, stored as "scrypt$N$r$p$salt$hash" (base64url parts)
+const SCRYPT = { N: 16384, r: 8, p: 1, keyLength: 64 }
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16)
+  const hash = await scrypt(String(password), salt, SCRYPT.keyLength, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p })
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64url'), hash.toString('base64url')].join('$')
+}
+
+// Cost limits for stored hashes, so a bad hash can't make scrypt throw or
+// eat the server's memory
+const SCRYPT_MAXMEM = 64 * 1024 * 1024
+const BASE64URL = /^[\w-]+$/
+
+// { N, r, p, salt, hash } of a well-formed stored hash, else null
+export function parsePasswordHash(stored) {
+  const [scheme, N, r, p, salt, hash, extra] = String(stored || '').split('$')
+  if (scheme !== 'scrypt' || extra !== undefined || !BASE64URL.test(salt || '') || !BASE64URL.test(hash || '')) return null
+  const params = { N: Number(N), r: Number(r), p: Number(p) }
+  const isPowerOfTwo = Number.isInteger(params.N) && params.N >= 2 && (params.N & (params.N - 1)) === 0
+  if (!isPowerOfTwo || !Number.isInteger(params.r) || params.r < 1 || !Number.isInteger(params.p) || params.p < 1) return null
+  if (params.p > 16 || 128 * params.N * params.r * 2 > SCRYPT_MAXMEM) return null
+  const expected = Buffer.from(hash, 'base64url')
+  if (expected.length < 16 || expected.length > 128) return null
+  return { ...params, salt: Buffer.from(salt, 'base64url'), hash: expected }
+}
+
+// False for a wrong password and for a hash that can't be checked
+export async function verifyPassword(password, stored) {
+  const parsed = parsePasswordHash(stored)
+  if (!parsed) return false
+  try {
+    const { N, r, p, salt, hash } = parsed
+    const actual = await scrypt(String(password), salt, hash.length, { N, r, p, maxmem: SCRYPT_MAXMEM })
+    return crypto.timingSafeEqual(actual, hash)
+  } catch (err) {
+    console.error('Password check failed:', err.message)
+    return false
+  }
+}
+
+// Used when the username doesn't exist so failed logins take the same time
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'))
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''))
+  const right = Buffer.from(String(b || ''))
+  return left.length === right.length && crypto.timingSafeEqual(left, right)
+}
+
+const parseCookies = header => Object.fromEntries(
+  String(header || '')
+    .split(';')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .flatMap(part => {
+      const index = part.indexOf('=')
+      if (index === -1) return [[part, '']]
+      // Skip values that aren't valid percent-encoding rather than failing the request
+      try {
+        return [[part.slice(0, index), decodeURIComponent(part.slice(index + 1))]]
+      } catch {
+        return []
+      }
+    })
+)
+
+// Admin accounts come from ADMIN_USERNAME/ADMIN_PASSWORD_HASH and from the
+// store's `admins` collection (managed with scripts/admin.js). Logins get a
+// short-lived, store-backed session in an HttpOnly cookie; state-changing
+// requests must also echo the session's CSRF token in X-CSRF-Token.
+// Repeated failures lock the client IP out for a while, and the username
+// for that IP only, so nobody else can lock the admin out.
+export function createAdminAuth({
+  store,
+  key,
+  envAccount = null,
+  hashIp = ip => ip,
+  sessionTtlMs = 2 * 60 * 60 * 1000,
+  maxFailures = 5,
+  failureWindowMs = 15 * 60 * 1000,
+  lockoutMs = 15 * 60 * 1000,
+  secureCookies = true,
+  sameSite = 'Strict'
+}) {
+  // Bad hashes are caught at startup, not on the first login attempt
+  if (envAccount && !parsePasswordHash(envAccount.passwordHash)) {
+    throw new Error('ADMIN_PASSWORD_HASH is not a valid scrypt hash (create one with scripts/admin.js hash-password)')
+  }
+  store.list(ACCOUNTS, account => !parsePasswordHash(account.passwordHash)).forEach((account) => {
+    console.error(`Admin account "${account.username}" has an invalid password hash and cannot log in`)
+  })
+
+  const findAccount = (username) => {
+    if (envAccount && envAccount.username === username) return envAccount
+    return store.findOne(ACCOUNTS, account => account.username === username)
+  }
+
+  const cookie = (value, maxAgeSeconds) => [
+    `${SESSION_COOKIE}=${encodeURIComponent(value)}`,
+    'Path=/',
+    'HttpOnly',
+    `SameSite=${sameSite}`,
+    `Max-Age=${maxAgeSeconds}`,
+    secureCookies ? 'Secure' : null
+  ].filter(Boolean).join('; ')
+
+  // ── Lockout bookkeeping ──
+  const lockedUntil = (id) => {
+    const record = store.get(FAILURES, id)
+    return record?.lockedUntil && Date.parse(record.lockedUntil) > Date.now() ? Date.parse(record.lockedUntil) : null
+  }
+
+  // `extra` is kept on the record (the username, for scripts/admin.js unlock)
+  const recordFailure = (id, extra = {}) => {
+    const now = Date.now()
+    const record = store.get(FAILURES, id)
+    const fresh = !record || now - Date.parse(record.firstAt) > failureWindowMs
+    const count = fresh ? 1 : record.count + 1
+    const next = {
+      id,
+      ...extra,
+      count,
+      firstAt: fresh ? new Date(now).toISOString() : record.firstAt,
+      lockedUntil: count >= maxFailures ? new Date(now + lockoutMs).toISOString() : null
+    }
+    if (record) store.update(FAILURES, id, next)
+    else store.insert(FAILURES, next)
+  }
+
+  const clearFailures = id => store.remove(FAILURES, id)
+
+  // Records whose window and lockout are both over, in one write
+  const pruneFailures = (now) => store.removeWhere(FAILURES, record =>
+    now - Date.parse(record.firstAt) > failureWindowMs && !(Date.parse(record.lockedUntil) > now)
+  )
+
+  // ── Sessions ──
+  const createSession = (username, req) => {
+    const now = Date.now()
+    // Drop expired sessions while we're here
+    store.removeWhere(SESSIONS, s => Date.parse(s.expiresAt) <= now)
+
+    return store.insert(SESSIONS, {
+      id: crypto.randomBytes(18).toString('base64url'),
+      username,
+      csrfToken: crypto.randomBytes(24).toString('base64url'),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + sessionTtlMs).toISOString(),
+      ipHash: hashIp(req.ip),
+      userAgent: req.get('user-agent') || null
+    })
+  }
+
+  const sessionFromRequest = (req) => {
+    const payload = verifyToken(parseCookies(req.headers.cookie)[SESSION_COOKIE], key)
+    if (!payload || payload.exp < Date.now()) return null
+    const session = store.get(SESSIONS, payload.sid)
+    if (!session || Date.parse(session.expiresAt) <= Date.now()) return null
+    return session
+  }
+
+  const publicSession = session => ({
+    username: session.username,
+    csrfToken: session.csrfToken,
+    expiresAt: session.expiresAt
+  })
+
+  const attemptLogin = async (req, res) => {
+    const username = String(req.body?.username || '').trim()
+    const password = String(req.body?.password || '')
+    const ipHash = hashIp(req.ip)
+    const ipKey = `ip:${ipHash}`
+    const userKey = `user:${username.toLowerCase()}:${ipHash}`
+    pruneFailures(Date.now())
+
+    const locked = Math.max(lockedUntil(ipKey) || 0, lockedUntil(userKey) || 0)
+    if (locked) {
+      const retryAfter = Math.ceil((locked - Date.now()) / 1000)
+      res.set('Retry-After', String(retryAfter))
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts. Please try again later.',
+        retryAfter
+      })
+    }
+
+    const account = username ? findAccount(username) : null
+    let ok = false
+    if (account) ok = await verifyPassword(password, account.passwordHash)
+    else await verifyPassword(password, await DUMMY_HASH)
+
+    if (!ok) {
+      recordFailure(ipKey)
+      if (username) recordFailure(userKey, { username: username.toLowerCase() })
+      console.warn(`Admin login failed for "${username}"`)
+      return res.status(401).json({ success: false, message: 'Invalid username or password' })
+    }
+
+    clearFailures(userKey)
+    clearFailures(ipKey)
+    const session = createSession(account.username, req)
+    const token = signToken({ sid: session.id, exp: Date.parse(session.expiresAt) }, key)
+    res.set('Set-Cookie', cookie(token, Math.floor(sessionTtlMs / 1000)))
+    console.log(`Admin "${account.username}" logged in`)
+    res.json({ success: true, session: publicSession(session) })
+  }
+
+  return {
+    hashIp,
+    sessionFromRequest,
+
+    // POST /api/admin/login  { username, password }
+    async login(req, res, next) {
+      try {
+        await attemptLogin(req, res)
+      } catch (err) {
+        next(err)
+      }
+    },
+
+    // POST /api/admin/logout
+    logout(req, res) {
+      if (req.adminSession) store.remove(SESSIONS, req.adminSession.id)
+      res.set('Set-Cookie', cookie('', 0))
+      res.json({ success: true })
+    },
+
+    // GET /api/admin/session — who am I, plus the CSRF token for this session
+    session(req, res) {
+      res.json({ success: true, session: publicSession(req.adminSession) })
+    },
+
+    // Guards admin and debug routes. Unsafe methods also need the CSRF token.
+    requireAdmin(req, res, next) {
+      const session = sessionFromRequest(req)
+      if (!session) {
+        return res.status(401).json({ success: false, message: 'Authentication required' })
+      }
+      if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) && !safeEqual(req.get(CSRF_HEADER), session.csrfToken)) {
+        return res.status(403).json({ success: false, message: 'Invalid CSRF token' })
+      }
+      req.adminSession = session
+      next()
+    },
+
+    // Lockouts currently in force, and a way to lift one
+    lockouts() {
+      return store.list(FAILURES, record => record.lockedUntil && Date.parse(record.lockedUntil) > Date.now())
+    },
+
+    unlock(id) {
+      return clearFailures(id)
+    }
+  }
+}
@@ -0,0 +1,60 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createStore } from './store.js'
+import { createAdminAuth, hashPassword } from './auth.js'
+
+const PASSWORD = 'correct horse battery'
+
+// Admin auth on a temp store with one env account and a lockout after two failures
+const setup = fn => async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'))
+  const store = createStore(path.join(dir, 'store.json'))
+  const auth = createAdminAuth({
+    store,
+    key: Buffer.alloc(32, 1),
+    envAccount: { username: 'admin', passwordHash: await hashPassword(PASSWORD) },
+    maxFailures: 2,
+    secureCookies: false
+  })
+  // POST /api/admin/login from `ip`; resolves to { status, body }
+  const login = async (ip, username, password) => {
+    const req = { ip, body: { username, password }, headers: {}, get: () => undefined }
+    const res = {
+      statusCode: 200,
+      set: () => res,
+      status: code => Object.assign(res, { statusCode: code }),
+      json: body => Object.assign(res, { body })
+    }
+    await auth.login(req, res, err => { throw err })
+    return { status: res.statusCode, body: res.body }
+  }
+  try {
+    await fn({ store, login })
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+test('failed logins lock the username out for that IP only', setup(async ({ login }) => {
+  assert.equal((await login('203.0.113.5', 'admin', 'wrong')).status, 401)
+  assert.equal((await login('203.0.113.5', 'admin', 'wrong')).status, 401)
+  assert.equal((await login('203.0.113.5', 'admin', PASSWORD)).status, 429)
+
+  assert.equal((await login('198.51.100.7', 'admin', PASSWORD)).status, 200)
+}))
+
+test('expired failure records and sessions are cleared on the next login', setup(async ({ store, login }) => {
+  const longAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
+  store.insert('loginFailures', { id: 'ip:192.0.2.1', count: 5, firstAt: longAgo, lockedUntil: longAgo })
+  store.insert('loginFailures', { id: 'ip:192.0.2.2', count: 1, firstAt: longAgo, lockedUntil: null })
+  store.insert('loginFailures', { id: 'ip:192.0.2.3', count: 5, firstAt: longAgo, lockedUntil: new Date(Date.now() + 60 * 1000).toISOString() })
+  store.insert('sessions', { id: 'old', username: 'admin', expiresAt: longAgo })
+
+  assert.equal((await login('198.51.100.7', 'admin', PASSWORD)).status, 200)
+  assert.deepEqual(store.list('loginFailures').map(record => record.id), ['ip:192.0.2.3'])
+  assert.deepEqual(store.list('sessions').map(session => session.username), ['admin'])
+  assert.ok(!store.get('sessions', 'old'))
+}))
@@ -0,0 +1,209 @@
+import fs from 'fs'
+import net from 'net'
+import path from 'path'
+
+const ENTRIES = 'blocklist'
+const HITS = 'blocklistHits'
+const MAX_NOTE_LENGTH = 200
+
+export const BLOCKLIST_LISTS = ['block', 'allow']
+export const BLOCKLIST_KINDS = ['ip', 'email', 'domain']
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z0-9-]{2,63}$/
+
+// ::ffff:203.0.113.7 (IPv4 on a dual-stack socket) → 203.0.113.7
+const plainIp = ip => String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '')
+
+// Matcher for an 'ip' entry: a single address or a CIDR range. Null if the
+// value is neither.
+const ipMatcher = (value) => {
+  const [address, prefix, extra] = value.split('/')
+  const family = net.isIP(address)
+  const maxBits = family === 4 ? 32 : 128
+  if (!family || extra !== undefined || (prefix !== undefined && !/^\d{1,3}$/.test(prefix))) return null
+  const bits = prefix === undefined ? maxBits : Number(prefix)
+  if (bits > maxBits) return null
+  const type = family === 4 ? 'ipv4' : 'ipv6'
+  const list = new net.BlockList()
+  list.addSubnet(address, bits, type)
+  return ip => net.isIP(ip) === family && list.check(ip, type)
+}
+
+// A domain and every domain it is a subdomain of: a.b.example.com →
+// a.b.example.com, b.example.com, example.com, com
+const domainAndParents = domain => domain.split('.').map((_, i, parts) => parts.slice(i).join('.'))
+
+// Returns the normalised { list, kind, value, note } of a new entry, or { error }
+export function parseBlocklistEntry(input = {}) {
+  const list = String(input.list || 'block')
+  const kind = String(input.kind || '')
+  let value = String(input.value || '').trim().toLowerCase()
+  if (!BLOCKLIST_LISTS.includes(list)) return { error: `List must be one of: ${BLOCKLIST_LISTS.join(', ')}` }
+  if (!BLOCKLIST_KINDS.includes(kind)) return { error: `Kind must be one of: ${BLOCKLIST_KINDS.join(', ')}` }
+
+  if (kind === 'ip') {
+    value = plainIp(value)
+    if (!ipMatcher(value)) return { error: 'Value must be an IP address or CIDR range' }
+  } else if (kind === 'email') {
+    if (!EMAIL_PATTERN.test(value)) return { error: 'Value must be an email address' }
+  } else {
+    // "@example.com" and "*.example.com" both mean the domain and its subdomains
+    value = value.replace(/^(\*\.|@)/, '')
+    if (!DOMAIN_PATTERN.test(value)) return { error: 'Value must be a domain name' }
+  }
+
+  const note = String(input.note || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NOTE_LENGTH)
+  return { list, kind, value, note }
+}
+
+// Domains one per line, `#` comments and anything that isn't a domain skipped
+const parseDomains = text => text.split(/\r?\n/)
+  .map(line => line.replace(/#.*/, '').trim().toLowerCase())
+  .filter(line => DOMAIN_PATTERN.test(line))
+
+// Block and allow lists for inbound messages: IP addresses and CIDR ranges,
+// exact email addresses and email domains (with their subdomains), kept in
+// the store and managed from the admin API. Addresses on a disposable-email
+// domain are blocked too, from the bundled list or a newer copy fetched into
+// `disposableFile`. An allow entry wins over everything else. Every match is
+// logged (the most recent `maxHits` kept) and counted on its entry.
+export function createBlocklist(store, {
+  bundledDisposableFile,
+  disposableFile,
+  blockDisposable = true,
+  hashIp = ip => ip,
+  maxHits = 1000
+}) {
+  // ── Disposable domains, reloaded when the downloaded copy changes ──
+  let disposable = { domains: new Set(), source: null, mtime: null }
+
+  const disposableDomains = () => {
+    const file = fs.existsSync(disposableFile) ? disposableFile : bundledDisposableFile
+    const mtime = fs.statSync(file).mtimeMs
+    if (file !== disposable.source || mtime !== disposable.mtime) {
+      disposable = { domains: new Set(parseDomains(fs.readFileSync(file, 'utf8'))), source: file, mtime }
+    }
+    return disposable
+  }
+
+  const disposableSummary = () => {
+    const { domains, source, mtime } = disposableDomains()
+    return {
+      enabled: blockDisposable,
+      count: domains.size,
+      source: source === disposableFile ? 'downloaded' : 'bundled',
+      updatedAt: new Date(mtime).toISOString()
+    }
+  }
+
+  // ── Entries, with their IP matchers compiled once ──
+  const ipMatchers = new Map()
+  const matches = (entry, { ip, email, domain }) => {
+    if (entry.kind === 'email') return entry.value === email
+    if (entry.kind === 'domain') return Boolean(domain) && (domain === entry.value || domain.endsWith(`.${entry.value}`))
+    if (!ip) return false
+    if (!ipMatchers.has(entry.value)) ipMatchers.set(entry.value, ipMatcher(entry.value))
+    return Boolean(ipMatchers.get(entry.value)?.(ip))
+  }
+
+  const logHit = ({ action, entry = null, domain = null, email, ip, context }) => {
+    const at = new Date().toISOString()
+    store.insert(HITS, {
+      at,
+      action,
+      source: entry ? 'entry' : 'disposable',
+      entryId: entry?.id || null,
+      list: entry?.list || 'block',
+      kind: entry?.kind || 'domain',
+      value: entry?.value || domain,
+      email: email || null,
+      ipHash: hashIp(ip),
+      context
+    })
+    if (entry) store.update(ENTRIES, entry.id, current => ({ ...current, hits: (current.hits || 0) + 1, lastHitAt: at }))
+
+    // Trim the log to the newest `maxHits` in a single write
+    const hits = store.list(HITS)
+    if (hits.length > maxHits) {
+      const expired = new Set(hits.slice(0, hits.length - maxHits).map(hit => hit.id))
+      store.removeWhere(HITS, hit => expired.has(hit.id))
+    }
+
+    console.log(`Blocklist ${action} ${context} from ${email || 'unknown sender'}: ${entry ? `${entry.list} ${entry.kind} ${entry.value}` : `disposable domain ${domain}`}`)
+  }
+
+  return {
+    // What the lists say about a sender: { action: 'allow' | 'block' | null,
+    // reason: entry kind or 'disposable', entry }. Matches are logged with
+    // `context` (the route checking).
+    check({ ip, email }, context) {
+      const sender = {
+        ip: plainIp(ip),
+        email: typeof email === 'string' ? email.trim().toLowerCase() : '',
+        domain: null
+      }
+      sender.domain = sender.email.split('@')[1] || null
+      const hit = { email: sender.email, ip: sender.ip, context }
+
+      const matched = store.list(ENTRIES).filter(entry => matches(entry, sender))
+      const allowed = matched.find(entry => entry.list === 'allow')
+      if (allowed) {
+        logHit({ ...hit, action: 'allowed', entry: allowed })
+        return { action: 'allow', reason: allowed.kind, entry: allowed }
+      }
+      const blocked = matched.find(entry => entry.list === 'block')
+      if (blocked) {
+        logHit({ ...hit, action: 'blocked', entry: blocked })
+        return { action: 'block', reason: blocked.kind, entry: blocked }
+      }
+      if (blockDisposable && sender.domain) {
+        const { domains } = disposableDomains()
+        const domain = domainAndParents(sender.domain).find(candidate => domains.has(candidate))
+        if (domain) {
+          logHit({ ...hit, action: 'blocked', domain })
+          return { action: 'block', reason: 'disposable', entry: null }
+        }
+      }
+      return { action: null, reason: null, entry: null }
+    },
+
+    list() {
+      return store.list(ENTRIES).sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    },
+
+    // `entry` from parseBlocklistEntry; null if the same value is already listed
+    add(entry) {
+      const duplicate = store.findOne(ENTRIES, e => e.list === entry.list && e.kind === entry.kind && e.value === entry.value)
+      if (duplicate) return null
+      return store.insert(ENTRIES, { ...entry, hits: 0, lastHitAt: null, createdAt: new Date().toISOString() })
+    },
+
+    remove(id) {
+      return store.remove(ENTRIES, id)
+    },
+
+    // Most recent matches first
+    hits({ limit = 100 } = {}) {
+      return store.list(HITS).reverse().slice(0, limit)
+    },
+
+    disposable: disposableSummary,
+
+    // Replace the disposable list with the one at `url` (plain text, one
+    // domain per line). A list that comes back suspiciously short is refused
+    // rather than quietly unblocking everything.
+    async updateDisposable(url, { timeoutMs = 15 * 1000, minDomains = 50 } = {}) {
+      const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) })
+      if (!response.ok) throw new Error(`Download failed (HTTP ${response.status})`)
+      const domains = [...new Set(parseDomains(await response.text()))].sort()
+      if (domains.length < minDomains) throw new Error(`Downloaded list has only ${domains.length} domains`)
+
+      fs.mkdirSync(path.dirname(disposableFile), { recursive: true })
+      const tmpPath = `${disposableFile}.${process.pid}.tmp`
+      fs.writeFileSync(tmpPath, `# Downloaded from ${url} on ${new Date().toISOString()}\n${domains.join('\n')}\n`)
+      fs.renameSync(tmpPath, disposableFile)
+      return disposableSummary()
+    }
+  }
+}
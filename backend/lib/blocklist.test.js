@@ -0,0 +1,53 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { createStore } from './store.js'
+import { createBlocklist, parseBlocklistEntry } from './blocklist.js'
+
+const bundledDisposableFile = path.join(path.dirname(fileURLToPath(import.meta.url)), '../config/disposable-domains.txt')
+
+const setup = (fn, options = {}) => () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blocklist-'))
+  try {
+    const store = createStore(path.join(dir, 'store.json'))
+    let writes = 0
+    const counted = new Proxy(store, {
+      get: (target, name) => (['insert', 'update', 'remove', 'removeWhere'].includes(name)
+        ? (...args) => { writes++; return target[name](...args) }
+        : target[name])
+    })
+    const blocklist = createBlocklist(counted, { bundledDisposableFile, disposableFile: path.join(dir, 'disposable.txt'), ...options })
+    fn({ store, blocklist, writes: () => writes })
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+test('entries match IPs and ranges, addresses, and domains with their subdomains', setup(({ blocklist }) => {
+  blocklist.add(parseBlocklistEntry({ kind: 'ip', value: '198.51.100.0/24' }))
+  blocklist.add(parseBlocklistEntry({ kind: 'email', value: 'Spammer@Example.com' }))
+  blocklist.add(parseBlocklistEntry({ kind: 'domain', value: '*.bad.example' }))
+  blocklist.add(parseBlocklistEntry({ list: 'allow', kind: 'email', value: 'friend@bad.example' }))
+
+  assert.equal(blocklist.check({ ip: '::ffff:198.51.100.9' }, 'test').reason, 'ip')
+  assert.equal(blocklist.check({ ip: '203.0.113.1', email: 'spammer@example.com' }, 'test').reason, 'email')
+  assert.equal(blocklist.check({ email: 'x@mail.bad.example' }, 'test').reason, 'domain')
+  assert.equal(blocklist.check({ email: 'friend@bad.example' }, 'test').action, 'allow')
+  assert.equal(blocklist.check({ ip: '203.0.113.1', email: 'someone@notbad.example' }, 'test').action, null)
+}))
+
+test('the hit log is capped with one write, not one per dropped hit', setup(({ blocklist, writes }) => {
+  blocklist.add(parseBlocklistEntry({ kind: 'ip', value: '198.51.100.1' }))
+  for (let i = 0; i < 5; i++) blocklist.check({ ip: '198.51.100.1' }, `request ${i}`)
+  assert.equal(blocklist.hits().length, 5)
+
+  // Over the cap: insert, entry counter, and a single trim
+  const before = writes()
+  blocklist.check({ ip: '198.51.100.1' }, 'request 5')
+  assert.equal(writes() - before, 3)
+  assert.deepEqual(blocklist.hits().map(hit => hit.context), ['request 5', 'request 4', 'request 3', 'request 2', 'request 1'])
+  assert.equal(blocklist.list()[0].hits, 6)
+}, { maxHits: 5 }))
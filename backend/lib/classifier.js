@@ -0,0 +1,158 @@
+import fs from 'fs'
+import path from 'path'
+
+// Multinomial naive-Bayes spam classifier in plain JS. Trained from contact
+// submissions we've labelled spam or ham, saved as JSON next to the store,
+// and used by the spam filter alongside its fixed heuristics.
+
+export const LABELS = ['spam', 'ham']
+
+const MODEL_VERSION = 1
+
+// Token counts keyed by the token itself, so the table must not inherit
+// anything: "constructor" or "__proto__" are words like any other
+const tokenTable = (entries = {}) => Object.assign(Object.create(null), entries)
+
+// Text we classify for a submission: its words plus a few structural tokens
+export function submissionText({ name = '', email = '', subject = '', message = '' }) {
+  const domain = String(email).split('@')[1] || ''
+  return `${name}\n${subject}\n${message}\n__domain:${domain.toLowerCase()}`
+}
+
+export function tokenize(text) {
+  const tokens = []
+  const normalized = String(text).normalize('NFKC').toLowerCase()
+
+  for (const url of normalized.match(/\b(?:https?:\/\/|www\.)[^\s/]+/g) || []) {
+    tokens.push('__url', `__host:${url.replace(/^(https?:\/\/)?(www\.)?/, '')}`)
+  }
+  for (const special of normalized.match(/__domain:\S*/g) || []) tokens.push(special)
+  if (/[\w.+-]+@[\w-]+\.[\w.]+/.test(normalized.replace(/__domain:\S*/g, ''))) tokens.push('__email')
+
+  const words = normalized
+    .replace(/\b(?:https?:\/\/|www\.)\S+/g, ' ')
+    .replace(/__domain:\S*/g, ' ')
+    .match(/[\p{L}\p{N}][\p{L}\p{N}'$€£₹]*/gu) || []
+  for (const word of words) {
+    if (word.length >= 2 && word.length <= 30) tokens.push(word)
+  }
+  return tokens
+}
+
+export function train(documents) {
+  const model = {
+    version: MODEL_VERSION,
+    trainedAt: new Date().toISOString(),
+    docCounts: { spam: 0, ham: 0 },
+    tokenTotals: { spam: 0, ham: 0 },
+    tokens: tokenTable()
+  }
+
+  for (const { text, label } of documents) {
+    if (!LABELS.includes(label)) continue
+    model.docCounts[label]++
+    for (const token of tokenize(text)) {
+      if (!model.tokens[token]) model.tokens[token] = { spam: 0, ham: 0 }
+      model.tokens[token][label]++
+      model.tokenTotals[label]++
+    }
+  }
+
+  model.vocabularySize = Object.keys(model.tokens).length
+  return model
+}
+
+// Probability (0..1) that `text` is spam, or null if the model can't tell
+// because it hasn't seen both classes yet
+export function classify(model, text) {
+  if (!model || !model.docCounts.spam || !model.docCounts.ham) return null
+
+  const totalDocs = model.docCounts.spam + model.docCounts.ham
+  const vocabulary = model.vocabularySize + 1
+  const logProb = {}
+
+  for (const label of LABELS) {
+    let sum = Math.log(model.docCounts[label] / totalDocs)
+    const denominator = model.tokenTotals[label] + vocabulary
+    for (const token of tokenize(text)) {
+      const count = model.tokens[token]?.[label] || 0
+      // Laplace smoothing keeps unseen tokens from zeroing the product
+      sum += Math.log((count + 1) / denominator)
+    }
+    logProb[label] = sum
+  }
+
+  // Normalise in log space to avoid underflow on long messages
+  return 1 / (1 + Math.exp(logProb.ham - logProb.spam))
+}
+
+// k-fold cross-validation over labelled documents
+export function evaluate(documents, { folds = 5, threshold = 0.5 } = {}) {
+  const labelled = documents.filter(doc => LABELS.includes(doc.label))
+  const k = Math.min(folds, labelled.length)
+  const confusion = { truePositive: 0, falsePositive: 0, trueNegative: 0, falseNegative: 0, undecided: 0 }
+  if (k < 2) return { documents: labelled.length, folds: k, ...confusion, accuracy: null, precision: null, recall: null }
+
+  for (let fold = 0; fold < k; fold++) {
+    const trainingSet = labelled.filter((_, i) => i % k !== fold)
+    const testSet = labelled.filter((_, i) => i % k === fold)
+    const model = train(trainingSet)
+
+    for (const doc of testSet) {
+      const probability = classify(model, doc.text)
+      if (probability === null) {
+        confusion.undecided++
+        continue
+      }
+      const predictedSpam = probability >= threshold
+      if (predictedSpam && doc.label === 'spam') confusion.truePositive++
+      else if (predictedSpam) confusion.falsePositive++
+      else if (doc.label === 'ham') confusion.trueNegative++
+      else confusion.falseNegative++
+    }
+  }
+
+  const { truePositive: tp, falsePositive: fp, trueNegative: tn, falseNegative: fn } = confusion
+  const decided = tp + fp + tn + fn
+  return {
+    documents: labelled.length,
+    folds: k,
+    ...confusion,
+    accuracy: decided ? (tp + tn) / decided : null,
+    precision: tp + fp ? tp / (tp + fp) : null,
+    recall: tp + fn ? tp / (tp + fn) : null
+  }
+}
+
+// Loads the saved model and picks up a retrained one without a restart
+export function createModelFile(filePath) {
+  let cached = null
+  let cachedMtime = null
+
+  return {
+    path: filePath,
+
+    current() {
+      if (!fs.existsSync(filePath)) return null
+      const mtime = fs.statSync(filePath).mtimeMs
+      if (mtime !== cachedMtime) {
+        try {
+          const model = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+          cached = model.version === MODEL_VERSION ? { ...model, tokens: tokenTable(model.tokens) } : null
+        } catch (err) {
+          console.error('Failed to load spam model:', err.message)
+          cached = null
+        }
+        cachedMtime = mtime
+      }
+      return cached
+    },
+
+    save(model) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true })
+      const tmpPath = `${filePath}.${process.pid}.tmp`
+      fs.writeFileSync(tmpPath, JSON.stringify(model))
+      fs.renameSync(tmpPath, filePath)
+    }
+  }
+}
@@ -0,0 +1,38 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { train, classify, createModelFile } from './classifier.js'
+
+const documents = [
+  { text: 'constructor toString hasOwnProperty __proto__ valueOf', label: 'ham' },
+  { text: 'cheap seo backlinks for your website', label: 'spam' },
+  { text: 'loved your portfolio, want to chat about a role', label: 'ham' }
+]
+
+test('tokens named after Object.prototype members are counted, not inherited', () => {
+  const model = train(documents)
+  assert.deepEqual({ ...model.tokens.constructor }, { spam: 0, ham: 1 })
+  assert.deepEqual({ ...model.tokens.tostring }, { spam: 0, ham: 1 })
+  assert.equal(Object.prototype.spam, undefined)
+  assert.equal(Object.prototype.ham, undefined)
+
+  const probability = classify(model, 'constructor __proto__ valueof')
+  assert.ok(Number.isFinite(probability) && probability < 0.5)
+  assert.ok(Number.isFinite(classify(train([documents[1], documents[2]]), 'hasOwnProperty constructor')))
+})
+
+test('a saved model reloads without a prototype behind its token table', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spam-model-'))
+  try {
+    const file = createModelFile(path.join(dir, 'model.json'))
+    file.save(train(documents))
+    const loaded = file.current()
+    assert.equal(Object.getPrototypeOf(loaded.tokens), null)
+    assert.equal(loaded.tokens.constructor.ham, 1)
+    assert.equal(classify(loaded, '__proto__ constructor'), classify(train(documents), '__proto__ constructor'))
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+})
@@ -0,0 +1,80 @@
+// Five-field cron expressions ("minute hour day-of-month month day-of-week"),
+// evaluated in the server's local time zone (set TZ to change it). Supports
+// *, numbers, lists (1,15), ranges (1-5) and steps (*/15, 8-18/2), plus
+// @hourly, @daily and @weekly. As in standard cron, when both day fields are
+// restricted a day matching either one qualifies.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+]
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0'
+}
+
+const parseField = (source, { name, min, max }) => {
+  const values = new Set()
+  for (const part of source.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/)
+    if (!match) throw new Error(`Invalid cron ${name}: "${part}"`)
+    const start = match[1] === '*' ? min : Number(match[2])
+    const end = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : start
+    const step = match[4] ? Number(match[4]) : 1
+    if (start < min || end > max || start > end || step < 1) throw new Error(`Invalid cron ${name}: "${part}"`)
+    for (let value = start; value <= end; value += step) values.add(value)
+  }
+  return values
+}
+
+export function parseCron(expression) {
+  const source = ALIASES[expression.trim()] || expression.trim()
+  const parts = source.split(/\s+/)
+  if (parts.length !== 5) throw new Error(`Cron expression must have 5 fields: "${expression}"`)
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]))
+  if (weekdays.has(7)) weekdays.add(0)
+
+  const dayRestricted = parts[2] !== '*'
+  const weekdayRestricted = parts[4] !== '*'
+  const dayMatches = date => {
+    const byDay = days.has(date.getDate())
+    const byWeekday = weekdays.has(date.getDay())
+    if (dayRestricted && weekdayRestricted) return byDay || byWeekday
+    return byDay && byWeekday
+  }
+
+  return {
+    expression,
+
+    // First matching minute strictly after `after`, or null if none within ~5 years
+    next(after) {
+      const date = new Date(after)
+      date.setSeconds(0, 0)
+      date.setMinutes(date.getMinutes() + 1)
+      const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000
+
+      while (date.getTime() <= limit) {
+        if (!months.has(date.getMonth() + 1)) {
+          date.setMonth(date.getMonth() + 1, 1)
+          date.setHours(0, 0)
+        } else if (!dayMatches(date)) {
+          date.setDate(date.getDate() + 1)
+          date.setHours(0, 0)
+        } else if (!hours.has(date.getHours())) {
+          date.setHours(date.getHours() + 1, 0)
+        } else if (!minutes.has(date.getMinutes())) {
+          date.setMinutes(date.getMinutes() + 1)
+        } else {
+          return date
+        }
+      }
+      return null
+    }
+  }
+}
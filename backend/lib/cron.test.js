@@ -0,0 +1,51 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseCron } from './cron.js'
+
+// Local times, as cron is evaluated in the server's time zone. October 2026:
+// the 19th is a Monday.
+const at = (day, hour = 0, minute = 0, month = 9) => new Date(2026, month, day, hour, minute)
+const next = (expression, after) => parseCron(expression).next(after)
+
+test('steps, ranges and lists', () => {
+  assert.deepEqual(next('*/15 * * * *', at(19, 10, 7)), at(19, 10, 15))
+  assert.deepEqual(next('*/15 * * * *', at(19, 10, 45)), at(19, 11, 0))
+  assert.deepEqual(next('0 8-18/2 * * *', at(19, 9)), at(19, 10))
+  assert.deepEqual(next('0 8-18/2 * * *', at(19, 18)), at(20, 8))
+  assert.deepEqual(next('30 9,13,17 * * *', at(19, 13, 30)), at(19, 17, 30))
+  assert.deepEqual(next('0 0 1-3,20 * *', at(19, 12)), at(20))
+  assert.deepEqual(next('5/20 * * * *', at(19, 10, 6)), at(19, 10, 25))
+})
+
+test('the next run is strictly after the given time, to the minute', () => {
+  assert.deepEqual(next('0 8 * * *', at(19, 8)), at(20, 8))
+  assert.deepEqual(next('* * * * *', new Date(2026, 9, 19, 8, 0, 59, 999)), at(19, 8, 1))
+})
+
+test('day of week: lists, Sunday as 0 or 7', () => {
+  assert.deepEqual(next('0 9 * * 1,3,5', at(19, 10)), at(21, 9))
+  assert.deepEqual(next('0 9 * * 1-5', at(23, 10)), at(26, 9))
+  assert.deepEqual(next('0 0 * * 0', at(19)), at(25))
+  assert.deepEqual(next('0 0 * * 7', at(19)), at(25))
+  assert.deepEqual(next('@weekly', at(19)), at(25))
+})
+
+test('day of month, months, and either-day matching when both are set', () => {
+  assert.deepEqual(next('0 0 13 * *', at(19)), at(13, 0, 0, 10))
+  assert.deepEqual(next('0 0 31 * *', at(1, 0, 0, 10)), at(31, 0, 0, 11))
+  assert.deepEqual(next('0 12 1 1 *', at(19)), new Date(2027, 0, 1, 12, 0))
+  // Both day fields restricted: the 1st of the month or any Monday
+  assert.deepEqual(next('0 0 1 * 1', at(19)), at(26))
+  assert.deepEqual(next('0 0 1 * 1', at(26)), at(1, 0, 0, 10))
+  // Only one restricted: the other doesn't widen it
+  assert.deepEqual(next('0 0 1 * *', at(19)), at(1, 0, 0, 10))
+})
+
+test('aliases, impossible dates and invalid expressions', () => {
+  assert.deepEqual(next('@daily', at(19, 10)), at(20))
+  assert.deepEqual(next('@hourly', at(19, 10, 1)), at(19, 11))
+  assert.equal(next('0 0 31 2 *', at(19)), null)
+  for (const expression of ['60 * * * *', '* * *', '5-1 * * * *', '*/0 * * * *', '* * 0 * *', 'a * * * *', '* * * 13 *']) {
+    assert.throws(() => parseCron(expression), /cron/i, expression)
+  }
+})
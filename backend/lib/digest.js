@@ -0,0 +1,115 @@
+import { parseCron } from './cron.js'
+
+const LAST_SLOT = 'digestLastSlot'
+const MAX_LISTED_MESSAGES = 20
+const CHECK_INTERVAL_MS = 60 * 1000
+
+// Scheduled activity digest emailed to the admin: new messages (and how many
+// were spam), APK downloads, top sections and failed email deliveries since
+// the previous digest.
+//
+// Idempotent across restarts: the last scheduled slot is kept in the store,
+// and each digest is queued in the outbox under an id derived from its slot,
+// so a slot is never sent twice. If the server was down over one or more
+// slots, a single digest covering the whole gap goes out on startup. A period
+// with nothing to report is skipped unless `sendEmpty` is set.
+export function createDigest({ store, schedule, to, submissions, activity, outbox, emails, sendEmpty = false }) {
+  const cron = parseCron(schedule)
+  let timer = null
+
+  const collect = (from, until) => {
+    const inPeriod = iso => {
+      const time = Date.parse(iso)
+      return time >= from.getTime() && time < until.getTime()
+    }
+    const received = submissions.list(record => inPeriod(record.createdAt))
+    const messages = received
+      .filter(record => record.status !== 'spam')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    const failedDeliveries = outbox.list(job => job.status === 'failed' && inPeriod(job.updatedAt))
+    const { apkDownloads, sectionViews } = activity.summary(from, until)
+
+    return {
+      from,
+      until,
+      messageCount: messages.length,
+      spamCount: received.length - messages.length,
+      messages: messages.slice(0, MAX_LISTED_MESSAGES).map(record => ({
+        ticket: record.ticket,
+        name: record.fields.name,
+        email: record.fields.email,
+        subject: record.fields.subject,
+        receivedAt: record.createdAt
+      })),
+      moreMessages: Math.max(0, messages.length - MAX_LISTED_MESSAGES),
+      apkDownloads: apkDownloads.map(({ key, count }) => ({ file: key, count })),
+      apkDownloadCount: apkDownloads.reduce((sum, { count }) => sum + count, 0),
+      topSections: sectionViews.slice(0, 5).map(({ key, count }) => ({ section: key, count })),
+      failedDeliveries: failedDeliveries.map(job => ({
+        type: job.type,
+        to: job.message.to,
+        subject: job.message.subject,
+        error: job.lastError
+      }))
+    }
+  }
+
+  const isEmpty = summary => !summary.messageCount && !summary.spamCount && !summary.apkDownloadCount &&
+    !summary.topSections.length && !summary.failedDeliveries.length
+
+  const send = (slot, from) => {
+    const id = `digest:${slot.toISOString()}`
+    if (outbox.get(id)) return null
+    const summary = collect(from, slot)
+    if (!sendEmpty && isEmpty(summary)) {
+      console.log(`📬 Nothing to report for ${from.toISOString()} – ${slot.toISOString()}, digest skipped`)
+      return null
+    }
+    const digest = emails.digest(summary)
+    return outbox.enqueue({ id, type: 'digest', message: { to, ...digest }, meta: { slot: slot.toISOString() } })
+  }
+
+  // Send the digest for the latest slot that has passed, if not done yet
+  const runDue = (now = new Date()) => {
+    const last = new Date(store.meta(LAST_SLOT, () => now.toISOString()))
+    let slot = null
+    for (let next = cron.next(last); next && next <= now; next = cron.next(next)) slot = next
+    if (!slot) return null
+
+    // Queue first: if the process dies before the slot is recorded, the
+    // next check finds the job already queued under the same id
+    const job = send(slot, last)
+    store.setMeta(LAST_SLOT, slot.toISOString())
+    if (job) console.log(`📬 Digest for ${last.toISOString()} – ${slot.toISOString()} queued`)
+    return job
+  }
+
+  return {
+    collect,
+    runDue,
+
+    // Next time a digest is due
+    nextRun() {
+      return cron.next(new Date(store.meta(LAST_SLOT, () => new Date().toISOString())))
+    },
+
+    start() {
+      if (timer) return
+      const check = () => {
+        try {
+          runDue()
+        } catch (err) {
+          console.error('Digest failed:', err.message)
+        }
+      }
+      timer = setInterval(check, CHECK_INTERVAL_MS)
+      timer.unref()
+      check()
+    },
+
+    stop() {
+      clearInterval(timer)
+      timer = null
+    }
+  }
+}
@@ -0,0 +1,96 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createStore } from './store.js'
+import { createSubmissions } from './submissions.js'
+import { createActivity } from './activity.js'
+import { createOutbox } from './outbox.js'
+import { createEmailRenderer } from './mail/emails.js'
+import { createDigest } from './digest.js'
+
+// Daily at 08:00; the previous digest went out on 1 Jan, the next is due 2 Jan
+const LAST = new Date(2026, 0, 1, 8, 0)
+const SLOT = new Date(2026, 0, 2, 8, 0)
+const NOW = new Date(2026, 0, 2, 9, 30)
+const during = new Date(2026, 0, 1, 12, 0).toISOString()
+
+const setup = (fn, options = {}) => async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-'))
+  const store = createStore(path.join(dir, 'store.json'))
+  const activity = createActivity(store, { flushIntervalMs: 60 * 60 * 1000 })
+  const outbox = createOutbox(store, { deliver: async () => ({}) })
+  try {
+    const submissions = createSubmissions(store, { ipHashSalt: 'salt' })
+    store.setMeta('digestLastSlot', LAST.toISOString())
+    const digest = createDigest({
+      store,
+      schedule: '0 8 * * *',
+      to: 'owner@example.com',
+      submissions,
+      activity,
+      outbox,
+      emails: createEmailRenderer({ contactEmail: 'owner@example.com', messageDomain: 'example.com', cache: false }),
+      ...options
+    })
+    // A message received during the period
+    const receive = (name, status = 'new') => {
+      const record = submissions.create({ fields: { name, email: `${name.toLowerCase()}@example.org`, subject: `From ${name}`, message: 'Hello there' }, ip: '203.0.113.7', status })
+      return store.update('submissions', record.id, { createdAt: during })
+    }
+    await fn({ store, digest, outbox, receive })
+  } finally {
+    activity.stop()
+    await new Promise(resolve => setImmediate(resolve))
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+test('collects messages, spam, downloads, sections and failed deliveries for the period', setup(({ store, digest, receive }) => {
+  receive('Ada')
+  receive('Grace')
+  receive('Spammer', 'spam')
+  const outside = receive('Late')
+  store.update('submissions', outside.id, { createdAt: NOW.toISOString() })
+  store.upsert('activity', during.slice(0, 10), () => ({ apkDownloads: { 'app.apk': 3 }, sectionViews: { projects: 5, about: 2 } }))
+  store.insert('outbox', { type: 'notification', status: 'failed', updatedAt: during, lastError: 'Connection refused', message: { to: 'owner@example.com', subject: 'New message' } })
+
+  const summary = digest.collect(LAST, SLOT)
+  assert.equal(summary.messageCount, 2)
+  assert.equal(summary.spamCount, 1)
+  assert.deepEqual(summary.messages.map(message => message.name), ['Ada', 'Grace'])
+  assert.equal(summary.apkDownloadCount, 3)
+  assert.deepEqual(summary.topSections, [{ section: 'projects', count: 5 }, { section: 'about', count: 2 }])
+  assert.deepEqual(summary.failedDeliveries, [{ type: 'notification', to: 'owner@example.com', subject: 'New message', error: 'Connection refused' }])
+}))
+
+test('the digest for the latest passed slot is queued once, with its content', setup(({ store, digest, outbox, receive }) => {
+  const { ticket } = receive('Ada')
+  const job = digest.runDue(NOW)
+  assert.equal(job.id, `digest:${SLOT.toISOString()}`)
+  assert.equal(job.message.to, 'owner@example.com')
+  assert.match(job.message.subject, /^Portfolio digest: 1 new message - /)
+  assert.ok(job.message.text.includes(`${ticket}  Ada <ada@example.org>: From Ada`))
+  assert.ok(job.message.html.includes(ticket))
+  assert.equal(store.meta('digestLastSlot'), SLOT.toISOString())
+
+  // Nothing new is due until the next slot, and a slot is never sent twice
+  assert.equal(digest.runDue(NOW), null)
+  store.setMeta('digestLastSlot', LAST.toISOString())
+  assert.equal(digest.runDue(NOW), null)
+  assert.equal(outbox.list(queued => queued.type === 'digest').length, 1)
+  assert.deepEqual(digest.nextRun(), new Date(2026, 0, 3, 8, 0))
+}))
+
+test('a quiet period is skipped but its slot is still used up', setup(({ store, digest, outbox }) => {
+  assert.equal(digest.runDue(NOW), null)
+  assert.equal(outbox.list().length, 0)
+  assert.equal(store.meta('digestLastSlot'), SLOT.toISOString())
+}))
+
+test('sendEmpty sends the digest for a quiet period anyway', setup(({ digest }) => {
+  const job = digest.runDue(NOW)
+  assert.match(job.message.subject, /^Portfolio digest: 0 new messages/)
+  assert.ok(job.message.text.includes('No visits recorded'))
+}, { sendEmpty: true }))
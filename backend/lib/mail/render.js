@@ -0,0 +1,67 @@
+// Escaping and normalisation helpers for anything user-supplied that ends
+// up in an email. Template values are escaped by default; only values
+// wrapped with `raw()` (trusted, developer-written markup) pass through.
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;',
+  '=': '&#61;'
+}
+
+// C0/C1 control characters except tab and newline
+const CONTROL_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/g
+// Bidi overrides/isolates and zero-width characters used to disguise text
+const INVISIBLE_CHARS = /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value
+  }
+
+  toString() {
+    return this.value
+  }
+}
+
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"'`=]/g, ch => HTML_ESCAPES[ch])
+}
+
+// Unicode-normalise (NFKC folds look-alike compatibility forms), convert
+// CRLF/CR to LF and drop control and invisible formatting characters
+export function normalizeText(value) {
+  return String(value ?? '')
+    .normalize('NFKC')
+    .replace(/\r\n?/g, '\n')
+    .replace(CONTROL_CHARS, '')
+    .replace(INVISIBLE_CHARS, '')
+}
+
+export function hasLineBreak(value) {
+  return /[\r\n\u0085\u2028\u2029]/.test(String(value ?? ''))
+}
+
+// Values placed in a mail header (subject lines) must be a single line
+export function headerValue(value) {
+  if (hasLineBreak(value)) throw new Error('Header values must not contain line breaks')
+  return normalizeText(value).trim()
+}
+
+// Mark developer-written markup as safe to interpolate unescaped
+export function raw(value) {
+  return value instanceof SafeHtml ? value : new SafeHtml(String(value ?? ''))
+}
+
+export function isSafeHtml(value) {
+  return value instanceof SafeHtml
+}
+
+// Only allow http(s) and mailto links; anything else becomes "#"
+export function safeUrl(value) {
+  const url = String(value ?? '').trim()
+  return /^(https?:|mailto:)/i.test(url) ? url : '#'
+}
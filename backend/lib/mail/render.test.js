@@ -0,0 +1,61 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { escapeHtml, normalizeText, headerValue, safeUrl, raw } from './render.js'
+import { createTemplateEngine } from './templates.js'
+
+test('escapeHtml escapes markup and attribute-breaking characters', () => {
+  assert.equal(
+    escapeHtml(`<script>alert("x")</script> ' \` =`),
+    '&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &#39; &#96; &#61;'
+  )
+  assert.equal(escapeHtml('" onmouseover="alert(1)'), '&quot; onmouseover&#61;&quot;alert(1)')
+  assert.equal(escapeHtml(null), '')
+})
+
+test('normalizeText strips bidi overrides, zero-width and control characters', () => {
+  assert.equal(normalizeText('pay‮exe.txt'), 'payexe.txt')
+  assert.equal(normalizeText('ad​min‍﻿'), 'admin')
+  assert.equal(normalizeText('a⁦b⁩c'), 'abc')
+  assert.equal(normalizeText('bell\u0007\u0000'), 'bell')
+  assert.equal(normalizeText('one\r\ntwo\rthree'), 'one\ntwo\nthree')
+  // NFKC folds compatibility look-alikes
+  assert.equal(normalizeText('ｐａｙｐａｌ'), 'paypal')
+})
+
+test('headerValue rejects CR, LF and Unicode line breaks', () => {
+  for (const value of ['Hi\r\nBcc: victim@example.com', 'Hi\nX-Injected: 1', 'Hi\rBcc: x', 'a b', 'a\u0085b']) {
+    assert.throws(() => headerValue(value), /line breaks/)
+  }
+  assert.equal(headerValue('  Project ​inquiry  '), 'Project inquiry')
+})
+
+test('safeUrl only lets http(s) and mailto through', () => {
+  assert.equal(safeUrl('javascript:alert(1)'), '#')
+  assert.equal(safeUrl('  JaVaScRiPt:alert(1)'), '#')
+  assert.equal(safeUrl('data:text/html,<script>alert(1)</script>'), '#')
+  assert.equal(safeUrl('vbscript:msgbox'), '#')
+  assert.equal(safeUrl('https://example.com/a?b=c'), 'https://example.com/a?b=c')
+  assert.equal(safeUrl('mailto:someone@example.com'), 'mailto:someone@example.com')
+})
+
+test('templates escape values, nl2br escapes before adding breaks, url filters links', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'))
+  try {
+    fs.writeFileSync(path.join(dir, 'probe.html'), '<p>{{value}}</p><p>{{value | nl2br}}</p><a href="{{link | url}}">x</a>{{{trusted}}}')
+    const engine = createTemplateEngine({ dirs: [dir], cache: false })
+    const html = engine.render('probe', {
+      value: '<img src=x onerror="alert(1)">\nline two',
+      link: 'javascript:alert(1)',
+      trusted: raw('<b>ok</b>')
+    })
+    assert.ok(!html.includes('<img'))
+    assert.ok(html.includes('&lt;img src&#61;x onerror&#61;&quot;alert(1)&quot;&gt;<br>line two'))
+    assert.ok(html.includes('href="#"'))
+    assert.ok(html.includes('<b>ok</b>'))
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+})
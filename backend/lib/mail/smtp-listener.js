@@ -0,0 +1,49 @@
+import { SMTPServer } from 'smtp-server'
+
+// Minimal receive-only SMTP server for replies to inbox emails. It only
+// accepts mail for recipients `accepts(address)` approves and hands every
+// message to `onMessage(raw, { recipients })`. Put it behind the MX or a
+// relay; it does no authentication, TLS or spam filtering of its own.
+export function startSmtpListener({ port, host = '0.0.0.0', accepts, onMessage, maxSize = 10 * 1024 * 1024 }) {
+  // Without a recipient check this would be an open mail sink
+  if (typeof accepts !== 'function') throw new Error('The SMTP listener needs an `accepts(recipient)` check')
+
+  const server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['AUTH', 'STARTTLS'],
+    size: maxSize,
+    banner: 'Portfolio inbound mail',
+    onRcptTo(address, session, callback) {
+      if (!accepts(address.address)) {
+        const error = new Error('Mailbox unavailable')
+        error.responseCode = 550
+        return callback(error)
+      }
+      callback()
+    },
+    onData(stream, session, callback) {
+      const chunks = []
+      stream.on('data', chunk => chunks.push(chunk))
+      stream.on('end', async () => {
+        if (stream.sizeExceeded) {
+          const error = new Error('Message exceeds fixed maximum message size')
+          error.responseCode = 552
+          return callback(error)
+        }
+        try {
+          await onMessage(Buffer.concat(chunks), { recipients: session.envelope.rcptTo.map(rcpt => rcpt.address) })
+          callback()
+        } catch (err) {
+          console.error('Inbound mail failed:', err.message)
+          const error = new Error('Temporary failure, try again later')
+          error.responseCode = 451
+          callback(error)
+        }
+      })
+    }
+  })
+
+  server.on('error', err => console.error('SMTP listener error:', err.message))
+  server.listen(port, host, () => console.log(`📥 Inbound SMTP listening on ${host}:${port}`))
+  return server
+}
@@ -0,0 +1,184 @@
+import fs from 'fs'
+import path from 'path'
+import { escapeHtml, isSafeHtml, raw, safeUrl } from './render.js'
+import { inlineCss } from './inline-css.js'
+
+// File-based email templates with a small mustache-style syntax:
+//
+//   {{name}}                 escaped value (dotted paths work: {{site.ownerName}})
+//   {{message | nl2br}}      escaped value passed through filters
+//   {{{trusted}}}            unescaped value — only for developer-controlled data
+//   {{#if x}}…{{else}}…{{/if}}, {{#unless x}}…{{/unless}}
+//   {{#each items}}…{{else}}…{{/each}}   with {{this}}, {{@index}}, {{@first}}, {{@last}}
+//
+// Templates are looked up as `<name>.html` / `<name>.txt` in each directory
+// of `dirs` in order, so a deployment can override any bundled template by
+// dropping a file with the same name into its own template directory.
+
+const TAG = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g
+
+const FILTERS = {
+  nl2br: value => raw(escapeHtml(value).replace(/\n/g, '<br>')),
+  url: value => safeUrl(value),
+  upper: value => String(value ?? '').toUpperCase(),
+  lower: value => String(value ?? '').toLowerCase(),
+  trim: value => String(value ?? '').trim()
+}
+
+class TemplateError extends Error {
+  constructor(message, file) {
+    super(file ? `${message} (${file})` : message)
+    this.name = 'TemplateError'
+  }
+}
+
+const parseExpression = (expr, file) => {
+  const [pathPart, ...filterParts] = expr.split('|').map(part => part.trim())
+  const filters = filterParts.map(name => {
+    if (!FILTERS[name]) throw new TemplateError(`Unknown filter "${name}"`, file)
+    return name
+  })
+  return { path: pathPart, filters }
+}
+
+// Block tags alone on their line don't leave a blank line behind
+const STANDALONE = /^[ \t]*(\{\{(?:[#/!][^}]*|else)\}\})[ \t]*\r?\n/gm
+
+// Turn template source into a tree of text / var / if / each nodes
+export function parseTemplate(template, file) {
+  const source = template.replace(STANDALONE, '$1')
+  const root = { type: 'root', children: [] }
+  const stack = [root]
+  let cursor = 0
+  let match
+
+  const current = () => {
+    const node = stack[stack.length - 1]
+    return node.inElse ? node.otherwise : node.children
+  }
+
+  TAG.lastIndex = 0
+  while ((match = TAG.exec(source))) {
+    if (match.index > cursor) current().push({ type: 'text', value: source.slice(cursor, match.index) })
+    cursor = TAG.lastIndex
+
+    if (match[1] !== undefined) {
+      current().push({ type: 'var', raw: true, ...parseExpression(match[1], file) })
+      continue
+    }
+
+    const tag = match[2]
+    const block = tag.match(/^#(if|unless|each)\s+(.+)$/)
+    if (block) {
+      const node = { type: block[1], ...parseExpression(block[2], file), children: [], otherwise: [], inElse: false }
+      current().push(node)
+      stack.push(node)
+    } else if (tag === 'else') {
+      const node = stack[stack.length - 1]
+      if (node === root || node.inElse) throw new TemplateError('Unexpected {{else}}', file)
+      node.inElse = true
+    } else if (/^\/(if|unless|each)$/.test(tag)) {
+      const node = stack.pop()
+      if (node === root || `/${node.type}` !== tag) throw new TemplateError(`Unexpected {{${tag}}}`, file)
+    } else if (tag.startsWith('!')) {
+      // {{! comment }}
+    } else {
+      current().push({ type: 'var', raw: false, ...parseExpression(tag, file) })
+    }
+  }
+
+  if (stack.length > 1) throw new TemplateError(`Unclosed {{#${stack[stack.length - 1].type}}}`, file)
+  if (cursor < source.length) root.children.push({ type: 'text', value: source.slice(cursor) })
+  return root
+}
+
+const lookup = (scopes, keyPath) => {
+  if (keyPath === 'this') return scopes[scopes.length - 1].value
+  const [head, ...rest] = keyPath.split('.')
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i]
+    const source = head.startsWith('@') ? scope.meta : (head === 'this' ? { this: scope.value } : scope.value)
+    if (source && typeof source === 'object' && head in source) {
+      return rest.reduce((value, key) => (value == null ? undefined : value[key]), source[head])
+    }
+  }
+  return undefined
+}
+
+const truthy = value => (Array.isArray(value) ? value.length > 0 : !!value)
+
+const renderNodes = (nodes, scopes, { escape }) => nodes.map(node => {
+  switch (node.type) {
+    case 'text':
+      return node.value
+    case 'var': {
+      const value = node.filters.reduce((acc, name) => FILTERS[name](acc), lookup(scopes, node.path))
+      if (value === null || value === undefined || value === false) return ''
+      if (node.raw || isSafeHtml(value) || !escape) return String(value)
+      return escapeHtml(value)
+    }
+    case 'if':
+    case 'unless': {
+      const pass = truthy(lookup(scopes, node.path)) === (node.type === 'if')
+      return renderNodes(pass ? node.children : node.otherwise, scopes, { escape })
+    }
+    case 'each': {
+      const items = lookup(scopes, node.path)
+      if (!truthy(items)) return renderNodes(node.otherwise, scopes, { escape })
+      const list = Array.isArray(items) ? items : Object.values(items)
+      return list.map((item, index) => renderNodes(node.children, [...scopes, {
+        value: item,
+        meta: { '@index': index, '@first': index === 0, '@last': index === list.length - 1 }
+      }], { escape })).join('')
+    }
+    default:
+      return ''
+  }
+}).join('')
+
+export function createTemplateEngine({ dirs, cache = true }) {
+  const compiled = new Map()
+
+  const resolve = (fileName) => {
+    for (const dir of dirs) {
+      const filePath = path.join(dir, fileName)
+      if (fs.existsSync(filePath)) return filePath
+    }
+    return null
+  }
+
+  const load = (fileName) => {
+    const filePath = resolve(fileName)
+    if (!filePath) throw new TemplateError(`Template "${fileName}" not found in ${dirs.join(', ')}`)
+
+    const mtime = fs.statSync(filePath).mtimeMs
+    const hit = compiled.get(filePath)
+    if (cache && hit && hit.mtime === mtime) return hit.tree
+
+    const tree = parseTemplate(fs.readFileSync(filePath, 'utf8'), filePath)
+    compiled.set(filePath, { tree, mtime })
+    return tree
+  }
+
+  return {
+    has(name, ext = 'html') {
+      return !!resolve(`${name}.${ext}`)
+    },
+
+    // Render `<name>.html` (escaped, CSS inlined) or `<name>.txt` (unescaped)
+    render(name, data, { ext = 'html' } = {}) {
+      const tree = load(`${name}.${ext}`)
+      const output = renderNodes(tree.children, [{ value: data, meta: {} }], { escape: ext === 'html' })
+      return ext === 'html' ? inlineCss(output) : output
+    },
+
+    // Shallow-merge `<name>.json` from every directory; earlier dirs win
+    data(name) {
+      return [...dirs].reverse().reduce((merged, dir) => {
+        const filePath = path.join(dir, `${name}.json`)
+        return fs.existsSync(filePath) ? { ...merged, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) } : merged
+      }, {})
+    }
+  }
+}
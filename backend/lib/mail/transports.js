@@ -0,0 +1,143 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import nodemailer from 'nodemailer'
+import { Resend } from 'resend'
+
+// Mail transports share one interface: `send(message)` resolves with
+// `{ messageId }` or throws. A message is `{ from?, to, subject, html,
+// text?, replyTo?, messageId?, inReplyTo?, references?, headers?,
+// attachments? }`, attachments being `[{ filename, path, contentType }]`.
+// `thirdParty` marks providers we don't want to use for mail to visitors.
+
+// Renders a message to raw RFC 822 bytes without sending it anywhere
+const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' })
+
+const compose = async (message) => {
+  const info = await composer.sendMail(message)
+  return { messageId: info.messageId, raw: info.message }
+}
+
+export function createSmtpTransport({ host, port = 587, user, password, from }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: { user, pass: password }
+  })
+
+  return {
+    name: 'smtp',
+    thirdParty: false,
+    async send(message) {
+      const info = await transporter.sendMail({ from, ...message })
+      console.log('SMTP email sent:', info.messageId)
+      return { messageId: info.messageId }
+    }
+  }
+}
+
+export function createResendTransport({ apiKey, from = 'Portfolio Contact <onboarding@resend.dev>' }) {
+  const resend = new Resend(apiKey)
+
+  return {
+    name: 'resend',
+    thirdParty: true,
+    async send({ to, subject, html, text, replyTo, messageId, inReplyTo, references, headers = {}, attachments = [] }) {
+      const emailData = { from, to: [to], subject, html }
+      if (text) emailData.text = text
+      if (replyTo) emailData.reply_to = replyTo
+      // Resend wants file contents rather than paths
+      if (attachments.length) {
+        emailData.attachments = await Promise.all(attachments.map(async ({ filename, path: filePath }) => ({
+          filename,
+          content: await fs.promises.readFile(filePath)
+        })))
+      }
+
+      // Resend takes threading headers as plain custom headers
+      const allHeaders = { ...headers }
+      if (messageId) allHeaders['Message-ID'] = messageId
+      if (inReplyTo) allHeaders['In-Reply-To'] = inReplyTo
+      if (references) allHeaders.References = [].concat(references).join(' ')
+      if (Object.keys(allHeaders).length) emailData.headers = allHeaders
+
+      const result = await resend.emails.send(emailData)
+      // The Resend SDK reports API errors in the result instead of throwing
+      if (result.error) throw new Error(`Resend: ${result.error.message}`)
+      console.log('Resend email sent successfully:', result.data?.id)
+      return { messageId: messageId || result.data?.id }
+    }
+  }
+}
+
+// Writes every message as an .eml file, for running the contact flow offline
+export function createFileTransport({ dir, from }) {
+  fs.mkdirSync(dir, { recursive: true })
+
+  return {
+    name: 'file',
+    thirdParty: false,
+    dir,
+    async send(message) {
+      const { messageId, raw } = await compose({ from, ...message })
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`
+      const filePath = path.join(dir, fileName)
+      await fs.promises.writeFile(filePath, raw)
+      console.log('Email written to file:', filePath)
+      return { messageId, path: filePath }
+    }
+  }
+}
+
+// Keeps messages (and their raw MIME) in memory, for tests
+export function createMemoryTransport({ from } = {}) {
+  const messages = []
+
+  return {
+    name: 'memory',
+    thirdParty: false,
+    messages,
+    async send(message) {
+      const full = { from, ...message }
+      const { messageId, raw } = await compose(full)
+      messages.push({ ...full, messageId, raw: raw.toString('utf8') })
+      return { messageId }
+    },
+    clear() {
+      messages.length = 0
+    }
+  }
+}
+
+// Pick a transport from environment variables. MAIL_TRANSPORT forces one of
+// smtp | resend | file | memory | none; otherwise SMTP is preferred, then
+// Resend, and with neither configured no transport is used.
+export function createTransportFromEnv(env, { dataDir }) {
+  const hasSMTP = !!env.EMAIL_HOST && !!env.EMAIL_USER && !!env.EMAIL_PASSWORD
+  const kind = (env.MAIL_TRANSPORT || (hasSMTP ? 'smtp' : env.RESEND_API_KEY ? 'resend' : 'none')).toLowerCase()
+  const localFrom = env.EMAIL_FROM || 'Portfolio Contact <portfolio@localhost>'
+
+  switch (kind) {
+    case 'smtp':
+      if (!hasSMTP) throw new Error('MAIL_TRANSPORT=smtp requires EMAIL_HOST, EMAIL_USER and EMAIL_PASSWORD')
+      return createSmtpTransport({
+        host: env.EMAIL_HOST,
+        port: Number(env.EMAIL_PORT) || 587,
+        user: env.EMAIL_USER,
+        password: env.EMAIL_PASSWORD,
+        from: env.EMAIL_FROM || env.EMAIL_USER
+      })
+    case 'resend':
+      if (!env.RESEND_API_KEY) throw new Error('MAIL_TRANSPORT=resend requires RESEND_API_KEY')
+      return createResendTransport({ apiKey: env.RESEND_API_KEY, from: env.RESEND_FROM })
+    case 'file':
+      return createFileTransport({ dir: env.MAIL_FILE_DIR || path.join(dataDir, 'mail'), from: localFrom })
+    case 'memory':
+      return createMemoryTransport({ from: localFrom })
+    case 'none':
+      return null
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${kind}"`)
+  }
+}
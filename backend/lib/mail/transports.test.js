@@ -0,0 +1,111 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createMemoryTransport, createFileTransport, createTransportFromEnv } from './transports.js'
+import { createEmailRenderer } from './emails.js'
+
+const emails = createEmailRenderer({ contactEmail: 'owner@example.com', messageDomain: 'example.com', cache: false })
+
+const unix = raw => raw.replace(/\r\n/g, '\n')
+
+// Top-level headers of a raw message, unfolded, keyed by lower-case name
+const headersOf = (raw) => {
+  const head = unix(raw).split('\n\n')[0].replace(/\n[ \t]+/g, ' ')
+  return Object.fromEntries(head.split('\n').map((line) => {
+    const index = line.indexOf(':')
+    return [line.slice(0, index).toLowerCase(), line.slice(index + 1).trim()]
+  }))
+}
+
+// The body parts of a multipart message, each with its own headers and body
+const partsOf = (raw, boundary) => unix(raw)
+  .split(`--${boundary}`)
+  .slice(1, -1)
+  .map((part) => {
+    const [head, ...body] = part.replace(/^\n/, '').split('\n\n')
+    return { headers: headersOf(head), body: body.join('\n\n') }
+  })
+
+const render = () => {
+  const { subject, messageId, html, text } = emails.notification({
+    name: 'Ada Lovelace',
+    email: 'ada@example.org',
+    subject: 'Engine notes',
+    message: 'First line\nSecond line',
+    ticket: 'PF-ABCD-EFGH'
+  })
+  return {
+    to: 'owner@example.com',
+    subject,
+    messageId,
+    html,
+    text,
+    replyTo: 'ada@example.org',
+    inReplyTo: '<original@example.com>',
+    references: ['<root@example.com>', '<original@example.com>'],
+    headers: { 'X-Ticket': 'PF-ABCD-EFGH' }
+  }
+}
+
+test('messages go out as multipart/alternative with a text part then an HTML part', async () => {
+  const transport = createMemoryTransport({ from: 'Portfolio <portfolio@example.com>' })
+  const message = render()
+  await transport.send(message)
+  const { raw } = transport.messages[0]
+
+  const headers = headersOf(raw)
+  const [, boundary] = headers['content-type'].match(/^multipart\/alternative;\s*boundary="?([^";]+)"?/) || []
+  assert.ok(boundary, `multipart/alternative, got ${headers['content-type']}`)
+
+  const parts = partsOf(raw, boundary)
+  assert.equal(parts.length, 2)
+  assert.match(parts[0].headers['content-type'], /^text\/plain; charset=utf-8/)
+  assert.match(parts[1].headers['content-type'], /^text\/html; charset=utf-8/)
+  assert.ok(parts[0].body.includes('Second line'))
+  assert.ok(parts[1].body.includes('<html') || parts[1].body.includes('<!DOCTYPE'))
+  assert.ok(raw.trimEnd().endsWith(`--${boundary}--`))
+})
+
+test('addressing and threading headers are set from the message', async () => {
+  const transport = createMemoryTransport({ from: 'Portfolio <portfolio@example.com>' })
+  const message = render()
+  const { messageId } = await transport.send(message)
+  const headers = headersOf(transport.messages[0].raw)
+
+  assert.equal(messageId, message.messageId)
+  assert.equal(headers['message-id'], message.messageId)
+  assert.equal(headers.from, 'Portfolio <portfolio@example.com>')
+  assert.equal(headers.to, 'owner@example.com')
+  assert.equal(headers['reply-to'], 'ada@example.org')
+  assert.equal(headers.subject, message.subject)
+  assert.equal(headers['in-reply-to'], '<original@example.com>')
+  assert.equal(headers.references, '<root@example.com> <original@example.com>')
+  assert.equal(headers['x-ticket'], 'PF-ABCD-EFGH')
+  assert.equal(headers['mime-version'], '1.0')
+  assert.ok(!Number.isNaN(Date.parse(headers.date)))
+})
+
+test('the file transport writes the same MIME message to an .eml file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'))
+  try {
+    const transport = createFileTransport({ dir, from: 'Portfolio <portfolio@example.com>' })
+    const { path: filePath } = await transport.send(render())
+    assert.equal(path.extname(filePath), '.eml')
+    const headers = headersOf(fs.readFileSync(filePath, 'utf8'))
+    assert.match(headers['content-type'], /^multipart\/alternative/)
+    assert.equal(headers.to, 'owner@example.com')
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+})
+
+test('the transport is picked from the environment', () => {
+  assert.equal(createTransportFromEnv({}, { dataDir: os.tmpdir() }), null)
+  assert.equal(createTransportFromEnv({ MAIL_TRANSPORT: 'memory' }, { dataDir: os.tmpdir() }).name, 'memory')
+  assert.equal(createTransportFromEnv({ RESEND_API_KEY: 're_test' }, { dataDir: os.tmpdir() }).name, 'resend')
+  assert.equal(createTransportFromEnv({ EMAIL_HOST: 'smtp.example.com', EMAIL_USER: 'u', EMAIL_PASSWORD: 'p', RESEND_API_KEY: 're_test' }, { dataDir: os.tmpdir() }).name, 'smtp')
+  assert.throws(() => createTransportFromEnv({ MAIL_TRANSPORT: 'smtp' }, { dataDir: os.tmpdir() }), /requires EMAIL_HOST/)
+  assert.throws(() => createTransportFromEnv({ MAIL_TRANSPORT: 'pigeon' }, { dataDir: os.tmpdir() }), /Unknown MAIL_TRANSPORT/)
+})
@@ -0,0 +1,188 @@
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000
+
+// Durable email outbox. Messages are stored as jobs and sent by a background
+// worker, so the HTTP request never waits on (or fails because of) a mail
+// provider. Failed attempts are retried with exponential backoff until
+// `maxAttempts` is reached, and every attempt's error is kept on the job.
+// Other deliveries (webhooks) reuse it with their own `collection`.
+// `cancelReason(job)` may return why a job should no longer be sent; such
+// jobs are marked cancelled instead of being attempted. Sent jobs are deleted
+// once they are `retainSentMs` old, so the collection only holds recent and
+// unfinished work.
+export function createOutbox(store, {
+  collection = 'outbox',
+  label = 'Outbox',
+  deliver,
+  cancelReason = () => null,
+  maxAttempts = 6,
+  baseDelayMs = 30 * 1000,
+  maxDelayMs = 60 * 60 * 1000,
+  pollIntervalMs = 5000,
+  retainSentMs = 7 * 24 * 60 * 60 * 1000,
+  onSettled = () => {}
+} = {}) {
+  let timer = null
+  let running = false
+  let prunedAt = 0
+
+  const backoff = (attempt) => {
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1))
+    // Jitter so a batch of failed jobs doesn't retry in lockstep
+    return Math.round(delay * (0.75 + Math.random() * 0.5))
+  }
+
+  const notify = (job) => {
+    try {
+      onSettled(job)
+    } catch (err) {
+      console.error(`${label} onSettled hook failed:`, err.message)
+    }
+  }
+
+  const cancel = (job, reason) => {
+    const cancelled = store.update(collection, job.id, current => ({
+      ...current,
+      status: 'cancelled',
+      lastError: reason,
+      nextAttemptAt: null,
+      updatedAt: new Date().toISOString()
+    }))
+    console.warn(`${label} job ${job.id} (${job.type}) cancelled:`, reason)
+    notify(cancelled)
+  }
+
+  const attempt = async (job) => {
+    const reason = cancelReason(job)
+    if (reason) return cancel(job, reason)
+
+    const startedAt = new Date().toISOString()
+    store.update(collection, job.id, { status: 'sending', updatedAt: startedAt })
+
+    const elapsed = () => Date.now() - Date.parse(startedAt)
+    // Deliverers may report an HTTP status (webhooks) on success or failure
+    const statusCode = source => (source?.statusCode ? { statusCode: source.statusCode } : {})
+
+    try {
+      const result = await deliver(job.message, job)
+      const sent = store.update(collection, job.id, current => ({
+        ...current,
+        status: 'sent',
+        sentAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        providerId: result?.messageId || null,
+        attempts: [...current.attempts, { at: startedAt, ok: true, durationMs: elapsed(), ...statusCode(result) }]
+      }))
+      notify(sent)
+    } catch (err) {
+      const failed = store.update(collection, job.id, current => {
+        const attempts = [...current.attempts, { at: startedAt, ok: false, durationMs: elapsed(), ...statusCode(err), error: err.message }]
+        const exhausted = attempts.length >= current.maxAttempts
+        return {
+          ...current,
+          status: exhausted ? 'failed' : 'retrying',
+          attempts,
+          lastError: err.message,
+          nextAttemptAt: exhausted ? null : new Date(Date.now() + backoff(attempts.length)).toISOString(),
+          updatedAt: new Date().toISOString()
+        }
+      })
+      console.warn(`${label} job ${job.id} (${job.type}) attempt ${failed.attempts.length}/${failed.maxAttempts} failed:`, err.message)
+      notify(failed)
+    }
+  }
+
+  // At most once per PRUNE_INTERVAL_MS, in one write
+  const prune = (now) => {
+    if (now - prunedAt < PRUNE_INTERVAL_MS) return
+    prunedAt = now
+    const removed = store.removeWhere(collection, job => job.status === 'sent' && now - Date.parse(job.sentAt) >= retainSentMs)
+    if (removed) console.log(`${label}: pruned ${removed} sent job(s)`)
+  }
+
+  const runDue = async () => {
+    if (running) return
+    running = true
+    try {
+      const now = Date.now()
+      prune(now)
+      const due = store.list(collection, job =>
+        (job.status === 'queued' || job.status === 'retrying') && Date.parse(job.nextAttemptAt) <= now
+      )
+      for (const job of due) {
+        await attempt(job)
+      }
+    } finally {
+      running = false
+    }
+  }
+
+  const kick = () => {
+    runDue().catch(err => console.error(`${label} worker error:`, err.message))
+  }
+
+  return {
+    // An explicit `id` makes enqueueing idempotent: if a job with that id
+    // already exists it is returned instead of queueing a second one
+    enqueue({ id, type, message, meta = {} }) {
+      const existing = id && store.get(collection, id)
+      if (existing) return existing
+      const now = new Date().toISOString()
+      const job = store.insert(collection, {
+        ...(id && { id }),
+        type,
+        message,
+        meta,
+        status: 'queued',
+        attempts: [],
+        maxAttempts,
+        lastError: null,
+        nextAttemptAt: now,
+        createdAt: now,
+        updatedAt: now
+      })
+      setImmediate(kick)
+      return job
+    },
+
+    // Put a failed job back in the queue with a fresh attempt budget. Jobs in
+    // any other state (or unknown ids) are left alone and give null
+    retry(id) {
+      if (store.get(collection, id)?.status !== 'failed') return null
+      const job = store.update(collection, id, current => ({
+        ...current,
+        status: 'queued',
+        maxAttempts: current.attempts.length + maxAttempts,
+        nextAttemptAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      }))
+      if (job) setImmediate(kick)
+      return job
+    },
+
+    get(id) {
+      return store.get(collection, id)
+    },
+
+    list(predicate) {
+      return store.list(collection, predicate)
+    },
+
+    runDue,
+
+    start() {
+      if (timer) return
+      // Jobs left mid-send by a crash or restart go back in the queue
+      store.list(collection, job => job.status === 'sending').forEach(job => {
+        store.update(collection, job.id, { status: 'queued', nextAttemptAt: new Date().toISOString() })
+      })
+      timer = setInterval(kick, pollIntervalMs)
+      timer.unref()
+      kick()
+    },
+
+    stop() {
+      clearInterval(timer)
+      timer = null
+    }
+  }
+}
@@ -0,0 +1,48 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createStore } from './store.js'
+import { createOutbox } from './outbox.js'
+
+const DAY = 24 * 60 * 60 * 1000
+
+// An outbox on a temp store whose deliveries always succeed
+const setup = (fn, options = {}) => async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'))
+  const store = createStore(path.join(dir, 'store.json'))
+  const outbox = createOutbox(store, { deliver: async () => ({ messageId: 'm1' }), ...options })
+  try {
+    await fn({ store, outbox })
+  } finally {
+    outbox.stop()
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+const settledJob = (status, ageMs) => {
+  const at = new Date(Date.now() - ageMs).toISOString()
+  return { type: 'notification', message: {}, meta: {}, status, attempts: [], maxAttempts: 6, ...(status === 'sent' && { sentAt: at }), createdAt: at, updatedAt: at }
+}
+
+test('sent jobs older than retainSentMs are deleted; recent and failed ones stay', setup(async ({ store, outbox }) => {
+  const old = store.insert('outbox', settledJob('sent', 8 * DAY))
+  const recent = store.insert('outbox', settledJob('sent', DAY))
+  const failed = store.insert('outbox', settledJob('failed', 30 * DAY))
+
+  await outbox.runDue()
+  assert.deepEqual(outbox.list().map(job => job.id).sort(), [recent.id, failed.id].sort())
+  assert.ok(!outbox.get(old.id))
+}))
+
+test('only failed jobs can be retried', setup(async ({ store, outbox }) => {
+  const sent = store.insert('outbox', settledJob('sent', 0))
+  const failed = store.insert('outbox', settledJob('failed', 0))
+  assert.equal(outbox.retry(sent.id), null)
+  assert.equal(outbox.retry('no-such-job'), null)
+  assert.equal(outbox.retry(failed.id).status, 'queued')
+
+  await outbox.runDue()
+  assert.equal(outbox.get(failed.id).status, 'sent')
+}))
@@ -0,0 +1,65 @@
+import crypto from 'crypto'
+import { signToken, verifyToken } from './signing.js'
+
+// Self-hosted proof-of-work for the contact form. The server hands out a
+// signed challenge; the browser searches for a nonce such that
+// SHA-256("<challenge>:<nonce>") starts with `difficulty` zero bits and
+// sends it back with the submission. The signature proves we issued the
+// challenge and the expiry bounds its life; solved challenges are remembered
+// until they expire so each one buys a single submission.
+
+export const leadingZeroBits = (buffer) => {
+  let bits = 0
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8
+      continue
+    }
+    bits += Math.clz32(byte) - 24
+    break
+  }
+  return bits
+}
+
+export function createProofOfWork({ key, difficulty = 16, ttlMs = 10 * 60 * 1000 }) {
+  // Challenge id -> expiry of the challenges already spent. Entries only need
+  // to outlive their challenge, after which the expiry check refuses it.
+  const spent = new Map()
+
+  const spend = (id, expiresAt) => {
+    const now = Date.now()
+    for (const [spentId, until] of spent) {
+      if (until < now) spent.delete(spentId)
+    }
+    if (spent.has(id)) return false
+    spent.set(id, expiresAt)
+    return true
+  }
+
+  return {
+    difficulty,
+
+    issue() {
+      const expiresAt = Date.now() + ttlMs
+      const challenge = signToken({ s: crypto.randomBytes(12).toString('base64url'), d: difficulty, e: expiresAt }, key)
+      return { challenge, difficulty, expiresAt: new Date(expiresAt).toISOString() }
+    },
+
+    // Returns null when the solution is valid, otherwise the reason it isn't.
+    // A valid solution is spent: the same challenge won't verify again.
+    verify(solution) {
+      const { challenge, nonce } = solution || {}
+      if (typeof challenge !== 'string' || (typeof nonce !== 'string' && typeof nonce !== 'number')) {
+        return 'missing proof-of-work solution'
+      }
+      const payload = verifyToken(challenge, key)
+      if (!payload) return 'invalid challenge signature'
+      if (Date.now() > payload.e) return 'challenge expired'
+
+      const digest = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest()
+      if (leadingZeroBits(digest) < payload.d) return 'insufficient proof of work'
+      if (!spend(payload.s, payload.e)) return 'challenge already used'
+      return null
+    }
+  }
+}
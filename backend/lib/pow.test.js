@@ -0,0 +1,49 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+import { createProofOfWork, leadingZeroBits } from './pow.js'
+
+const solve = (challenge, difficulty) => {
+  for (let nonce = 0; ; nonce++) {
+    if (leadingZeroBits(crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest()) >= difficulty) return nonce
+  }
+}
+
+test('leadingZeroBits counts zero bits from the start', () => {
+  assert.equal(leadingZeroBits(Buffer.from([0x00, 0x0f])), 12)
+  assert.equal(leadingZeroBits(Buffer.from([0x80])), 0)
+  assert.equal(leadingZeroBits(Buffer.from([0x00, 0x00])), 16)
+})
+
+test('a solved challenge verifies once and is refused when replayed', () => {
+  const pow = createProofOfWork({ key: 'pow-key', difficulty: 8 })
+  const { challenge } = pow.issue()
+  const nonce = solve(challenge, 8)
+  assert.equal(pow.verify({ challenge, nonce }), null)
+  assert.equal(pow.verify({ challenge, nonce }), 'challenge already used')
+  assert.equal(pow.verify({ challenge, nonce: String(nonce) }), 'challenge already used')
+
+  const fresh = pow.issue().challenge
+  assert.equal(pow.verify({ challenge: fresh, nonce: solve(fresh, 8) }), null)
+})
+
+test('a failed attempt does not spend the challenge', () => {
+  const pow = createProofOfWork({ key: 'pow-key', difficulty: 8 })
+  const { challenge } = pow.issue()
+  const nonce = solve(challenge, 8)
+  let wrong = nonce + 1
+  while (leadingZeroBits(crypto.createHash('sha256').update(`${challenge}:${wrong}`).digest()) >= 8) wrong++
+  assert.equal(pow.verify({ challenge, nonce: wrong }), 'insufficient proof of work')
+  assert.equal(pow.verify({ challenge, nonce }), null)
+})
+
+test('forged, expired and missing solutions are refused', async () => {
+  const pow = createProofOfWork({ key: 'pow-key', difficulty: 1, ttlMs: 20 })
+  assert.equal(pow.verify(null), 'missing proof-of-work solution')
+  const forged = createProofOfWork({ key: 'other-key', difficulty: 1 }).issue().challenge
+  assert.equal(pow.verify({ challenge: forged, nonce: solve(forged, 1) }), 'invalid challenge signature')
+  const { challenge } = pow.issue()
+  const nonce = solve(challenge, 1)
+  await new Promise(resolve => setTimeout(resolve, 30))
+  assert.equal(pow.verify({ challenge, nonce }), 'challenge expired')
+})
@@ -0,0 +1,137 @@
+const HITS = 'rl:hits:'
+const BLOCKS = 'rl:block:'
+
+// How a request is identified for each `keyBy` entry of a policy
+const KEY_SOURCES = {
+  ip: req => req.ip || null,
+  email: req => (typeof req.body?.email === 'string' && req.body.email.trim().toLowerCase()) || null
+}
+
+// What the admin view shows of a blocked key: IPs lose their last part and
+// addresses keep only their first character and domain, as only salted
+// hashes of either are kept anywhere else
+// IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) are masked as the IPv4 they are
+const plainIp = ip => ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '')
+
+const LABELS = {
+  ip: (ip) => {
+    const plain = plainIp(ip)
+    return plain.includes(':') ? `${plain.split(':').slice(0, 3).join(':')}::/48` : plain.replace(/\.\d+$/, '.x')
+  },
+  email: (email) => {
+    const [local, domain = ''] = email.split(/@(?=[^@]*$)/)
+    return `${local.slice(0, 1)}***@${domain}`
+  }
+}
+
+// Sliding-window rate limits (see config/rate-limits.js) on top of a
+// Redis-style store (lib/rate-limit/stores.js). Every key keeps the times of
+// its requests in a sorted set, checked and added to in one store call; a
+// key at its policy's `max` gets a block record, which is what the admin
+// area lists and lifts. `hash` turns IPs and addresses into store keys so
+// they aren't kept in the clear. Request times expire with the window and
+// block records when the block ends; nothing is kept longer.
+export function createRateLimits({ store, policies, hash = value => value }) {
+  const policy = (name) => {
+    if (!policies[name]) throw new Error(`Unknown rate limit policy: ${name}`)
+    return policies[name]
+  }
+
+  // Start (or extend the record of) a block on a key that is over its limit
+  const block = async ({ name, blockMs }, key, now) => {
+    const record = key.block
+      ? { ...key.block, attempts: key.block.attempts + 1 }
+      : {
+          id: key.id,
+          policy: name,
+          keyType: key.type,
+          label: LABELS[key.type](key.value),
+          hits: key.count,
+          attempts: 1,
+          blockedAt: new Date(now).toISOString(),
+          until: new Date(blockMs ? now + blockMs : key.resetAt).toISOString()
+        }
+    const ttl = Date.parse(record.until) - now
+    await store.set(`${BLOCKS}${key.id}`, JSON.stringify(record), 'PX', ttl)
+    return record
+  }
+
+  return {
+    policies,
+
+    // Express middleware enforcing a policy. `keyBy` narrows which of its
+    // keys are checked at this point, e.g. the IP before a multipart body
+    // has been parsed and the email address once it has been validated.
+    // Sends RateLimit-* headers, and a JSON 429 with Retry-After when a key
+    // is blocked; a request only counts when it is let through.
+    limit(name, { keyBy } = {}) {
+      const rule = policy(name)
+      const types = keyBy || rule.keyBy
+      return async (req, res, next) => {
+        try {
+          const now = Date.now()
+          const keys = []
+          for (const type of types) {
+            const value = KEY_SOURCES[type](req)
+            if (value) keys.push({ id: `${name}:${type}:${hash(value)}`, type, value })
+          }
+          if (!keys.length) return next()
+
+          res.set('RateLimit-Policy', `${rule.max};w=${Math.ceil(rule.windowMs / 1000)}`)
+          res.set('RateLimit-Limit', String(rule.max))
+
+          const refuse = async (over) => {
+            const records = await Promise.all(over.map(key => block(rule, key, now)))
+            const until = Math.max(...records.map(record => Date.parse(record.until)))
+            const retryAfter = Math.max(1, Math.ceil((until - now) / 1000))
+            res.set('RateLimit-Remaining', '0')
+            res.set('RateLimit-Reset', String(retryAfter))
+            res.set('Retry-After', String(retryAfter))
+            res.status(429).json({ success: false, message: rule.message, retryAfter })
+          }
+
+          // Blocks can outlast the window (blockMs), so they're checked first
+          const blocks = await Promise.all(keys.map(key => store.get(`${BLOCKS}${key.id}`)))
+          keys.forEach((key, i) => { key.block = blocks[i] ? JSON.parse(blocks[i]) : null })
+          if (keys.some(key => key.block)) return refuse(keys.filter(key => key.block))
+
+          const member = `${now}:${Math.random().toString(36).slice(2, 10)}`
+          const [added, ...windows] = await store.slidingWindow(keys.map(key => `${HITS}${key.id}`), now, rule.windowMs, rule.max, member)
+          keys.forEach((key, i) => {
+            key.count = Number(windows[i * 2])
+            // When the oldest request in the window stops counting
+            key.resetAt = Number(windows[i * 2 + 1]) + rule.windowMs
+          })
+          if (!Number(added)) return refuse(keys.filter(key => key.count >= rule.max))
+
+          const tightest = keys.reduce((a, b) => (b.count > a.count ? b : a))
+          res.set('RateLimit-Remaining', String(rule.max - tightest.count - 1))
+          res.set('RateLimit-Reset', String(Math.max(1, Math.ceil((tightest.resetAt - now) / 1000))))
+          next()
+        } catch (err) {
+          // A broken store shouldn't take the API down with it
+          console.error(`Rate limit "${name}" check failed:`, err.message)
+          next()
+        }
+      }
+    },
+
+    // Keys that are currently blocked, most recent first
+    async blocks() {
+      const keys = await store.keys(`${BLOCKS}*`)
+      const records = await Promise.all(keys.map(key => store.get(key)))
+      return records
+        .filter(Boolean)
+        .map(record => JSON.parse(record))
+        .sort((a, b) => b.blockedAt.localeCompare(a.blockedAt))
+    },
+
+    // Lift a block and forget the key's requests so it starts afresh
+    async unblock(id) {
+      if (!/^[\w-]+:\w+:[\w.@+-]+$/.test(id)) return false
+      const removed = await store.del(`${BLOCKS}${id}`)
+      await store.del(`${HITS}${id}`)
+      return removed > 0
+    }
+  }
+}
@@ -0,0 +1,110 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createMemoryRateLimitStore } from './stores.js'
+import { createRateLimits } from './limiter.js'
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+const setup = (policy) => {
+  const store = createMemoryRateLimitStore()
+  const limits = createRateLimits({
+    store,
+    policies: { test: { name: 'test', keyBy: ['ip', 'email'], message: 'Slow down', ...policy } },
+    hash: value => `h_${value.replace(/[^\w]/g, '')}`
+  })
+  return { store, limits }
+}
+
+// Run a request through the middleware: 'next' if it was let through,
+// otherwise the response status, with the headers that were set
+const hit = async (middleware, { ip = '203.0.113.7', email } = {}) => {
+  const headers = {}
+  let outcome = null
+  const res = {
+    set: (name, value) => { headers[name] = value },
+    status: (code) => ({ json: (body) => { outcome = { status: code, body } } })
+  }
+  await middleware({ ip, body: email ? { email } : {} }, res, () => { outcome = 'next' })
+  return { outcome: outcome === 'next' ? 'next' : outcome.status, body: outcome.body, headers }
+}
+
+test('lets `max` requests through per window, then refuses with Retry-After', async () => {
+  const { limits } = setup({ windowMs: 60 * 1000, max: 3 })
+  const middleware = limits.limit('test')
+  const results = []
+  for (let i = 0; i < 4; i++) results.push(await hit(middleware))
+
+  assert.deepEqual(results.map(result => result.outcome), ['next', 'next', 'next', 429])
+  assert.deepEqual(results.map(result => result.headers['RateLimit-Remaining']), ['2', '1', '0', '0'])
+  assert.equal(results[0].headers['RateLimit-Policy'], '3;w=60')
+  assert.equal(results[3].body.message, 'Slow down')
+  assert.ok(results[3].body.retryAfter > 55 && results[3].body.retryAfter <= 60)
+  assert.equal(results[3].headers['Retry-After'], String(results[3].body.retryAfter))
+})
+
+test('the window slides: a slot frees up as the oldest request ages out', async () => {
+  const { limits } = setup({ windowMs: 150, max: 2 })
+  const middleware = limits.limit('test')
+  assert.equal((await hit(middleware)).outcome, 'next')
+  await sleep(80)
+  assert.equal((await hit(middleware)).outcome, 'next')
+  assert.equal((await hit(middleware)).outcome, 429)
+  // The first request has left the window, the second hasn't
+  await sleep(90)
+  assert.equal((await hit(middleware)).outcome, 'next')
+  assert.equal((await hit(middleware)).outcome, 429)
+})
+
+test('concurrent requests cannot overshoot the limit', async () => {
+  const { limits } = setup({ windowMs: 60 * 1000, max: 3 })
+  const middleware = limits.limit('test')
+  const results = await Promise.all(Array.from({ length: 10 }, () => hit(middleware)))
+  assert.equal(results.filter(result => result.outcome === 'next').length, 3)
+})
+
+test('every key must be under its limit, and a refused request counts against none', async () => {
+  const { store, limits } = setup({ windowMs: 60 * 1000, max: 2 })
+  const middleware = limits.limit('test')
+  assert.equal((await hit(middleware, { ip: '198.51.100.1', email: 'Ada@Example.com' })).outcome, 'next')
+  assert.equal((await hit(middleware, { ip: '198.51.100.2', email: 'ada@example.com' })).outcome, 'next')
+  // Same address from a fresh IP: over the email limit
+  assert.equal((await hit(middleware, { ip: '198.51.100.3', email: 'ada@example.com' })).outcome, 429)
+  const [added, count] = await store.slidingWindow(['rl:hits:test:ip:h_198511003'], Date.now(), 60 * 1000, 2, 'probe')
+  assert.deepEqual([added, count], [1, 0])
+})
+
+test('a blockMs block outlasts the window and is listed with a masked label', async () => {
+  const { limits } = setup({ windowMs: 50, max: 1, blockMs: 60 * 1000 })
+  const middleware = limits.limit('test')
+  const request = { ip: '203.0.113.7', email: 'grace.hopper@example.com' }
+  assert.equal((await hit(middleware, request)).outcome, 'next')
+  assert.equal((await hit(middleware, request)).outcome, 429)
+  await sleep(70)
+  assert.equal((await hit(middleware, request)).outcome, 429)
+
+  const blocks = await limits.blocks()
+  assert.deepEqual(blocks.map(block => block.label).sort(), ['203.0.113.x', 'g***@example.com'])
+  assert.ok(blocks.every(block => !JSON.stringify(block).includes('grace.hopper')))
+  assert.deepEqual(blocks.map(block => block.attempts), [2, 2])
+
+  for (const block of blocks) assert.equal(await limits.unblock(block.id), true)
+  assert.equal((await hit(middleware, request)).outcome, 'next')
+})
+
+test('IPv4-mapped and IPv6 addresses are masked in block labels', async () => {
+  const { limits } = setup({ windowMs: 60 * 1000, max: 1, keyBy: ['ip'] })
+  const middleware = limits.limit('test')
+  for (const ip of ['::ffff:203.0.113.7', '2001:db8:abcd:12::1']) {
+    await hit(middleware, { ip })
+    assert.equal((await hit(middleware, { ip })).outcome, 429)
+  }
+
+  const labels = (await limits.blocks()).map(block => block.label).sort()
+  assert.deepEqual(labels, ['2001:db8:abcd::/48', '203.0.113.x'])
+})
+
+test('a request without any of the policy keys is not limited', async () => {
+  const { limits } = setup({ windowMs: 60 * 1000, max: 1 })
+  const middleware = limits.limit('test', { keyBy: ['email'] })
+  for (let i = 0; i < 3; i++) assert.equal((await hit(middleware)).outcome, 'next')
+})
@@ -0,0 +1,161 @@
+import fs from 'fs'
+import path from 'path'
+
+// Rate limit stores speak a small subset of the Redis command set, with the
+// same names, arguments and (promise) results as ioredis:
+//   get, set(key, value, 'PX', ms), del(...keys), keys(pattern)
+// plus one scripted command, slidingWindow (below), which checks and counts
+// a request in a single step so concurrent requests can't both slip under a
+// limit. An ioredis client prepared with withSlidingWindow can be handed to
+// createRateLimits to share counters between instances. Patterns only
+// support a trailing `*`.
+
+// slidingWindow(keys, now, windowMs, max, member): for every key (a sorted
+// set of request times), drop the entries older than the window and count
+// the rest; if every key is under `max`, record `member` at `now` in all of
+// them. Resolves to [added (1 or 0), count, oldest score, count, oldest
+// score, ...], the counts being from before the request was recorded.
+export const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local added = 1
+local result = {}
+for _, key in ipairs(KEYS) do
+  redis.call('ZREMRANGEBYSCORE', key, 0, now - window)
+  local count = redis.call('ZCARD', key)
+  local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')[2] or ARGV[1]
+  if count >= tonumber(ARGV[3]) then added = 0 end
+  table.insert(result, count)
+  table.insert(result, oldest)
+end
+if added == 1 then
+  for _, key in ipairs(KEYS) do
+    redis.call('ZADD', key, now, ARGV[4])
+    redis.call('PEXPIRE', key, window)
+  end
+end
+table.insert(result, 1, added)
+return result
+`
+
+// Adds slidingWindow to an ioredis client as a Lua script, which Redis runs
+// atomically
+export function withSlidingWindow(redis) {
+  redis.defineCommand('slidingWindowScript', { lua: SLIDING_WINDOW_SCRIPT })
+  redis.slidingWindow = (keys, now, windowMs, max, member) =>
+    redis.slidingWindowScript(keys.length, ...keys, now, windowMs, max, member)
+  return redis
+}
+
+// In-memory store; counters are lost on restart. Also the stand-in for
+// Redis in tests. `onChange` is called after every write.
+export function createMemoryRateLimitStore({ entries = {}, onChange = () => {} } = {}) {
+  // key -> { type: 'string' | 'zset', value, expiresAt }; a zset's value
+  // is a list of [score, member] sorted by score
+  const data = new Map(Object.entries(entries))
+
+  const live = (key) => {
+    const entry = data.get(key)
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      data.delete(key)
+      return undefined
+    }
+    return entry
+  }
+
+  const zset = (key) => {
+    const entry = live(key)
+    if (entry && entry.type !== 'zset') throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value')
+    return entry
+  }
+
+  const changed = (result) => {
+    onChange()
+    return result
+  }
+
+  return {
+    async get(key) {
+      const entry = live(key)
+      return entry?.type === 'string' ? entry.value : null
+    },
+
+    async set(key, value, mode, ttlMs) {
+      data.set(key, { type: 'string', value: String(value), expiresAt: mode === 'PX' ? Date.now() + Number(ttlMs) : null })
+      return changed('OK')
+    },
+
+    async del(...keys) {
+      const removed = keys.filter(key => live(key) && data.delete(key)).length
+      return removed ? changed(removed) : 0
+    },
+
+    async keys(pattern) {
+      const prefix = pattern.endsWith('*') ? pattern.slice(0, -1) : null
+      return [...data.keys()].filter(key => (prefix !== null ? key.startsWith(prefix) : key === pattern) && live(key))
+    },
+
+    // Nothing is awaited in here, so like the Redis script it runs as one step
+    async slidingWindow(keys, now, windowMs, max, member) {
+      const windows = keys.map((key) => {
+        const kept = (zset(key)?.value || []).filter(([score]) => score > now - windowMs)
+        return { key, kept }
+      })
+      const added = windows.every(({ kept }) => kept.length < max)
+      if (added) {
+        for (const { key, kept } of windows) {
+          const value = [...kept.filter(([, existing]) => existing !== String(member)), [Number(now), String(member)]]
+            .sort((a, b) => a[0] - b[0])
+          data.set(key, { type: 'zset', value, expiresAt: Date.now() + Number(windowMs) })
+        }
+        onChange()
+      }
+      return [added ? 1 : 0, ...windows.flatMap(({ kept }) => [kept.length, String(kept.length ? kept[0][0] : now)])]
+    },
+
+    // Live entries, for persisting
+    dump() {
+      return Object.fromEntries([...data.keys()].filter(live).map(key => [key, data.get(key)]))
+    }
+  }
+}
+
+// Memory store saved to a JSON file, so counters and blocks survive restarts
+// and deploys. Writes are batched (`flushDelayMs`) and go through a temp
+// file + rename, like the main store; expired keys are dropped on the way.
+export function createFileRateLimitStore(filePath, { flushDelayMs = 1000 } = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+
+  let entries = {}
+  try {
+    if (fs.existsSync(filePath)) entries = JSON.parse(fs.readFileSync(filePath, 'utf8') || '{}')
+  } catch (err) {
+    console.error(`Rate limit store ${filePath} could not be read, starting empty:`, err.message)
+  }
+
+  let timer = null
+  const flush = () => {
+    clearTimeout(timer)
+    timer = null
+    const tmpPath = `${filePath}.${process.pid}.tmp`
+    fs.writeFileSync(tmpPath, JSON.stringify(memory.dump()))
+    fs.renameSync(tmpPath, filePath)
+  }
+
+  const memory = createMemoryRateLimitStore({
+    entries,
+    onChange: () => {
+      if (timer) return
+      timer = setTimeout(() => {
+        try {
+          flush()
+        } catch (err) {
+          console.error('Rate limit store could not be saved:', err.message)
+        }
+      }, flushDelayMs)
+      timer.unref()
+    }
+  })
+
+  return { ...memory, path: filePath, flush }
+}
@@ -0,0 +1,55 @@
+const COLLECTION = 'replyTemplates'
+
+// Placeholders the reply composer fills in when a template is inserted
+export const TEMPLATE_VARIABLES = ['name', 'subject', 'project']
+
+// Written once, the first time the library is opened, so the composer
+// isn't empty on a fresh install. Edit or delete them freely.
+const STARTERS = [
+  {
+    name: 'Internship / job offer',
+    body: 'Hi {{name}},\n\nThank you for reaching out about "{{subject}}". I\'m very interested in the opportunity and would be glad to talk further.\n\nCould you share a few more details about the role and the next steps? My resume and projects are linked on the portfolio.\n\nBest regards,'
+  },
+  {
+    name: 'Freelance quote',
+    body: 'Hi {{name}},\n\nThanks for getting in touch about {{project}}. To put together an estimate I\'d need a little more detail: the main features, any design or reference material, and your timeline and budget range.\n\nOnce I have that I can send a quote within a couple of days.\n\nBest regards,'
+  },
+  {
+    name: 'Collaboration',
+    body: 'Hi {{name}},\n\nThanks for the message about "{{subject}}" - a collaboration on {{project}} sounds interesting. When would be a good time for a short call to talk it through?\n\nBest regards,'
+  }
+]
+
+// Saved replies for the admin inbox: { id, name, body, createdAt, updatedAt }
+export function createReplyTemplates(store) {
+  const ensureStarters = () => {
+    if (store.meta('replyTemplatesSeeded')) return
+    const now = new Date().toISOString()
+    STARTERS.forEach(template => store.insert(COLLECTION, { ...template, createdAt: now, updatedAt: now }))
+    store.setMeta('replyTemplatesSeeded', true)
+  }
+
+  return {
+    list() {
+      ensureStarters()
+      return store.list(COLLECTION).sort((a, b) => a.name.localeCompare(b.name))
+    },
+
+    get(id) {
+      return store.get(COLLECTION, id)
+    },
+
+    create({ name, body }) {
+      const now = new Date().toISOString()
+      return store.insert(COLLECTION, { name, body, createdAt: now, updatedAt: now })
+    },
+
+    update(id, { name, body }) {
+      return store.update(COLLECTION, id, { name, body, updatedAt: new Date().toISOString() })
+    },
+
+    remove(id) {
+      return store.remove(COLLECTION, id)
+    }
+  }
+}
@@ -0,0 +1,35 @@
+import crypto from 'crypto'
+
+// Compact signed tokens: base64url(JSON payload) + "." + base64url(HMAC-SHA256).
+// Used for stateless things the server hands out and later checks, such as
+// contact form tokens. Each use derives its own key from the app secret so a
+// token minted for one purpose is never valid for another.
+
+const b64url = buffer => Buffer.from(buffer).toString('base64url')
+
+export function deriveKey(secret, purpose) {
+  return crypto.createHmac('sha256', secret).update(`portfolio:${purpose}`).digest()
+}
+
+export function signToken(payload, key) {
+  const body = b64url(JSON.stringify(payload))
+  const mac = b64url(crypto.createHmac('sha256', key).update(body).digest())
+  return `${body}.${mac}`
+}
+
+// Returns the payload, or null if the token is malformed or the signature is wrong
+export function verifyToken(token, key) {
+  if (typeof token !== 'string') return null
+  const [body, mac] = token.split('.')
+  if (!body || !mac) return null
+
+  const expected = crypto.createHmac('sha256', key).update(body).digest()
+  const actual = Buffer.from(mac, 'base64url')
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null
+
+  try {
+    return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'))
+  } catch {
+    return null
+  }
+}
@@ -0,0 +1,108 @@
+import crypto from 'crypto'
+import { signToken, verifyToken } from './signing.js'
+
+// Spam checks for the contact form, with no third-party captcha:
+//  - a hidden honeypot field real visitors never fill in
+//  - a signed token issued when the form renders; submissions that come
+//    back too quickly (or without one) are almost always bots
+//  - content heuristics: links, repetition and common spam phrases
+//  - an optional trained classifier (see classifier.js) whose verdict adds
+//    to, or for confidently clean messages subtracts from, the score
+// Each check adds to a score; at or above `threshold` the message is
+// quarantined instead of emailed.
+
+export const HONEYPOT_FIELD = 'website'
+
+const SPAM_PHRASES = [
+  'seo services', 'backlinks', 'guest post', 'first page of google', 'rank your website',
+  'increase your traffic', 'web traffic', 'increase your sales', 'lead generation',
+  'bitcoin', 'crypto', 'forex', 'investment opportunity', 'casino', 'viagra', 'cialis',
+  'loan offer', 'work from home', 'make money', 'click here', 'limited time offer',
+  'dear sir/madam', 'dear sir or madam', 'whatsapp me', 'contact me on telegram',
+  'unsubscribe'
+].map(phrase => ({
+  phrase,
+  // Whole words only: 'crypto' shouldn't catch "cryptography"
+  pattern: new RegExp(`(?<![\\p{L}\\p{N}])${phrase.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}(?![\\p{L}\\p{N}])`, 'u')
+}))
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi
+const HAS_LINK = /\b(?:https?:\/\/|www\.)/i
+
+const hash = text => crypto.createHash('sha256').update(text.trim().toLowerCase()).digest('hex')
+
+export function createSpamFilter({
+  key,
+  threshold = 5,
+  minFillMs = 3000,
+  maxTokenAgeMs = 24 * 60 * 60 * 1000,
+  recentMessages = () => [],
+  classify = () => null
+}) {
+  const issueToken = () => signToken({ t: Date.now(), n: crypto.randomBytes(6).toString('base64url') }, key)
+
+  const checkToken = (token) => {
+    const payload = verifyToken(token, key)
+    if (!payload || typeof payload.t !== 'number') return { score: 4, reason: 'missing or invalid form token' }
+    const age = Date.now() - payload.t
+    if (age < minFillMs) return { score: 5, reason: `submitted ${age}ms after the form loaded` }
+    if (age > maxTokenAgeMs) return { score: 2, reason: 'expired form token' }
+    return null
+  }
+
+  const checkContent = ({ name, subject, message }) => {
+    const hits = []
+    const text = `${subject}\n${message}`
+    const lower = text.toLowerCase()
+
+    const links = (text.match(LINK_PATTERN) || []).length
+    if (links >= 3) hits.push({ score: 2 + (links - 3), reason: `${links} links` })
+    else if (links === 2) hits.push({ score: 1, reason: '2 links' })
+    if (/\[url=|<a\s+href/i.test(text)) hits.push({ score: 3, reason: 'link markup' })
+    if (HAS_LINK.test(name) || /@/.test(name)) hits.push({ score: 3, reason: 'link or address in name' })
+
+    const phrases = SPAM_PHRASES.filter(({ pattern }) => pattern.test(lower)).map(({ phrase }) => phrase)
+    if (phrases.length) hits.push({ score: Math.min(6, phrases.length * 2), reason: `spam phrases: ${phrases.join(', ')}` })
+
+    const words = message.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []
+    if (words.length >= 20 && new Set(words).size / words.length < 0.3) {
+      hits.push({ score: 2, reason: 'highly repetitive wording' })
+    }
+    if (/(.)\1{9,}/.test(message)) hits.push({ score: 1, reason: 'repeated characters' })
+
+    const letters = message.replace(/[^\p{L}]/gu, '')
+    if (letters.length >= 20 && letters.replace(/[^\p{Lu}]/gu, '').length / letters.length > 0.7) {
+      hits.push({ score: 1, reason: 'mostly capital letters' })
+    }
+
+    const fingerprint = hash(message)
+    const duplicates = recentMessages().filter(m => hash(m) === fingerprint).length
+    if (duplicates) hits.push({ score: Math.min(4, 2 + duplicates), reason: `same message sent ${duplicates} time(s) recently` })
+
+    return hits
+  }
+
+  return {
+    issueToken,
+
+    // body: the raw request body (fields plus honeypot and form token)
+    evaluate(body, fields) {
+      const hits = []
+      if (String(body[HONEYPOT_FIELD] || '').trim()) hits.push({ score: 10, reason: 'honeypot field filled' })
+      const tokenHit = checkToken(body.formToken)
+      if (tokenHit) hits.push(tokenHit)
+      hits.push(...checkContent(fields))
+
+      const probability = classify(fields)
+      if (probability !== null) {
+        const reason = `classifier: ${Math.round(probability * 100)}% spam`
+        if (probability >= 0.95) hits.push({ score: 5, reason })
+        else if (probability >= 0.8) hits.push({ score: 3, reason })
+        else if (probability <= 0.05) hits.push({ score: -2, reason })
+      }
+
+      const score = hits.reduce((sum, hit) => sum + hit.score, 0)
+      return { score, probability, reasons: hits.map(hit => hit.reason), isSpam: score >= threshold }
+    }
+  }
+}
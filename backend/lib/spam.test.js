@@ -0,0 +1,20 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createSpamFilter } from './spam.js'
+
+const filter = createSpamFilter({ key: 'test-key' })
+const phraseReasons = (message) => {
+  const fields = { name: 'Ada', email: 'ada@example.com', subject: 'Hello', message }
+  return filter.evaluate({}, fields).reasons.filter(reason => reason.startsWith('spam phrases'))
+}
+
+test('spam phrases only match whole words', () => {
+  assert.deepEqual(phraseReasons('I work on cryptography and forexample parsers'), [])
+  assert.deepEqual(phraseReasons('I unsubscribed from those casinos'), [])
+  assert.deepEqual(phraseReasons('Buy crypto now, click here!'), ['spam phrases: crypto, click here'])
+  assert.deepEqual(phraseReasons('Dear Sir/Madam, bitcoin.'), ['spam phrases: bitcoin, dear sir/madam'])
+})
+
+test('freelance inquiries about redesigns or outsourced work are not spam phrases', () => {
+  assert.deepEqual(phraseReasons('We need a website redesign and are outsourcing the frontend. Are you free in May?'), [])
+})
@@ -0,0 +1,29 @@
+import { signToken, verifyToken } from './signing.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Signed magic links to a submission's read-only status page. The token is
+// the only credential, so it carries no personal data, just the record id
+// and when it was issued; it stops working `maxAgeMs` after that.
+export function createStatusLinks({ key, baseUrl, maxAgeMs = 180 * DAY_MS }) {
+  if (!(maxAgeMs > 0)) throw new Error('Status link max age must be a positive number of days')
+  const base = baseUrl.replace(/\/+$/, '')
+
+  return {
+    token(record, now = Date.now()) {
+      return signToken({ s: record.id, iat: now }, key)
+    },
+
+    // The frontend serves the page at #/status/<token>
+    url(token) {
+      return `${base}/#/status/${token}`
+    },
+
+    // Submission id for a token, or null if it's forged, malformed or expired
+    verify(token, now = Date.now()) {
+      const payload = verifyToken(token, key)
+      if (typeof payload?.s !== 'string' || !Number.isFinite(payload.iat)) return null
+      return now - payload.iat <= maxAgeMs ? payload.s : null
+    }
+  }
+}
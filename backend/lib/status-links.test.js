@@ -0,0 +1,29 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createStatusLinks } from './status-links.js'
+import { signToken } from './signing.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const links = createStatusLinks({ key: 'status-key', baseUrl: 'https://example.com/', maxAgeMs: 30 * DAY_MS })
+
+test('a token verifies to its record id until it is older than maxAgeMs', () => {
+  const issued = Date.parse('2026-01-01T00:00:00Z')
+  const token = links.token({ id: 'record-1' }, issued)
+  assert.equal(links.verify(token, issued), 'record-1')
+  assert.equal(links.verify(token, issued + 30 * DAY_MS), 'record-1')
+  assert.equal(links.verify(token, issued + 30 * DAY_MS + 1), null)
+  assert.equal(links.url(token), `https://example.com/#/status/${token}`)
+})
+
+test('forged, tampered and undated tokens are refused', () => {
+  const token = links.token({ id: 'record-1' })
+  assert.equal(links.verify(`${token}x`), null)
+  assert.equal(links.verify(createStatusLinks({ key: 'other-key', baseUrl: 'https://example.com' }).token({ id: 'record-1' })), null)
+  // Links issued before tokens carried an issue time never expire, so they're no longer accepted
+  assert.equal(links.verify(signToken({ s: 'record-1' }, 'status-key')), null)
+  assert.equal(links.verify('garbage'), null)
+})
+
+test('the max age must be positive', () => {
+  assert.throws(() => createStatusLinks({ key: 'k', baseUrl: 'https://example.com', maxAgeMs: NaN }), /positive/)
+})
@@ -0,0 +1,135 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+
+// Small embedded document store backed by a single JSON file.
+// Collections are arrays of records kept in memory; every mutation is
+// written straight back to disk (tmp file + rename) so a crash never
+// leaves a half-written file behind. If another process (one of the
+// backend/scripts CLIs) rewrites the file, it is reloaded on next access.
+export function createStore(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+
+  let data = { meta: {}, collections: {} }
+  let loadedMtime = null
+
+  const mtimeOf = () => (fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : null)
+
+  const load = () => {
+    loadedMtime = mtimeOf()
+    if (loadedMtime === null) return
+    const raw = fs.readFileSync(filePath, 'utf8')
+    if (raw.trim()) {
+      const parsed = JSON.parse(raw)
+      data = { meta: parsed.meta || {}, collections: parsed.collections || {} }
+    }
+  }
+
+  const persist = () => {
+    const tmpPath = `${filePath}.${process.pid}.tmp`
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2))
+    fs.renameSync(tmpPath, filePath)
+    loadedMtime = mtimeOf()
+  }
+
+  // Pick up changes written by another process
+  const sync = () => {
+    if (mtimeOf() !== loadedMtime) load()
+  }
+
+  const collection = (name) => {
+    sync()
+    if (!data.collections[name]) data.collections[name] = []
+    return data.collections[name]
+  }
+
+  load()
+
+  const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)))
+
+  return {
+    path: filePath,
+
+    // Read a value from the store-wide metadata, creating it with `init` if missing
+    meta(key, init) {
+      sync()
+      if (data.meta[key] === undefined && init !== undefined) {
+        data.meta[key] = typeof init === 'function' ? init() : init
+        persist()
+      }
+      return clone(data.meta[key])
+    },
+
+    setMeta(key, value) {
+      sync()
+      data.meta[key] = value
+      persist()
+      return clone(value)
+    },
+
+    list(name, predicate) {
+      const records = collection(name)
+      return clone(predicate ? records.filter(predicate) : records)
+    },
+
+    get(name, id) {
+      return clone(collection(name).find(record => record.id === id))
+    },
+
+    findOne(name, predicate) {
+      return clone(collection(name).find(predicate))
+    },
+
+    insert(name, record) {
+      const stored = { id: record.id || crypto.randomUUID(), ...record }
+      collection(name).push(stored)
+      persist()
+      return clone(stored)
+    },
+
+    // `patch` is either a partial record or a function returning the next record
+    update(name, id, patch) {
+      const records = collection(name)
+      const index = records.findIndex(record => record.id === id)
+      if (index === -1) return null
+      const current = records[index]
+      const next = typeof patch === 'function' ? patch(clone(current)) : { ...current, ...patch }
+      records[index] = { ...next, id: current.id }
+      persist()
+      return clone(records[index])
+    },
+
+    // Create or replace a record in one write: `fn` gets the current record
+    // (undefined if there is none) and returns the next one
+    upsert(name, id, fn) {
+      const records = collection(name)
+      const index = records.findIndex(record => record.id === id)
+      const next = { ...fn(index === -1 ? undefined : clone(records[index])), id }
+      if (index === -1) records.push(next)
+      else records[index] = next
+      persist()
+      return clone(next)
+    },
+
+    // Remove every record matching `predicate` in one write; returns how many
+    removeWhere(name, predicate) {
+      const records = collection(name)
+      const kept = records.filter(record => !predicate(record))
+      const removed = records.length - kept.length
+      if (removed) {
+        data.collections[name] = kept
+        persist()
+      }
+      return removed
+    },
+
+    remove(name, id) {
+      const records = collection(name)
+      const index = records.findIndex(record => record.id === id)
+      if (index === -1) return false
+      records.splice(index, 1)
+      persist()
+      return true
+    }
+  }
+}
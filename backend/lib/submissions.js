@@ -0,0 +1,219 @@
+import crypto from 'crypto'
+
+const COLLECTION = 'submissions'
+
+export const STATUSES = ['new', 'replied', 'spam', 'archived']
+
+const HOUR = 60 * 60 * 1000
+
+// Crockford base32: no I, L, O or U, so ticket IDs survive being read aloud
+// or retyped from an email
+const TICKET_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'
+
+const ticketId = () => {
+  const chars = Array.from(crypto.randomBytes(8), byte => TICKET_ALPHABET[byte % 32]).join('')
+  return `PF-${chars.slice(0, 4)}-${chars.slice(4)}`
+}
+
+// Contact form submissions. Every validated message is stored here before
+// any email is attempted so a mail outage never loses a lead.
+export function createSubmissions(store, { ipHashSalt } = {}) {
+  const salt = ipHashSalt || store.meta('ipHashSalt', () => crypto.randomBytes(16).toString('hex'))
+
+  const hashIp = (ip) => {
+    if (!ip) return null
+    return crypto.createHash('sha256').update(`${salt}:${ip}`).digest('hex')
+  }
+
+  return {
+    hashIp,
+
+    // status: new | replied | spam | archived (new messages may start as spam
+    // when the spam filter quarantines them)
+    // clientId: the form's own id for the message, repeated on retries
+    create({ fields, clientId = null, ip, userAgent, status = 'new', spam = null }) {
+      const now = new Date().toISOString()
+      let ticket = ticketId()
+      while (store.findOne(COLLECTION, record => record.ticket === ticket)) ticket = ticketId()
+      return store.insert(COLLECTION, {
+        ticket,
+        clientId,
+        createdAt: now,
+        ipHash: hashIp(ip),
+        userAgent: userAgent || null,
+        status,
+        spam,
+        delivery: { status: 'pending', updatedAt: now, error: null },
+        fields
+      })
+    },
+
+    // status: pending | queued | retrying | sent | failed | skipped | quarantined
+    setDelivery(id, status, error = null) {
+      return store.update(COLLECTION, id, record => ({
+        ...record,
+        delivery: { status, updatedAt: new Date().toISOString(), error: error ? String(error) : null }
+      }))
+    },
+
+    // Remember the Message-ID of each email sent about a submission so
+    // later replies can thread onto it
+    recordMessageId(id, kind, messageId) {
+      return store.update(COLLECTION, id, record => ({
+        ...record,
+        messageIds: { ...record.messageIds, [kind]: messageId }
+      }))
+    },
+
+    // Move a message between inbox states. Moving into or out of spam also
+    // labels it for the classifier, so triage doubles as training data.
+    setStatus(id, status) {
+      return store.update(COLLECTION, id, record => {
+        const next = { ...record, status, statusChangedAt: new Date().toISOString() }
+        if (status === 'spam') next.label = 'spam'
+        else if (record.status === 'spam' || record.label === 'spam') next.label = 'ham'
+        if (next.label !== record.label) next.labelledAt = new Date().toISOString()
+        return next
+      })
+    },
+
+    markRead(id) {
+      return store.update(COLLECTION, id, record => (record.readAt ? record : { ...record, readAt: new Date().toISOString() }))
+    },
+
+    // Replies sent from the admin inbox, kept on the message as its thread:
+    // { id, direction: 'outbound', at, to, subject, text, messageId, inReplyTo,
+    //   references, delivery }. The first one to be delivered stamps
+    // firstReplyAt (see setReplyDelivery).
+    addReply(id, reply) {
+      const now = new Date().toISOString()
+      let added = null
+      const record = store.update(COLLECTION, id, current => {
+        added = {
+          id: crypto.randomUUID(),
+          direction: 'outbound',
+          at: now,
+          delivery: { status: 'queued', updatedAt: now, error: null },
+          ...reply
+        }
+        return { ...current, thread: [...(current.thread || []), added] }
+      })
+      return record && { record, reply: added }
+    },
+
+    // A message counts as answered once a reply has actually been sent
+    setReplyDelivery(id, replyId, status, error = null) {
+      const now = new Date().toISOString()
+      return store.update(COLLECTION, id, record => ({
+        ...record,
+        ...(!record.firstReplyAt && status === 'sent' && { firstReplyAt: now }),
+        thread: (record.thread || []).map(entry => (entry.id !== replyId ? entry : {
+          ...entry,
+          delivery: { status, updatedAt: now, error: error ? String(error) : null }
+        }))
+      }))
+    },
+
+    // A visitor's emailed answer, matched back to its message by the inbound
+    // mail handler. Puts the message back into the inbox as new and unread.
+    // Returns null if the same email was already attached (forwarder retries).
+    addInbound(id, { from, subject, text, messageId, receivedAt }) {
+      const current = store.get(COLLECTION, id)
+      if (!current) return null
+      if (messageId && (current.thread || []).some(entry => entry.messageId === messageId)) return null
+      const now = new Date().toISOString()
+      return store.update(COLLECTION, id, record => ({
+        ...record,
+        status: 'new',
+        statusChangedAt: now,
+        readAt: null,
+        thread: [...(record.thread || []), {
+          id: crypto.randomUUID(),
+          direction: 'inbound',
+          at: receivedAt || now,
+          from,
+          subject,
+          text,
+          messageId: messageId || null
+        }]
+      }))
+    },
+
+    // Short random token for plus-addressed replies (replies+<token>@...),
+    // created the first time a reply address is handed out
+    inboundToken(id) {
+      const record = store.update(COLLECTION, id, current => (current.inboundToken ? current : {
+        ...current,
+        inboundToken: crypto.randomBytes(8).toString('hex')
+      }))
+      return record?.inboundToken || null
+    },
+
+    findByInboundToken(token) {
+      return store.findOne(COLLECTION, record => record.inboundToken === token)
+    },
+
+    // The message an email belongs to, from the Message-IDs it references
+    findByMessageId(ids) {
+      const wanted = new Set(ids)
+      return store.findOne(COLLECTION, record => [
+        record.messageIds?.notification,
+        record.messageIds?.autoReply,
+        ...(record.thread || []).map(entry => entry.messageId)
+      ].some(id => id && wanted.has(id)))
+    },
+
+    // Message-IDs of every email the visitor has received about this
+    // message, oldest first: the References chain for the next reply
+    threadReferences(record) {
+      return [record.messageIds?.autoReply, ...(record.thread || []).map(entry => entry.messageId)].filter(Boolean)
+    },
+
+    // Time to first reply across non-spam messages
+    responseStats() {
+      const messages = store.list(COLLECTION, record => record.status !== 'spam')
+      const durations = messages
+        .filter(record => record.firstReplyAt)
+        .map(record => Date.parse(record.firstReplyAt) - Date.parse(record.createdAt))
+        .sort((a, b) => a - b)
+      const within = hours => durations.filter(ms => ms <= hours * HOUR).length
+      const now = Date.now()
+
+      return {
+        total: messages.length,
+        replied: durations.length,
+        averageMs: durations.length ? Math.round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length) : null,
+        medianMs: durations.length
+          ? Math.round((durations[Math.floor((durations.length - 1) / 2)] + durations[Math.floor(durations.length / 2)]) / 2)
+          : null,
+        within24h: within(24),
+        within48h: within(48),
+        // Unanswered messages that have already missed the 48 hour promise,
+        // including ones marked replied whose reply never went out
+        overdue: messages.filter(record => ['new', 'replied'].includes(record.status) && !record.firstReplyAt && now - Date.parse(record.createdAt) > 48 * HOUR).length
+      }
+    },
+
+    // Files sent with the message (see lib/attachments.js)
+    setAttachments(id, attachments) {
+      return store.update(COLLECTION, id, { attachments })
+    },
+
+    findByClientId(clientId) {
+      return store.findOne(COLLECTION, record => record.clientId === clientId)
+    },
+
+    // Training label for the spam classifier: spam | ham
+    setLabel(id, label) {
+      return store.update(COLLECTION, id, { label, labelledAt: new Date().toISOString() })
+    },
+
+    get(id) {
+      return store.get(COLLECTION, id)
+    },
+
+    list(predicate) {
+      return store.list(COLLECTION, predicate)
+    }
+  }
+}
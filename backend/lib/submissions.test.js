@@ -0,0 +1,69 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createStore } from './store.js'
+import { createSubmissions } from './submissions.js'
+
+const HOUR = 60 * 60 * 1000
+
+const setup = fn => () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'submissions-'))
+  try {
+    const store = createStore(path.join(dir, 'store.json'))
+    const submissions = createSubmissions(store, { ipHashSalt: 'salt' })
+    // A message that arrived three days ago and was read
+    const create = () => {
+      const record = submissions.create({ fields: { name: 'Ada', email: 'ada@example.org', subject: 'Hello', message: 'Hello there' }, ip: '203.0.113.7' })
+      return store.update('submissions', record.id, { createdAt: new Date(Date.now() - 72 * HOUR).toISOString() })
+    }
+    fn({ submissions, create })
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+const reply = (submissions, record) => {
+  const { reply: entry } = submissions.addReply(record.id, { to: 'ada@example.org', subject: 'Re: Hello', text: 'Hi!' })
+  submissions.setStatus(record.id, 'replied')
+  return entry
+}
+
+test('a queued reply does not count as an answer', setup(({ submissions, create }) => {
+  const record = create()
+  reply(submissions, record)
+  assert.equal(submissions.get(record.id).firstReplyAt, undefined)
+  assert.equal(submissions.responseStats().replied, 0)
+}))
+
+test('a failed reply leaves the response stats unaffected and the message overdue', setup(({ submissions, create }) => {
+  const record = create()
+  const entry = reply(submissions, record)
+  submissions.setReplyDelivery(record.id, entry.id, 'retrying', 'Connection refused')
+  submissions.setReplyDelivery(record.id, entry.id, 'failed', 'Connection refused')
+
+  assert.equal(submissions.get(record.id).firstReplyAt, undefined)
+  const stats = submissions.responseStats()
+  assert.equal(stats.replied, 0)
+  assert.equal(stats.averageMs, null)
+  assert.equal(stats.within48h, 0)
+  assert.equal(stats.overdue, 1)
+}))
+
+test('the first delivered reply stamps firstReplyAt, later ones keep it', setup(({ submissions, create }) => {
+  const record = create()
+  const first = reply(submissions, record)
+  submissions.setReplyDelivery(record.id, first.id, 'sent')
+  const answeredAt = submissions.get(record.id).firstReplyAt
+  assert.ok(Date.now() - Date.parse(answeredAt) < 1000)
+
+  const second = reply(submissions, record)
+  submissions.setReplyDelivery(record.id, second.id, 'sent')
+  assert.equal(submissions.get(record.id).firstReplyAt, answeredAt)
+
+  const stats = submissions.responseStats()
+  assert.equal(stats.replied, 1)
+  assert.equal(stats.overdue, 0)
+  assert.equal(stats.within48h, 0)
+}))
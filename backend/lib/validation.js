@@ -0,0 +1,38 @@
+import { validate } from '../../shared/contactSchema.js'
+import { normalizeText } from './mail/render.js'
+
+// A body value the way validation sees it: text Unicode-normalised and
+// trimmed, anything else as sent
+export const normalizeField = value => (typeof value === 'string' ? normalizeText(value).trim() : value)
+
+// Express middleware validating req.body against a schema from shared/,
+// the same one the frontend validates with. Text fields are Unicode-
+// normalised first; on success they're replaced by the trimmed values, which
+// are also kept on their own in `req.validated`.
+// Errors keep the `{ type, path, msg, location }` shape the API already used.
+// `schema` may also be a function of the request, for schemas that depend on
+// the submission (the contact form's inquiry type); it should read the body
+// through normalizeField so it picks the schema validation will agree with.
+export function validateBody(schemaOrFn) {
+  return (req, res, next) => {
+    const schema = typeof schemaOrFn === 'function' ? schemaOrFn(req) : schemaOrFn
+    const input = {}
+    for (const field of Object.keys(schema)) {
+      const value = req.body?.[field]
+      input[field] = typeof value === 'string' ? normalizeText(value) : value
+    }
+
+    const { valid, errors, values } = validate(schema, input)
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.entries(errors).map(([path, msg]) => ({ type: 'field', path, msg, location: 'body' }))
+      })
+    }
+
+    req.body = { ...req.body, ...values }
+    req.validated = values
+    next()
+  }
+}
@@ -0,0 +1,38 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { validateBody, normalizeField } from './validation.js'
+import { inquirySchema } from '../../shared/inquiryTypes.js'
+
+const contact = { name: 'Ada Lovelace', email: 'ada@example.org', subject: 'A role for you', message: 'We would like to talk about a role.' }
+
+// Run the contact form's validation; the response status, or 'next' with the request
+const run = (body) => {
+  const req = { body }
+  let outcome = null
+  const res = { status: code => ({ json: payload => { outcome = { status: code, payload } } }) }
+  validateBody(request => inquirySchema(normalizeField(request.body?.inquiryType)))(req, res, () => { outcome = { status: 'next', req } })
+  return outcome
+}
+
+test('the schema is picked from the inquiry type as validation normalises it', () => {
+  for (const inquiryType of ['job ', ' job', 'ｊｏｂ', 'job​']) {
+    const { status, payload } = run({ ...contact, inquiryType, company: 'x'.repeat(500) })
+    assert.equal(status, 400, JSON.stringify(inquiryType))
+    assert.deepEqual(payload.errors.map(error => error.path).sort(), ['company', 'role'])
+  }
+})
+
+test('req.validated holds only the schema fields, normalised and trimmed', () => {
+  const { status, req } = run({ ...contact, inquiryType: 'ｊｏｂ ', company: ' Analytical Engines ', role: 'Engineer', extra: '<b>not checked</b>' })
+  assert.equal(status, 'next')
+  assert.equal(req.validated.inquiryType, 'job')
+  assert.equal(req.validated.company, 'Analytical Engines')
+  assert.equal('extra' in req.validated, false)
+})
+
+test('email addresses are trimmed and lower-cased like the blocklist and rate limiter keys', () => {
+  const { status, req } = run({ ...contact, email: '  Ada.Lovelace@Example.ORG ' })
+  assert.equal(status, 'next')
+  assert.equal(req.validated.email, 'ada.lovelace@example.org')
+  assert.equal(req.body.email, 'ada.lovelace@example.org')
+})
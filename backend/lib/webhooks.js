@@ -0,0 +1,171 @@
+import crypto from 'crypto'
+import { createOutbox } from './outbox.js'
+
+const COLLECTION = 'webhooks'
+const DELIVERIES = 'webhookDeliveries'
+const SETTLED = ['sent', 'failed', 'cancelled']
+
+export const WEBHOOK_EVENTS = ['contact.created', 'contact.replied', 'apk.downloaded']
+
+// Receivers verify a delivery by recomputing
+//   HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<raw body>")
+// and comparing it with X-Webhook-Signature ("sha256=<hex>"). Including the
+// timestamp lets them reject old deliveries being replayed.
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+}
+
+const newSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`
+
+// Secrets are shown in full only when created or rotated
+const publicEndpoint = ({ secret, ...endpoint }) => ({ ...endpoint, secretHint: `…${secret.slice(-4)}` })
+
+// Outbound webhooks. Admin-registered endpoints subscribe to events; every
+// dispatch becomes one delivery job per endpoint in the 'webhookDeliveries'
+// collection, sent and retried with backoff by an outbox worker. The job's
+// attempts double as the delivery log. Jobs still queued for an endpoint that
+// has since been removed or disabled are cancelled rather than sent (test
+// pings to a disabled endpoint still go out). Payloads carry visitors'
+// messages, so only the newest `keepDeliveries` settled deliveries per
+// endpoint are kept.
+export function createWebhooks(store, {
+  fetch = globalThis.fetch,
+  timeoutMs = 10 * 1000,
+  keepDeliveries = 50,
+  ...outboxOptions
+} = {}) {
+  const send = async ({ webhookId, payload }) => {
+    const endpoint = store.get(COLLECTION, webhookId)
+    if (!endpoint) throw new Error('Webhook endpoint was removed')
+
+    const body = JSON.stringify(payload)
+    const timestamp = Math.floor(Date.now() / 1000)
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), timeoutMs)
+
+    try {
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'portfolio-webhooks/1.0',
+          'X-Webhook-Id': payload.id,
+          'X-Webhook-Event': payload.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(endpoint.secret, timestamp, body)
+        },
+        body,
+        signal: controller.signal,
+        redirect: 'manual'
+      })
+      if (!response.ok) {
+        const error = new Error(`Endpoint responded ${response.status}`)
+        error.statusCode = response.status
+        throw error
+      }
+      return { statusCode: response.status }
+    } catch (err) {
+      if (err.name === 'AbortError') throw new Error(`Timed out after ${timeoutMs}ms`)
+      throw err
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  const cancelReason = ({ message }) => {
+    const endpoint = store.get(COLLECTION, message.webhookId)
+    if (!endpoint) return 'Webhook endpoint was removed'
+    if (!endpoint.active && message.payload.event !== 'ping') return 'Webhook endpoint is disabled'
+    return null
+  }
+
+  const deliveries = createOutbox(store, {
+    collection: DELIVERIES,
+    label: 'Webhooks',
+    deliver: send,
+    cancelReason,
+    ...outboxOptions
+  })
+
+  // Deliveries are stored oldest first, so everything before the last
+  // `keepDeliveries` settled ones goes, in one write
+  const prune = (webhookId) => {
+    const stale = new Set(deliveries.list(job => job.meta.webhookId === webhookId && SETTLED.includes(job.status))
+      .slice(0, -keepDeliveries)
+      .map(job => job.id))
+    if (stale.size) store.removeWhere(DELIVERIES, job => stale.has(job.id))
+  }
+
+  const enqueue = (endpoint, event, data) => {
+    const payload = { id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), data }
+    const delivery = deliveries.enqueue({ type: event, message: { webhookId: endpoint.id, payload }, meta: { webhookId: endpoint.id } })
+    prune(endpoint.id)
+    return delivery
+  }
+
+  return {
+    list() {
+      return store.list(COLLECTION).map(publicEndpoint)
+    },
+
+    get(id) {
+      const endpoint = store.get(COLLECTION, id)
+      return endpoint && publicEndpoint(endpoint)
+    },
+
+    // Returns the endpoint including its secret, for the admin to copy once
+    create({ url, events, description = '' }) {
+      const now = new Date().toISOString()
+      return store.insert(COLLECTION, { url, events, description, active: true, secret: newSecret(), createdAt: now, updatedAt: now })
+    },
+
+    update(id, changes) {
+      const endpoint = store.update(COLLECTION, id, { ...changes, updatedAt: new Date().toISOString() })
+      return endpoint && publicEndpoint(endpoint)
+    },
+
+    rotateSecret(id) {
+      return store.update(COLLECTION, id, { secret: newSecret(), updatedAt: new Date().toISOString() })
+    },
+
+    remove(id) {
+      return store.remove(COLLECTION, id)
+    },
+
+    // Queue `event` for every active endpoint subscribed to it. Never throws:
+    // a webhook problem must not break the request that triggered it.
+    dispatch(event, data) {
+      try {
+        store.list(COLLECTION, endpoint => endpoint.active && endpoint.events.includes(event))
+          .forEach(endpoint => enqueue(endpoint, event, data))
+      } catch (err) {
+        console.error(`Webhook dispatch of ${event} failed:`, err.message)
+      }
+    },
+
+    // A "ping" delivery to one endpoint, whatever it subscribes to
+    test(id) {
+      const endpoint = store.get(COLLECTION, id)
+      return endpoint && enqueue(endpoint, 'ping', { message: 'Test delivery from the portfolio admin' })
+    },
+
+    // Delivery log, newest first
+    deliveries(webhookId, { limit = 50 } = {}) {
+      return deliveries.list(job => job.meta.webhookId === webhookId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit)
+    },
+
+    delivery(id) {
+      return deliveries.get(id)
+    },
+
+    // Only failed deliveries can be retried; null otherwise
+    retryDelivery(id) {
+      return deliveries.retry(id)
+    },
+
+    start: () => deliveries.start(),
+    stop: () => deliveries.stop()
+  }
+}
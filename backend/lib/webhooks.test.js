@@ -0,0 +1,147 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createStore } from './store.js'
+import { createWebhooks, signPayload } from './webhooks.js'
+
+// A webhooks instance on a temp store whose fetch answers with `statuses`
+// in turn (the last one repeating) and records every request
+const setup = (fn, { statuses = [200], ...options } = {}) => async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'))
+  const requests = []
+  const fetch = async (url, init) => {
+    requests.push({ url, ...init, at: Date.now() })
+    const status = statuses[Math.min(requests.length - 1, statuses.length - 1)]
+    return { ok: status < 300, status }
+  }
+  const webhooks = createWebhooks(createStore(path.join(dir, 'store.json')), { fetch, pollIntervalMs: 5, ...options })
+  try {
+    await fn({ webhooks, requests })
+  } finally {
+    webhooks.stop()
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+// Wait for the endpoint's only delivery to reach one of `statuses`
+const settled = async (webhooks, webhookId, statuses = ['sent', 'failed', 'cancelled']) => {
+  for (let i = 0; i < 200; i++) {
+    const [delivery] = webhooks.deliveries(webhookId)
+    if (delivery && statuses.includes(delivery.status)) return delivery
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+  throw new Error('Delivery did not settle')
+}
+
+// What a receiver does with a delivery
+const verify = (secret, headers, body, toleranceSeconds = 300) => {
+  const timestamp = Number(headers['X-Webhook-Timestamp'])
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false
+  const expected = Buffer.from(signPayload(secret, timestamp, body))
+  const actual = Buffer.from(headers['X-Webhook-Signature'] || '')
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+}
+
+test('signPayload is HMAC-SHA256 over "<timestamp>.<body>"', () => {
+  const body = '{"event":"ping"}'
+  const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex')
+  assert.equal(signPayload('whsec_test', 1700000000, body), `sha256=${expected}`)
+  assert.notEqual(signPayload('whsec_test', 1700000001, body), signPayload('whsec_test', 1700000000, body))
+})
+
+test('deliveries are signed with the endpoint secret and verify on the receiving end', setup(async ({ webhooks, requests }) => {
+  const endpoint = webhooks.create({ url: 'https://hooks.example.com/in', events: ['contact.created'] })
+  webhooks.dispatch('contact.created', { ticket: 'PF-ABCD-EFGH' })
+  assert.equal((await settled(webhooks, endpoint.id)).status, 'sent')
+
+  const [{ url, headers, body }] = requests
+  assert.equal(url, 'https://hooks.example.com/in')
+  assert.equal(JSON.parse(body).data.ticket, 'PF-ABCD-EFGH')
+  assert.equal(headers['X-Webhook-Event'], 'contact.created')
+  assert.ok(verify(endpoint.secret, headers, body))
+  assert.ok(!verify('whsec_wrong', headers, body))
+  assert.ok(!verify(endpoint.secret, headers, body.replace('PF-ABCD-EFGH', 'PF-ZZZZ-ZZZZ')))
+  assert.ok(!verify(endpoint.secret, { ...headers, 'X-Webhook-Timestamp': String(Number(headers['X-Webhook-Timestamp']) - 600) }, body))
+}))
+
+test('failed deliveries are retried with growing delays until one succeeds', setup(async ({ webhooks, requests }) => {
+  const endpoint = webhooks.create({ url: 'https://hooks.example.com/in', events: ['contact.created'] })
+  webhooks.start()
+  webhooks.dispatch('contact.created', {})
+  const delivery = await settled(webhooks, endpoint.id)
+
+  assert.equal(delivery.status, 'sent')
+  assert.deepEqual(delivery.attempts.map(attempt => [attempt.ok, attempt.statusCode]), [[false, 500], [false, 503], [true, 200]])
+  assert.equal(delivery.lastError, 'Endpoint responded 503')
+  // Backoff doubles, with ±25% jitter, from baseDelayMs
+  assert.ok(requests[1].at - requests[0].at >= 0.75 * 20)
+  assert.ok(requests[2].at - requests[1].at >= 0.75 * 40)
+}, { statuses: [500, 503, 200], baseDelayMs: 20, maxDelayMs: 1000 }))
+
+test('a delivery that keeps failing stops at maxAttempts and can be retried', setup(async ({ webhooks, requests }) => {
+  const endpoint = webhooks.create({ url: 'https://hooks.example.com/in', events: ['contact.created'] })
+  webhooks.start()
+  webhooks.dispatch('contact.created', {})
+  const failed = await settled(webhooks, endpoint.id)
+  assert.equal(failed.status, 'failed')
+  assert.equal(failed.attempts.length, 2)
+  assert.equal(failed.nextAttemptAt, null)
+  assert.equal(requests.length, 2)
+
+  assert.equal(webhooks.retryDelivery(failed.id).maxAttempts, 4)
+  assert.equal((await settled(webhooks, endpoint.id, ['failed'])).attempts.length, 4)
+}, { statuses: [500], maxAttempts: 2, baseDelayMs: 5 }))
+
+test('only failed deliveries can be retried', setup(async ({ webhooks, requests }) => {
+  const endpoint = webhooks.create({ url: 'https://hooks.example.com/in', events: ['contact.created'] })
+  webhooks.dispatch('contact.created', {})
+  const sent = await settled(webhooks, endpoint.id)
+  assert.equal(sent.status, 'sent')
+
+  assert.equal(webhooks.retryDelivery(sent.id), null)
+  assert.equal(webhooks.retryDelivery('no-such-delivery'), null)
+  assert.equal(webhooks.delivery(sent.id).status, 'sent')
+  await new Promise(resolve => setTimeout(resolve, 30))
+  assert.equal(requests.length, 1)
+}))
+
+test('only the newest keepDeliveries settled deliveries are kept per endpoint', setup(async ({ webhooks }) => {
+  const endpoint = webhooks.create({ url: 'https://hooks.example.com/in', events: ['contact.created'] })
+  const other = webhooks.create({ url: 'https://hooks.example.com/other', events: ['contact.created'] })
+  for (let ticket = 1; ticket <= 4; ticket++) {
+    webhooks.dispatch('contact.created', { ticket })
+    await settled(webhooks, endpoint.id)
+    await settled(webhooks, other.id)
+  }
+
+  // Pruned when the next delivery is queued: two settled ones plus the new one
+  const tickets = id => webhooks.deliveries(id).map(delivery => delivery.message.payload.data.ticket).sort()
+  assert.deepEqual(tickets(endpoint.id), [2, 3, 4])
+  assert.deepEqual(tickets(other.id), [2, 3, 4])
+}, { keepDeliveries: 2 }))
+
+test('queued deliveries for a removed endpoint are cancelled, not sent', setup(async ({ webhooks, requests }) => {
+  const endpoint = webhooks.create({ url: 'https://hooks.example.com/in', events: ['contact.created'] })
+  webhooks.dispatch('contact.created', {})
+  webhooks.remove(endpoint.id)
+  const delivery = await settled(webhooks, endpoint.id)
+  assert.equal(delivery.status, 'cancelled')
+  assert.equal(delivery.lastError, 'Webhook endpoint was removed')
+  assert.equal(requests.length, 0)
+}))
+
+test('deliveries for a disabled endpoint are cancelled, but test pings still go out', setup(async ({ webhooks, requests }) => {
+  const endpoint = webhooks.create({ url: 'https://hooks.example.com/in', events: ['contact.created'] })
+  webhooks.dispatch('contact.created', {})
+  webhooks.update(endpoint.id, { active: false })
+  assert.equal((await settled(webhooks, endpoint.id)).lastError, 'Webhook endpoint is disabled')
+  assert.equal(requests.length, 0)
+
+  webhooks.test(endpoint.id)
+  await new Promise(resolve => setTimeout(resolve, 50))
+  assert.deepEqual(webhooks.deliveries(endpoint.id).map(delivery => delivery.status).sort(), ['cancelled', 'sent'])
+  assert.equal(JSON.parse(requests[0].body).event, 'ping')
+}))
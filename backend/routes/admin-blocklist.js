@@ -0,0 +1,54 @@
+import express from 'express'
+import { parseBlocklistEntry, BLOCKLIST_LISTS, BLOCKLIST_KINDS } from '../lib/blocklist.js'
+
+const MAX_HITS_PAGE = 500
+
+// /api/admin/blocklist — block and allow entries for inbound messages, the
+// log of what they caught, and the disposable-domain list.
+// Mounted behind adminAuth.requireAdmin.
+export function createAdminBlocklistRouter({ blocklist, disposableUrl }) {
+  const router = express.Router()
+
+  router.get('/', (req, res) => {
+    res.json({
+      success: true,
+      entries: blocklist.list(),
+      disposable: blocklist.disposable(),
+      lists: BLOCKLIST_LISTS,
+      kinds: BLOCKLIST_KINDS
+    })
+  })
+
+  // { list: 'block' | 'allow', kind: 'ip' | 'email' | 'domain', value, note? }
+  router.post('/', (req, res) => {
+    const { error, ...entry } = parseBlocklistEntry(req.body)
+    if (error) return res.status(400).json({ success: false, message: error })
+    const added = blocklist.add(entry)
+    if (!added) return res.status(409).json({ success: false, message: `${entry.value} is already on the ${entry.list} list` })
+    res.status(201).json({ success: true, entry: added })
+  })
+
+  router.get('/hits', (req, res) => {
+    const limit = Math.min(MAX_HITS_PAGE, Math.max(1, Number.parseInt(req.query.limit, 10) || 100))
+    res.json({ success: true, hits: blocklist.hits({ limit }) })
+  })
+
+  // Fetch a fresh disposable-domain list from DISPOSABLE_DOMAINS_URL
+  router.post('/disposable/update', async (req, res) => {
+    try {
+      res.json({ success: true, disposable: await blocklist.updateDisposable(disposableUrl) })
+    } catch (err) {
+      console.error('Disposable domain list update failed:', err.message)
+      res.status(502).json({ success: false, message: `Update failed: ${err.message}` })
+    }
+  })
+
+  router.delete('/:id', (req, res) => {
+    if (!blocklist.remove(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Entry not found' })
+    }
+    res.json({ success: true })
+  })
+
+  return router
+}
@@ -0,0 +1,163 @@
+import express from 'express'
+import { STATUSES } from '../lib/submissions.js'
+import { normalizeText } from '../lib/mail/render.js'
+import { getInquiryType } from '../../shared/inquiryTypes.js'
+
+const PREVIEW_LENGTH = 140
+
+const summary = record => ({
+  id: record.id,
+  ticket: record.ticket || null,
+  createdAt: record.createdAt,
+  status: record.status,
+  readAt: record.readAt || null,
+  attachmentCount: record.attachments?.length || 0,
+  name: record.fields.name,
+  email: record.fields.email,
+  subject: record.fields.subject,
+  // Messages from before inquiry types existed count as general
+  inquiryType: record.fields.inquiryType || 'general',
+  preview: record.fields.message.slice(0, PREVIEW_LENGTH),
+  spamScore: record.spam?.score ?? null,
+  delivery: record.delivery?.status || null
+})
+
+const matches = (record, query) => {
+  if (!query) return true
+  const { name, email, subject, message, details = {} } = record.fields
+  const haystack = [record.ticket, name, email, subject, message, ...Object.values(details)]
+    .join('\n')
+    .toLowerCase()
+  return haystack.includes(query)
+}
+
+const MAX_REPLY_LENGTH = 10000
+
+// /api/admin/messages — the contact inbox. Mounted behind adminAuth.requireAdmin.
+// Replies go out through the outbox; `replyTo(record)` gives the address the
+// visitor's answers should go to (the inbound mailbox, or the admin's own),
+// and `onReply(record, reply)` is told about each one once it's queued.
+export function createAdminMessagesRouter({ submissions, emails, outbox, mailTransport, attachments, replyTo, onReply }) {
+  const router = express.Router()
+
+  // GET /api/admin/messages?status=new&type=job&q=react&page=1&pageSize=25
+  router.get('/', (req, res) => {
+    const status = STATUSES.includes(req.query.status) ? req.query.status : null
+    const type = getInquiryType(req.query.type)?.id || null
+    const query = String(req.query.q || '').trim().toLowerCase()
+    const pageSize = Math.min(100, Math.max(1, Number(req.query.pageSize) || 25))
+    const page = Math.max(1, Number(req.query.page) || 1)
+
+    const all = submissions.list()
+    const counts = Object.fromEntries(STATUSES.map(s => [s, 0]))
+    all.forEach(record => { counts[record.status] = (counts[record.status] || 0) + 1 })
+    const unread = all.filter(record => record.status === 'new' && !record.readAt).length
+
+    const filtered = all
+      .filter(record => (!status || record.status === status) && matches(record, query))
+      .filter(record => !type || (record.fields.inquiryType || 'general') === type)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+
+    res.json({
+      success: true,
+      messages: filtered.slice((page - 1) * pageSize, page * pageSize).map(summary),
+      total: filtered.length,
+      page,
+      pageSize,
+      counts,
+      unread
+    })
+  })
+
+  // GET /api/admin/messages/stats — time to first reply
+  router.get('/stats', (req, res) => {
+    res.json({ success: true, stats: submissions.responseStats() })
+  })
+
+  // POST /api/admin/messages/bulk  { ids: [...], status }
+  router.post('/bulk', (req, res) => {
+    const { ids, status } = req.body || {}
+    if (!Array.isArray(ids) || !ids.length || !STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `Provide ids and a status (${STATUSES.join(', ')})` })
+    }
+    const updated = ids.map(id => submissions.setStatus(String(id), status)).filter(Boolean)
+    res.json({ success: true, updated: updated.length })
+  })
+
+  // GET /api/admin/messages/:id — full message; opening it marks it read
+  router.get('/:id', (req, res) => {
+    const record = submissions.markRead(req.params.id)
+    if (!record) return res.status(404).json({ success: false, message: 'Message not found' })
+    res.json({ success: true, message: record })
+  })
+
+  // GET /api/admin/messages/:id/attachments/:attachmentId — always served
+  // as a download, never rendered inline
+  router.get('/:id/attachments/:attachmentId', (req, res) => {
+    const record = submissions.get(req.params.id)
+    const attachment = record?.attachments?.find(entry => entry.id === req.params.attachmentId)
+    const filePath = attachment && attachments.path(record.id, attachment)
+    if (!filePath) return res.status(404).json({ success: false, message: 'Attachment not found' })
+    res.download(filePath, attachment.name, {
+      headers: { 'Content-Type': attachment.mimeType, 'Cache-Control': 'private, no-store' }
+    })
+  })
+
+  // PATCH /api/admin/messages/:id  { status }
+  router.patch('/:id', (req, res) => {
+    const { status } = req.body || {}
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `Status must be one of: ${STATUSES.join(', ')}` })
+    }
+    const record = submissions.setStatus(req.params.id, status)
+    if (!record) return res.status(404).json({ success: false, message: 'Message not found' })
+    res.json({ success: true, message: record })
+  })
+
+  // POST /api/admin/messages/:id/reply  { body }
+  // Emails the visitor, threaded onto what they've already received, and
+  // records the reply on the message.
+  router.post('/:id/reply', (req, res) => {
+    const record = submissions.get(req.params.id)
+    if (!record) return res.status(404).json({ success: false, message: 'Message not found' })
+
+    const body = normalizeText(String(req.body?.body || '')).trim()
+    if (!body || body.length > MAX_REPLY_LENGTH) {
+      return res.status(400).json({ success: false, message: `Reply must be 1-${MAX_REPLY_LENGTH} characters` })
+    }
+    if (!mailTransport) {
+      return res.status(503).json({ success: false, message: 'No email service configured' })
+    }
+
+    const { name, email, subject, message } = record.fields
+    const references = submissions.threadReferences(record)
+    const reply = emails.reply({ name, subject, message, body, receivedAt: record.createdAt })
+    const inReplyTo = references[references.length - 1]
+    const replyAddress = replyTo?.(record)
+
+    const { reply: entry } = submissions.addReply(record.id, {
+      to: email,
+      subject: reply.subject,
+      text: body,
+      messageId: reply.messageId,
+      inReplyTo: inReplyTo || null,
+      references
+    })
+    outbox.enqueue({
+      type: 'reply',
+      message: {
+        to: email,
+        ...reply,
+        ...(inReplyTo && { inReplyTo, references: references.join(' ') }),
+        ...(replyAddress && { replyTo: replyAddress })
+      },
+      meta: { submissionId: record.id, replyId: entry.id }
+    })
+
+    const updated = submissions.setStatus(record.id, 'replied')
+    onReply?.(updated, entry)
+    res.json({ success: true, message: updated })
+  })
+
+  return router
+}
@@ -0,0 +1,34 @@
+import express from 'express'
+
+// /api/admin/rate-limits — keys currently blocked by a rate limit policy,
+// and lifting a block early. Mounted behind adminAuth.requireAdmin.
+export function createAdminRateLimitsRouter({ rateLimits }) {
+  const router = express.Router()
+
+  const failed = (res, err) => {
+    console.error('Rate limit store error:', err.message)
+    res.status(500).json({ success: false, message: 'Rate limit store unavailable' })
+  }
+
+  router.get('/', async (req, res) => {
+    try {
+      const summary = Object.values(rateLimits.policies).map(({ name, windowMs, max, blockMs = null, keyBy }) => ({ name, windowMs, max, blockMs, keyBy }))
+      res.json({ success: true, blocks: await rateLimits.blocks(), policies: summary })
+    } catch (err) {
+      failed(res, err)
+    }
+  })
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      if (!await rateLimits.unblock(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Block not found' })
+      }
+      res.json({ success: true })
+    } catch (err) {
+      failed(res, err)
+    }
+  })
+
+  return router
+}
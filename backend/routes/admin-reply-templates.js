@@ -0,0 +1,47 @@
+import express from 'express'
+import { normalizeText } from '../lib/mail/render.js'
+
+const MAX_NAME_LENGTH = 80
+const MAX_BODY_LENGTH = 10000
+
+// Returns { name, body } or an error message
+const parseTemplate = (input = {}) => {
+  const name = normalizeText(String(input.name || '')).replace(/\s+/g, ' ').trim()
+  const body = normalizeText(String(input.body || '')).trim()
+  if (!name || name.length > MAX_NAME_LENGTH) return { error: `Name must be 1-${MAX_NAME_LENGTH} characters` }
+  if (!body || body.length > MAX_BODY_LENGTH) return { error: `Body must be 1-${MAX_BODY_LENGTH} characters` }
+  return { name, body }
+}
+
+// /api/admin/reply-templates — canned responses for the reply composer.
+// Mounted behind adminAuth.requireAdmin.
+export function createAdminReplyTemplatesRouter({ replyTemplates, variables }) {
+  const router = express.Router()
+
+  router.get('/', (req, res) => {
+    res.json({ success: true, templates: replyTemplates.list(), variables })
+  })
+
+  router.post('/', (req, res) => {
+    const { error, ...template } = parseTemplate(req.body)
+    if (error) return res.status(400).json({ success: false, message: error })
+    res.status(201).json({ success: true, template: replyTemplates.create(template) })
+  })
+
+  router.put('/:id', (req, res) => {
+    const { error, ...template } = parseTemplate(req.body)
+    if (error) return res.status(400).json({ success: false, message: error })
+    const updated = replyTemplates.update(req.params.id, template)
+    if (!updated) return res.status(404).json({ success: false, message: 'Template not found' })
+    res.json({ success: true, template: updated })
+  })
+
+  router.delete('/:id', (req, res) => {
+    if (!replyTemplates.remove(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Template not found' })
+    }
+    res.json({ success: true })
+  })
+
+  return router
+}
@@ -0,0 +1,93 @@
+import express from 'express'
+import { normalizeText } from '../lib/mail/render.js'
+
+const MAX_DESCRIPTION_LENGTH = 200
+
+// Returns the validated subset of { url, events, description, active } that
+// was supplied, or { error }. `partial` allows omitting url/events (PATCH).
+const parseEndpoint = (input = {}, events, { partial = false } = {}) => {
+  const changes = {}
+
+  if (input.url !== undefined || !partial) {
+    let url
+    try {
+      url = new URL(String(input.url || ''))
+    } catch {
+      return { error: 'URL must be a valid http(s) URL' }
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return { error: 'URL must be a valid http(s) URL' }
+    changes.url = url.toString()
+  }
+
+  if (input.events !== undefined || !partial) {
+    if (!Array.isArray(input.events) || !input.events.length || input.events.some(event => !events.includes(event))) {
+      return { error: `Events must be one or more of: ${events.join(', ')}` }
+    }
+    changes.events = [...new Set(input.events)]
+  }
+
+  if (input.description !== undefined) {
+    changes.description = normalizeText(String(input.description)).replace(/\s+/g, ' ').trim().slice(0, MAX_DESCRIPTION_LENGTH)
+  }
+  if (input.active !== undefined) changes.active = Boolean(input.active)
+
+  return { changes }
+}
+
+// /api/admin/webhooks — outbound webhook endpoints and their delivery log.
+// Mounted behind adminAuth.requireAdmin.
+export function createAdminWebhooksRouter({ webhooks, events }) {
+  const router = express.Router()
+
+  const notFound = res => res.status(404).json({ success: false, message: 'Webhook not found' })
+
+  router.get('/', (req, res) => {
+    res.json({ success: true, webhooks: webhooks.list(), events })
+  })
+
+  router.post('/', (req, res) => {
+    const { error, changes } = parseEndpoint(req.body, events)
+    if (error) return res.status(400).json({ success: false, message: error })
+    res.status(201).json({ success: true, webhook: webhooks.create(changes) })
+  })
+
+  router.patch('/:id', (req, res) => {
+    const { error, changes } = parseEndpoint(req.body, events, { partial: true })
+    if (error) return res.status(400).json({ success: false, message: error })
+    const webhook = webhooks.update(req.params.id, changes)
+    if (!webhook) return notFound(res)
+    res.json({ success: true, webhook })
+  })
+
+  router.delete('/:id', (req, res) => {
+    if (!webhooks.remove(req.params.id)) return notFound(res)
+    res.json({ success: true })
+  })
+
+  router.post('/:id/rotate-secret', (req, res) => {
+    const webhook = webhooks.rotateSecret(req.params.id)
+    if (!webhook) return notFound(res)
+    res.json({ success: true, webhook })
+  })
+
+  router.post('/:id/test', (req, res) => {
+    const delivery = webhooks.test(req.params.id)
+    if (!delivery) return notFound(res)
+    res.status(202).json({ success: true, delivery })
+  })
+
+  router.get('/:id/deliveries', (req, res) => {
+    if (!webhooks.get(req.params.id)) return notFound(res)
+    res.json({ success: true, deliveries: webhooks.deliveries(req.params.id) })
+  })
+
+  router.post('/deliveries/:deliveryId/retry', (req, res) => {
+    const existing = webhooks.delivery(req.params.deliveryId)
+    if (!existing) return res.status(404).json({ success: false, message: 'Delivery not found' })
+    const delivery = webhooks.retryDelivery(existing.id)
+    if (!delivery) return res.status(409).json({ success: false, message: `Only failed deliveries can be retried (this one is ${existing.status})` })
+    res.json({ success: true, delivery })
+  })
+
+  return router
+}
@@ -0,0 +1,46 @@
+import express from 'express'
+
+// Owner replies only show once their email has gone out; one that is still
+// queued or failed hasn't reached the visitor
+const delivered = entry => entry.direction !== 'outbound' || entry.delivery?.status === 'sent'
+
+// What the visitor can see about their message. Spam-flagged messages read
+// as simply "received" so the page never reveals the filter's verdict.
+const statusView = (record) => {
+  const visible = record.status !== 'spam'
+  const thread = visible ? (record.thread || []).filter(delivered) : []
+  const answeredAt = thread.find(entry => entry.direction === 'outbound')?.at || null
+
+  return {
+    ticket: record.ticket,
+    subject: record.fields.subject,
+    submittedAt: record.createdAt,
+    state: !visible ? 'received' : answeredAt ? 'answered' : record.readAt ? 'read' : 'received',
+    readAt: visible ? record.readAt || null : null,
+    answeredAt,
+    thread: [
+      { author: 'visitor', at: record.createdAt, text: record.fields.message },
+      ...thread.map(entry => ({
+        author: entry.direction === 'outbound' ? 'owner' : 'visitor',
+        at: entry.at,
+        text: entry.text
+      }))
+    ]
+  }
+}
+
+// GET /api/contact/status/:token — public, read-only; the signed token from
+// the magic link is the only credential
+export function createContactStatusRouter({ submissions, statusLinks }) {
+  const router = express.Router()
+
+  router.get('/:token', (req, res) => {
+    res.set('Cache-Control', 'no-store')
+    const id = statusLinks.verify(req.params.token)
+    const record = id && submissions.get(id)
+    if (!record) return res.status(404).json({ success: false, message: 'This status link is invalid or has expired' })
+    res.json({ success: true, status: statusView(record) })
+  })
+
+  return router
+}
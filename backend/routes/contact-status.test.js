@@ -0,0 +1,66 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import { createContactStatusRouter } from './contact-status.js'
+import { createStatusLinks } from '../lib/status-links.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const record = {
+  id: 'record-1',
+  ticket: 'PF-ABCD-EFGH',
+  status: 'replied',
+  createdAt: '2026-10-01T09:00:00.000Z',
+  readAt: '2026-10-01T10:00:00.000Z',
+  firstReplyAt: '2026-10-01T11:00:00.000Z',
+  fields: { subject: 'Hello', message: 'Are you available?' },
+  thread: [
+    { direction: 'outbound', at: '2026-10-01T11:00:00.000Z', text: 'Failed reply', delivery: { status: 'failed' } },
+    { direction: 'outbound', at: '2026-10-01T12:00:00.000Z', text: 'Queued reply', delivery: { status: 'queued' } },
+    { direction: 'outbound', at: '2026-10-01T13:00:00.000Z', text: 'Delivered reply', delivery: { status: 'sent' } },
+    { direction: 'inbound', at: '2026-10-01T14:00:00.000Z', text: 'Thanks!' }
+  ]
+}
+
+const withServer = fn => async () => {
+  const statusLinks = createStatusLinks({ key: 'status-key', baseUrl: 'https://example.com', maxAgeMs: 30 * DAY_MS })
+  const records = { [record.id]: record }
+  const app = express()
+  app.use('/status', createContactStatusRouter({ submissions: { get: id => records[id] }, statusLinks }))
+  const server = app.listen(0, '127.0.0.1')
+  await new Promise(resolve => server.once('listening', resolve))
+  const get = token => fetch(`http://127.0.0.1:${server.address().port}/status/${token}`)
+  try {
+    await fn({ get, statusLinks, records })
+  } finally {
+    await new Promise(resolve => server.close(resolve))
+  }
+}
+
+test('the thread only shows owner replies that were delivered', withServer(async ({ get, statusLinks }) => {
+  const response = await get(statusLinks.token(record))
+  assert.equal(response.status, 200)
+  const { status } = await response.json()
+  assert.deepEqual(status.thread.map(entry => [entry.author, entry.text]), [
+    ['visitor', 'Are you available?'],
+    ['owner', 'Delivered reply'],
+    ['visitor', 'Thanks!']
+  ])
+  assert.equal(status.state, 'answered')
+  assert.equal(status.answeredAt, '2026-10-01T13:00:00.000Z')
+}))
+
+test('a message whose replies all failed reads as not yet answered', withServer(async ({ get, statusLinks, records }) => {
+  records[record.id] = { ...record, thread: record.thread.slice(0, 2) }
+  const { status } = await (await get(statusLinks.token(record))).json()
+  assert.equal(status.state, 'read')
+  assert.equal(status.answeredAt, null)
+  assert.equal(status.thread.length, 1)
+}))
+
+test('expired links get a 404', withServer(async ({ get, statusLinks }) => {
+  const response = await get(statusLinks.token(record, Date.now() - 31 * DAY_MS))
+  assert.equal(response.status, 404)
+  assert.equal((await response.json()).message, 'This status link is invalid or has expired')
+  assert.equal(response.headers.get('cache-control'), 'no-store')
+}))
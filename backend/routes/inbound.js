@@ -0,0 +1,41 @@
+import express from 'express'
+import crypto from 'crypto'
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a))
+  const right = Buffer.from(String(b))
+  return left.length === right.length && crypto.timingSafeEqual(left, right)
+}
+
+// /api/inbound — webhook for mail forwarders that POST the raw RFC 822
+// message (Content-Type message/rfc822 or text/plain). Authenticated with
+// `Authorization: Bearer <INBOUND_SECRET>`; disabled when no secret is set.
+// The token is checked before any of the body is read.
+export function createInboundRouter({ ingest, secret, maxSize = '10mb' }) {
+  const router = express.Router()
+
+  const authenticate = (req, res, next) => {
+    if (!secret) return res.status(404).json({ success: false, message: 'Inbound email is not enabled' })
+
+    const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '')
+    if (!safeEqual(token, secret)) return res.status(401).json({ success: false, message: 'Invalid inbound token' })
+    next()
+  }
+
+  router.post('/email', authenticate, express.raw({ type: () => true, limit: maxSize }), async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(400).json({ success: false, message: 'Expected a raw email message' })
+    }
+
+    try {
+      const recipients = [].concat(req.query.to || [])
+      // Unmatched mail is acknowledged too, so forwarders don't keep retrying it
+      res.json({ success: true, ...(await ingest(req.body, { recipients })) })
+    } catch (error) {
+      console.error('Inbound email error:', error.message)
+      res.status(500).json({ success: false, message: 'Failed to process email' })
+    }
+  })
+
+  return router
+}
@@ -0,0 +1,45 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import { createInboundRouter } from './inbound.js'
+
+const SECRET = 'inbound-secret'
+const EMAIL = 'From: ada@mailbox.org\r\nTo: replies@example.com\r\nSubject: Re: Hello\r\n\r\nThanks!\r\n'
+
+const withServer = fn => async () => {
+  const ingested = []
+  const ingest = async (raw, { recipients }) => {
+    ingested.push({ raw: raw.toString(), recipients })
+    return { matched: false }
+  }
+  const app = express()
+  app.use('/api/inbound', createInboundRouter({ ingest, secret: SECRET, maxSize: '1kb' }))
+  const server = app.listen(0, '127.0.0.1')
+  await new Promise(resolve => server.once('listening', resolve))
+  const post = (body, token) => fetch(`http://127.0.0.1:${server.address().port}/api/inbound/email?to=replies%40example.com`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'message/rfc822', ...(token && { Authorization: `Bearer ${token}` }) },
+    body
+  })
+  try {
+    await fn({ post, ingested })
+  } finally {
+    await new Promise(resolve => server.close(resolve))
+  }
+}
+
+test('a raw email with the bearer token is ingested', withServer(async ({ post, ingested }) => {
+  const response = await post(EMAIL, SECRET)
+  assert.equal(response.status, 200)
+  assert.deepEqual(await response.json(), { success: true, matched: false })
+  assert.deepEqual(ingested, [{ raw: EMAIL, recipients: ['replies@example.com'] }])
+}))
+
+test('the token is checked before the body is read', withServer(async ({ post, ingested }) => {
+  // Over maxSize: reading it would answer 413 instead
+  const oversized = 'x'.repeat(4096)
+  assert.equal((await post(oversized)).status, 401)
+  assert.equal((await post(oversized, 'wrong')).status, 401)
+  assert.equal((await post(oversized, SECRET)).status, 413)
+  assert.equal(ingested.length, 0)
+}))
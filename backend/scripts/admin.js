@@ -0,0 +1,94 @@
+// Admin account management.
+//
+//   node scripts/admin.js create <username>   add (or reset) an account in the data store
+//   node scripts/admin.js remove <username>   delete an account from the data store
+//   node scripts/admin.js list                list stored accounts
+//   node scripts/admin.js unlock <username>   lift a login lockout for a username
+//   node scripts/admin.js hash-password       print a hash for ADMIN_PASSWORD_HASH
+//
+// Passwords are read from ADMIN_PASSWORD if set, otherwise prompted for.
+import path from 'path'
+import readline from 'readline'
+import dotenv from 'dotenv'
+import { fileURLToPath } from 'url'
+import { createStore } from '../lib/store.js'
+import { hashPassword } from '../lib/auth.js'
+
+dotenv.config()
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data')
+const MIN_PASSWORD_LENGTH = 12
+
+const store = createStore(path.join(DATA_DIR, 'store.json'))
+
+// Prompt without echoing what's typed
+const promptHidden = question => new Promise((resolve) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true })
+  rl._writeToOutput = (text) => {
+    if (text.includes(question)) rl.output.write(text)
+  }
+  rl.question(question, (answer) => {
+    rl.close()
+    process.stdout.write('\n')
+    resolve(answer)
+  })
+})
+
+const readPassword = async () => {
+  if (process.env.ADMIN_PASSWORD) return process.env.ADMIN_PASSWORD
+  const password = await promptHidden('Password: ')
+  const confirm = await promptHidden('Confirm password: ')
+  if (password !== confirm) throw new Error('Passwords do not match')
+  return password
+}
+
+const checkedPassword = async () => {
+  const password = await readPassword()
+  if (password.length < MIN_PASSWORD_LENGTH) throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`)
+  return password
+}
+
+const [command, username] = process.argv.slice(2)
+
+try {
+  switch (command) {
+    case 'create': {
+      if (!username) throw new Error('Usage: admin.js create <username>')
+      const passwordHash = await hashPassword(await checkedPassword())
+      const existing = store.findOne('admins', account => account.username === username)
+      if (existing) store.update('admins', existing.id, { passwordHash, updatedAt: new Date().toISOString() })
+      else store.insert('admins', { username, passwordHash, createdAt: new Date().toISOString() })
+      console.log(`${existing ? 'Updated' : 'Created'} admin account "${username}"`)
+      break
+    }
+    case 'remove': {
+      const existing = store.findOne('admins', account => account.username === username)
+      if (!existing) throw new Error(`No stored admin account "${username}"`)
+      store.remove('admins', existing.id)
+      console.log(`Removed admin account "${username}"`)
+      break
+    }
+    case 'list': {
+      const accounts = store.list('admins')
+      if (!accounts.length) console.log('No stored admin accounts')
+      accounts.forEach(account => console.log(`${account.username}  (created ${account.createdAt})`))
+      break
+    }
+    case 'unlock': {
+      if (!username) throw new Error('Usage: admin.js unlock <username>')
+      const removed = store.removeWhere('loginFailures', record => record.username === username.toLowerCase())
+      console.log(removed ? `Unlocked "${username}"` : `"${username}" was not locked`)
+      break
+    }
+    case 'hash-password': {
+      console.log(await hashPassword(await checkedPassword()))
+      break
+    }
+    default:
+      throw new Error('Usage: admin.js <create|remove|list|unlock|hash-password> [username]')
+  }
+} catch (err) {
+  console.error(err.message)
+  process.exit(1)
+}
@@ -0,0 +1,80 @@
+// Spam classifier maintenance.
+//
+//   node scripts/spam-classifier.js retrain              train on labelled submissions and save the model
+//   node scripts/spam-classifier.js report               cross-validated accuracy on labelled submissions
+//   node scripts/spam-classifier.js label <id> <spam|ham>  label a stored submission
+//
+// Uses the same DATA_DIR as the server; a running server picks up a
+// retrained model and new labels without a restart.
+import path from 'path'
+import dotenv from 'dotenv'
+import { fileURLToPath } from 'url'
+import { createStore } from '../lib/store.js'
+import { createSubmissions } from '../lib/submissions.js'
+import { LABELS, train, evaluate, createModelFile, submissionText } from '../lib/classifier.js'
+
+dotenv.config()
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data')
+
+const store = createStore(path.join(DATA_DIR, 'store.json'))
+const submissions = createSubmissions(store, { ipHashSalt: process.env.IP_HASH_SALT })
+const modelFile = createModelFile(path.join(DATA_DIR, 'spam-model.json'))
+
+const labelledDocuments = () => submissions
+  .list(s => LABELS.includes(s.label))
+  .map(s => ({ text: submissionText(s.fields), label: s.label }))
+
+const percent = value => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`)
+
+const printReport = (documents) => {
+  const result = evaluate(documents)
+  const spam = documents.filter(doc => doc.label === 'spam').length
+  console.log(`Labelled submissions: ${result.documents} (${spam} spam, ${result.documents - spam} ham)`)
+  if (result.accuracy === null) {
+    console.log('Not enough labelled data for cross-validation yet (need both spam and ham examples).')
+    return
+  }
+  console.log(`${result.folds}-fold cross-validation:`)
+  console.log(`  accuracy   ${percent(result.accuracy)}`)
+  console.log(`  precision  ${percent(result.precision)}  (flagged messages that really were spam)`)
+  console.log(`  recall     ${percent(result.recall)}  (spam that got flagged)`)
+  console.log(`  confusion  TP ${result.truePositive}  FP ${result.falsePositive}  TN ${result.trueNegative}  FN ${result.falseNegative}`)
+  if (result.undecided) console.log(`  undecided  ${result.undecided} (a fold lacked one of the classes)`)
+}
+
+const [command, ...args] = process.argv.slice(2)
+
+switch (command) {
+  case 'retrain': {
+    const documents = labelledDocuments()
+    const model = train(documents)
+    modelFile.save(model)
+    console.log(`Model saved to ${modelFile.path} (${model.vocabularySize} tokens)`)
+    printReport(documents)
+    break
+  }
+  case 'report': {
+    const model = modelFile.current()
+    console.log(model ? `Current model trained ${model.trainedAt} on ${model.docCounts.spam + model.docCounts.ham} submissions` : 'No trained model yet')
+    printReport(labelledDocuments())
+    break
+  }
+  case 'label': {
+    const [id, label] = args
+    if (!id || !LABELS.includes(label)) {
+      console.error('Usage: spam-classifier.js label <submission-id> <spam|ham>')
+      process.exit(1)
+    }
+    if (!submissions.setLabel(id, label)) {
+      console.error(`No submission with id ${id}`)
+      process.exit(1)
+    }
+    console.log(`Labelled ${id} as ${label}. Run "retrain" to update the model.`)
+    break
+  }
+  default:
+    console.error('Usage: spam-classifier.js <retrain|report|label <id> <spam|ham>>')
+    process.exit(1)
+}
@@ -1,13 +1,41 @@
 import express from 'express'
 import cors from 'cors'
 import helmet from 'helmet'
-import rateLimit from 'express-rate-limit'
 import dotenv from 'dotenv'
-import { body, validationResult } from 'express-validator'
-import { Resend } from 'resend'
-import nodemailer from 'nodemailer'
 import path from 'path'
+import crypto from 'crypto'
 import { fileURLToPath } from 'url'
+import { createStore } from './lib/store.js'
+import { createSubmissions } from './lib/submissions.js'
+import { createOutbox } from './lib/outbox.js'
+import { createTransportFromEnv } from './lib/mail/transports.js'
+import { createEmailRenderer } from './lib/mail/emails.js'
+import { deriveKey } from './lib/signing.js'
+import { createSpamFilter } from './lib/spam.js'
+import { createProofOfWork } from './lib/pow.js'
+import { createModelFile, classify, submissionText } from './lib/classifier.js'
+import { validateBody, normalizeField } from './lib/validation.js'
+import { inquirySchema, getInquiryType, inquiryDetails, DEFAULT_INQUIRY_TYPE } from '../shared/inquiryTypes.js'
+import { createAdminAuth } from './lib/auth.js'
+import { createReplyTemplates, TEMPLATE_VARIABLES } from './lib/reply-templates.js'
+import { createInboundMail } from './lib/mail/inbound.js'
+import { startSmtpListener } from './lib/mail/smtp-listener.js'
+import { createAdminMessagesRouter } from './routes/admin-messages.js'
+import { createAdminReplyTemplatesRouter } from './routes/admin-reply-templates.js'
+import { createInboundRouter } from './routes/inbound.js'
+import { createStatusLinks } from './lib/status-links.js'
+import { createContactStatusRouter } from './routes/contact-status.js'
+import { createWebhooks, WEBHOOK_EVENTS } from './lib/webhooks.js'
+import { createAdminWebhooksRouter } from './routes/admin-webhooks.js'
+import { createActivity } from './lib/activity.js'
+import { createDigest } from './lib/digest.js'
+import { createAttachments } from './lib/attachments.js'
+import { rateLimitPolicies } from './config/rate-limits.js'
+import { createFileRateLimitStore, createMemoryRateLimitStore } from './lib/rate-limit/stores.js'
+import { createRateLimits } from './lib/rate-limit/limiter.js'
+import { createAdminRateLimitsRouter } from './routes/admin-rate-limits.js'
+import { createBlocklist } from './lib/blocklist.js'
+import { createAdminBlocklistRouter } from './routes/admin-blocklist.js'
 
 dotenv.config()
 
@@ -27,6 +55,60 @@ app.set('trust proxy', 1)
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
+// Embedded JSON store for contact submissions (kept outside the web root)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data')
+const store = createStore(path.join(DATA_DIR, 'store.json'))
+const submissions = createSubmissions(store, { ipHashSalt: process.env.IP_HASH_SALT })
+console.log(`🔧 Data store: ${store.path}`)
+
+// Secret for signed tokens; generated once and kept in the store unless set
+const APP_SECRET = process.env.APP_SECRET || store.meta('appSecret', () => crypto.randomBytes(32).toString('hex'))
+
+// Admin authentication: accounts from env or the store, cookie sessions,
+// CSRF tokens and lockout after repeated failed logins
+const adminAuth = createAdminAuth({
+  store,
+  key: deriveKey(APP_SECRET, 'admin-session'),
+  envAccount: process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD_HASH
+    ? { username: process.env.ADMIN_USERNAME, passwordHash: process.env.ADMIN_PASSWORD_HASH }
+    : null,
+  hashIp: submissions.hashIp,
+  sessionTtlMs: Number(process.env.ADMIN_SESSION_TTL_MS) || 2 * 60 * 60 * 1000,
+  maxFailures: Number(process.env.ADMIN_MAX_LOGIN_FAILURES) || 5,
+  lockoutMs: Number(process.env.ADMIN_LOCKOUT_MS) || 15 * 60 * 1000,
+  secureCookies: process.env.NODE_ENV === 'production',
+  sameSite: process.env.ADMIN_COOKIE_SAMESITE || 'Strict'
+})
+
+// Proof-of-work puzzles the contact form solves in a Web Worker
+const proofOfWork = createProofOfWork({
+  key: deriveKey(APP_SECRET, 'pow'),
+  difficulty: Number(process.env.POW_DIFFICULTY) || 16,
+  ttlMs: Number(process.env.POW_TTL_MS) || 10 * 60 * 1000
+})
+
+// Naive-Bayes model trained by `npm run spam:retrain`; reloaded when it changes
+const spamModel = createModelFile(path.join(DATA_DIR, 'spam-model.json'))
+
+// Honeypot, form-timing token, content scoring and classifier for the contact form
+const spamFilter = createSpamFilter({
+  key: deriveKey(APP_SECRET, 'form-token'),
+  threshold: Number(process.env.SPAM_THRESHOLD) || 5,
+  minFillMs: Number(process.env.SPAM_MIN_FILL_MS) || 3000,
+  recentMessages: () => {
+    const since = Date.now() - 24 * 60 * 60 * 1000
+    return submissions.list(s => Date.parse(s.createdAt) > since).map(s => s.fields.message)
+  },
+  classify: fields => classify(spamModel.current(), submissionText(fields))
+})
+
+// Magic links to each submission's read-only status page (#/status/<token>)
+const statusLinks = createStatusLinks({
+  key: deriveKey(APP_SECRET, 'status-link'),
+  baseUrl: process.env.CLIENT_URL || process.env.ZEABUR_URL || 'https://subash-s-portfolio.zeabur.app',
+  ...(process.env.STATUS_LINK_MAX_AGE_DAYS && { maxAgeMs: Number(process.env.STATUS_LINK_MAX_AGE_DAYS) * 24 * 60 * 60 * 1000 })
+})
+
 // Middleware
 // Helmet + CSP: allow Zeabur host and Google Fonts for styles and fonts
 app.use(helmet({
@@ -73,97 +155,156 @@ app.use(cors({
     process.env.ZEABUR_URL || 'https://subash-s-portfolio.zeabur.app'
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-CSRF-Token'],
+  // Let a cross-origin frontend read the rate limit state
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy'],
   optionsSuccessStatus: 200
 }))
-app.use(express.json({ limit: '10mb' }))
-app.use(express.urlencoded({ extended: true }))
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+// JSON bodies are small; files come in as multipart on /api/contact. Raw
+// email for /api/inbound is left to its router, which reads it only once
+// the forwarder's token has been checked.
+const INBOUND_PATH = /^\/api\/inbound(\/|$)/i
+const exceptInbound = parser => (req, res, next) => (INBOUND_PATH.test(req.path) ? next() : parser(req, res, next))
+app.use(exceptInbound(express.json({ limit: '100kb' })))
+app.use(exceptInbound(express.urlencoded({ extended: true })))
+
+// Rate limiting: sliding-window policies from config/rate-limits.js (tuned
+// with RATE_LIMITS), counted in DATA_DIR/rate-limits.json so they survive
+// restarts (RATE_LIMIT_STORE=memory keeps them in memory only). Limited
+// requests get the API's usual JSON error plus `retryAfter` (in seconds),
+// with the standard RateLimit-* and Retry-After headers.
+const rateLimits = createRateLimits({
+  store: process.env.RATE_LIMIT_STORE === 'memory'
+    ? createMemoryRateLimitStore()
+    : createFileRateLimitStore(path.join(DATA_DIR, 'rate-limits.json')),
+  policies: rateLimitPolicies(process.env.RATE_LIMITS),
+  hash: submissions.hashIp
 })
-app.use('/api/', limiter)
+app.use('/api/', rateLimits.limit('api'))
 
-// Contact form rate limiting (more restrictive)
-const contactLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // limit each IP to 5 contact form submissions per windowMs
-  message: 'Too many contact form submissions, please try again later.'
+// Mail transport (smtp, resend, file or memory), chosen from the environment
+const mailTransport = createTransportFromEnv(process.env, { dataDir: DATA_DIR })
+console.log(`🔧 Mail transport: ${mailTransport ? mailTransport.name : 'none'}`)
+
+// Where to send the admin notification
+const notificationEmail = process.env.EMAIL_TO || process.env.NOTIFICATION_EMAIL || 'subash.93450@gmail.com'
+
+// File-based email templates (backend/templates, overridable per deployment)
+const emails = createEmailRenderer({
+  templateDir: process.env.EMAIL_TEMPLATE_DIR,
+  contactEmail: notificationEmail,
+  // Domain used for generated Message-IDs: MAIL_DOMAIN, else the sender's domain
+  messageDomain: process.env.MAIL_DOMAIN || (process.env.EMAIL_FROM || process.env.EMAIL_USER || '').match(/@([^\s>]+)/)?.[1] || 'localhost'
 })
 
-// Resend email configuration
-const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null
-
-// Nodemailer transporter (if SMTP env vars are provided)
-let smtpTransporter = null
-const usingSMTP = !!process.env.EMAIL_HOST && !!process.env.EMAIL_USER && !!process.env.EMAIL_PASSWORD
-if (usingSMTP) {
-  smtpTransporter = nodemailer.createTransport({
-    host: process.env.EMAIL_HOST,
-    port: Number(process.env.EMAIL_PORT) || 587,
-    secure: process.env.EMAIL_PORT === '465',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASSWORD
-    }
-  })
+// Deliver an outbox message through the configured transport
+const deliverEmail = async (message) => {
+  if (!mailTransport) throw new Error('No email service configured')
+  return mailTransport.send(message)
 }
 
-const sendEmailWithResend = async (to, subject, html, replyTo = null) => {
-  if (!resend) throw new Error('Resend API key not configured')
-
-  try {
-    const emailData = {
-      from: 'Portfolio Contact <onboarding@resend.dev>',
-      to: [to],
-      subject: subject,
-      html: html
+// Background outbox: emails are queued as jobs and retried with backoff
+const outbox = createOutbox(store, {
+  deliver: deliverEmail,
+  maxAttempts: Number(process.env.OUTBOX_MAX_ATTEMPTS) || 6,
+  baseDelayMs: Number(process.env.OUTBOX_BASE_DELAY_MS) || 30 * 1000,
+  maxDelayMs: Number(process.env.OUTBOX_MAX_DELAY_MS) || 60 * 60 * 1000,
+  pollIntervalMs: Number(process.env.OUTBOX_POLL_MS) || 5000,
+  retainSentMs: Number(process.env.OUTBOX_RETAIN_SENT_MS) || 7 * 24 * 60 * 60 * 1000,
+  onSettled: (job) => {
+    // Mirror the admin notification's progress onto the stored submission,
+    // and each inbox reply's onto its entry in the message thread
+    const error = job.status === 'sent' ? null : job.lastError
+    if (job.type === 'notification' && job.meta.submissionId) {
+      submissions.setDelivery(job.meta.submissionId, job.status, error)
+    } else if (job.type === 'reply' && job.meta.replyId) {
+      submissions.setReplyDelivery(job.meta.submissionId, job.meta.replyId, job.status, error)
     }
+  }
+})
 
-    if (replyTo) {
-      emailData.reply_to = replyTo
-    }
+// Outbound webhooks (contact.created, contact.replied, apk.downloaded),
+// signed with each endpoint's secret and retried like the email outbox
+const webhooks = createWebhooks(store, {
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  baseDelayMs: Number(process.env.WEBHOOK_BASE_DELAY_MS) || 30 * 1000,
+  maxDelayMs: Number(process.env.WEBHOOK_MAX_DELAY_MS) || 6 * 60 * 60 * 1000,
+  keepDeliveries: Number(process.env.WEBHOOK_KEEP_DELIVERIES) || 50,
+  pollIntervalMs: Number(process.env.OUTBOX_POLL_MS) || 5000
+})
 
-    const result = await resend.emails.send(emailData)
-    console.log('Resend email sent successfully:', result.data?.id)
-    return result
-  } catch (error) {
-    console.error('Resend email sending failed:', error.message)
-    throw error
-  }
-}
+// What webhooks get to see of a message
+const contactEvent = record => ({
+  id: record.id,
+  ticket: record.ticket,
+  createdAt: record.createdAt,
+  ...record.fields,
+  attachments: (record.attachments || []).map(({ name, type, size }) => ({ name, type, size }))
+})
 
-const sendEmailWithSMTP = async (to, subject, html, replyTo = null) => {
-  if (!smtpTransporter) throw new Error('SMTP transporter not configured')
+// Files attached to contact messages, kept in DATA_DIR (outside the web root)
+const attachments = createAttachments({ dir: path.join(DATA_DIR, 'attachments') })
+
+// Block and allow lists for contact messages (IPs, CIDR ranges, addresses,
+// domains) plus disposable-email domains: the bundled list, or a newer one
+// downloaded from DISPOSABLE_DOMAINS_URL through the admin API
+const blocklist = createBlocklist(store, {
+  bundledDisposableFile: path.join(__dirname, 'config', 'disposable-domains.txt'),
+  disposableFile: path.join(DATA_DIR, 'disposable-domains.txt'),
+  blockDisposable: process.env.BLOCK_DISPOSABLE_EMAILS !== 'false',
+  hashIp: submissions.hashIp
+})
 
-  const mailOptions = {
-    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
-    to,
-    subject,
-    html
+// Daily counters for APK downloads and section views, summarised in the digest
+const activity = createActivity(store)
+
+// Optional scheduled digest email to the admin (DIGEST_SCHEDULE, cron syntax
+// in the server's time zone). It goes through the email outbox like any
+// other message.
+let digest = null
+if (process.env.DIGEST_SCHEDULE) {
+  try {
+    digest = createDigest({
+      store,
+      schedule: process.env.DIGEST_SCHEDULE,
+      to: process.env.DIGEST_TO || notificationEmail,
+      submissions,
+      activity,
+      outbox,
+      emails,
+      sendEmpty: process.env.DIGEST_SEND_EMPTY === 'true'
+    })
+  } catch (err) {
+    console.error(`Digest disabled: ${err.message}`)
   }
+}
 
-  if (replyTo) mailOptions.replyTo = replyTo
+// Inbound email: visitors' answers to inbox replies, received by the SMTP
+// listener (INBOUND_SMTP_PORT) or POSTed raw by a forwarder, are attached
+// to the message they answer
+const inboundMail = createInboundMail({ submissions, address: process.env.INBOUND_ADDRESS })
 
-  const info = await smtpTransporter.sendMail(mailOptions)
-  console.log('SMTP email sent:', info.messageId)
-  return info
+const ingestEmail = async (raw, options) => {
+  const result = await inboundMail.ingest(raw, options)
+  if (!result.matched) console.log('Inbound email did not match any message')
+  else if (!result.duplicate) console.log(`Inbound email attached to ${result.submissionId}`)
+  return result
 }
 
 // Handle preflight requests
 app.options('*', (req, res) => {
   res.header('Access-Control-Allow-Origin', req.headers.origin || '*')
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With')
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS')
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-CSRF-Token')
   res.header('Access-Control-Allow-Credentials', 'true')
   res.sendStatus(200)
 })
 
-// Debug endpoints (temporary) to help verify CSP and the served index
+// Debug endpoints (temporary) to help verify CSP and the served index (admin only)
+app.use('/_debug', adminAuth.requireAdmin)
+
 app.get('/_debug/csp', (req, res) => {
   const csp = res.getHeader('content-security-policy') || res.getHeader('Content-Security-Policy') || 'not-set'
   res.json({ csp })
@@ -173,6 +314,38 @@ app.get('/_debug/index', (req, res) => {
   res.sendFile(path.join(__dirname, 'dist', 'index.html'))
 })
 
+// Admin auth. Everything under /api/admin other than login needs a session.
+app.post('/api/admin/login', adminAuth.login)
+app.use('/api/admin', adminAuth.requireAdmin)
+app.get('/api/admin/session', adminAuth.session)
+app.post('/api/admin/logout', adminAuth.logout)
+app.use('/api/admin/messages', createAdminMessagesRouter({
+  submissions,
+  emails,
+  outbox,
+  mailTransport,
+  attachments,
+  replyTo: record => inboundMail.replyAddress(record) || notificationEmail,
+  onReply: (record, reply) => webhooks.dispatch('contact.replied', {
+    ...contactEvent(record),
+    reply: { id: reply.id, at: reply.at, subject: reply.subject, text: reply.text }
+  })
+}))
+app.use('/api/admin/reply-templates', createAdminReplyTemplatesRouter({
+  replyTemplates: createReplyTemplates(store),
+  variables: TEMPLATE_VARIABLES
+}))
+app.use('/api/admin/webhooks', createAdminWebhooksRouter({ webhooks, events: WEBHOOK_EVENTS }))
+app.use('/api/admin/rate-limits', createAdminRateLimitsRouter({ rateLimits }))
+app.use('/api/admin/blocklist', createAdminBlocklistRouter({
+  blocklist,
+  disposableUrl: process.env.DISPOSABLE_DOMAINS_URL ||
+    'https://raw.githubusercontent.com/disposable-email-domains/disposable-email-domains/main/disposable_email_blocklist.conf'
+}))
+
+// Raw email from a mail forwarder (INBOUND_SECRET enables it)
+app.use('/api/inbound', createInboundRouter({ ingest: ingestEmail, secret: process.env.INBOUND_SECRET }))
+
 // Routes
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -182,263 +355,177 @@ app.get('/api/health', (req, res) => {
   })
 })
 
+// Signed render-timestamp token the contact form sends back with a submission
+app.get('/api/contact/token', (req, res) => {
+  res.json({ token: spamFilter.issueToken() })
+})
+
+// Visitor-facing status of a submitted message, opened from the magic link
+app.use('/api/contact/status', createContactStatusRouter({ submissions, statusLinks }))
+
+// Section views reported by the frontend, counted for the digest
+app.post('/api/activity/section', (req, res) => {
+  if (!activity.sectionViewed(req.body?.section)) {
+    return res.status(400).json({ success: false, message: 'Unknown section' })
+  }
+  res.sendStatus(204)
+})
+
+// Signed proof-of-work challenge for the contact form
+app.get('/api/challenge', (req, res) => {
+  res.set('Cache-Control', 'no-store')
+  res.json(proofOfWork.issue())
+})
+
+// Ticket ID and status page link the visitor can follow up with
+// `confirmationSent` says whether the sender gets an auto-reply (with the
+// status link), which third-party transports don't send. Quarantined messages
+// get the same answer as real ones.
+const contactReceipt = record => ({
+  success: true,
+  message: 'Message received! I\'ll get back to you soon.',
+  ticket: record.ticket,
+  statusToken: statusLinks.token(record),
+  confirmationSent: Boolean(mailTransport && !mailTransport.thirdParty)
+})
+
 // Contact form endpoint
 app.post('/api/contact', 
-  contactLimiter,
-  [
-    body('name')
-      .trim()
-      .isLength({ min: 2, max: 50 })
-      .withMessage('Name must be between 2 and 50 characters'),
-    body('email')
-      .isEmail()
-      .normalizeEmail()
-      .withMessage('Please provide a valid email address'),
-    body('subject')
-      .trim()
-      .isLength({ min: 2, max: 100 })
-      .withMessage('Subject must be between 5 and 100 characters'),
-    body('message')
-      .trim()
-      .isLength({ min: 5, max: 1000 })
-      .withMessage('Message must be between 10 and 1000 characters')
-  ],
+  // Per IP before any upload is read...
+  rateLimits.limit('contact', { keyBy: ['ip'] }),
+  // Optional files (multipart/form-data), checked by type, size and content
+  attachments.upload,
+  // Same schema Contact.jsx validates with: the contact fields plus the
+  // chosen inquiry type's extra fields (shared/inquiryTypes.js)
+  validateBody(req => inquirySchema(normalizeField(req.body?.inquiryType))),
+  // ...and per sender address once it is known to be one
+  rateLimits.limit('contact', { keyBy: ['email'] }),
+  // Block and allow lists. Disposable addresses are told to use another one.
+  (req, res, next) => {
+    const { action, reason } = blocklist.check({ ip: req.ip, email: req.body.email }, 'contact')
+    if (action !== 'block') return next()
+    if (reason === 'disposable') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [{ type: 'field', path: 'email', msg: 'Please use a permanent email address', location: 'body' }]
+      })
+    }
+    res.status(403).json({ success: false, message: 'This message could not be accepted.' })
+  },
   async (req, res) => {
     try {
-      // Validate input
-      const errors = validationResult(req)
-      if (!errors.isEmpty()) {
+      // Check the proof-of-work solution (signature, expiry, hash, not reused)
+      // Multipart submissions carry the solution as a JSON string
+      let pow = req.body.pow
+      if (typeof pow === 'string') {
+        try { pow = JSON.parse(pow) } catch { pow = null }
+      }
+      const powError = proofOfWork.verify(pow)
+      if (powError) {
+        console.log('Contact submission rejected:', powError)
         return res.status(400).json({
           success: false,
-          message: 'Validation failed',
-          errors: errors.array()
+          message: 'Verification failed. Please reload the page and try again.'
         })
       }
 
-      const { name, email, subject, message } = req.body
-
-      // Build main notification HTML
-      const mainEmailHtml = `
-        <!DOCTYPE html>
-        <html lang="en">
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>New Contact Form Submission</title>
-          <style>
-            @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&family=Space+Grotesk:wght@500;600;700&display=swap');
-            body { margin: 0; padding: 0; font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #030014; color: #e4e4e7; }
-            .wrapper { background-color: #030014; padding: 30px 15px; }
-            .container { max-width: 700px; margin: 0 auto; background-color: #0a0a1a; border: 1px solid rgba(255,255,255,0.06); border-radius: 16px; overflow: hidden; }
-            .header { background: linear-gradient(135deg, #00d4ff 0%, #a855f7 50%, #ff2d55 100%); padding: 40px 30px; text-align: center; color: white; position: relative; }
-            .header::after { content: ''; position: absolute; bottom: 0; left: 0; right: 0; height: 30px; background: linear-gradient(to bottom, transparent, #0a0a1a); }
-            .header-badge { display: inline-block; background: rgba(0,0,0,0.25); border: 1px solid rgba(255,255,255,0.2); border-radius: 20px; padding: 4px 14px; font-size: 11px; font-weight: 500; color: rgba(255,255,255,0.9); letter-spacing: 1.5px; text-transform: uppercase; margin-bottom: 14px; }
-            .header h2 { margin: 0; font-family: 'Space Grotesk', 'Inter', sans-serif; font-size: 24px; font-weight: 700; color: #ffffff; letter-spacing: -0.5px; }
-            .header p { margin: 8px 0 0 0; font-size: 14px; color: rgba(255,255,255,0.9); font-weight: 300; }
-            .content { padding: 30px; }
-            .glass-card { background-color: rgba(255,255,255,0.03); border: 1px solid rgba(255,255,255,0.08); border-radius: 12px; padding: 22px; margin: 18px 0; }
-            .contact-info { border-left: 3px solid #00d4ff; }
-            .contact-info h3 { margin: 0 0 15px 0; font-family: 'Space Grotesk', 'Inter', sans-serif; color: #00d4ff; font-size: 16px; font-weight: 600; letter-spacing: 0.5px; }
-            .contact-info p { margin: 8px 0; color: rgba(255,255,255,0.8); font-size: 14px; }
-            .contact-info strong { color: #ffffff; font-weight: 500; }
-            .contact-info a { color: #00d4ff; text-decoration: none; }
-            .message-section { border-left: 3px solid #a855f7; }
-            .message-section h3 { margin: 0 0 15px 0; font-family: 'Space Grotesk', 'Inter', sans-serif; color: #a855f7; font-size: 15px; font-weight: 600; letter-spacing: 0.5px; }
-            .message-text { color: rgba(255,255,255,0.8); line-height: 1.7; white-space: pre-wrap; word-wrap: break-word; font-size: 14px; }
-            .timestamp { border-left: 3px solid #00ffa3; }
-            .timestamp p { margin: 0; color: rgba(255,255,255,0.75); font-size: 13px; text-align: center; }
-            .timestamp strong { color: #00ffa3; }
-            .footer { background-color: rgba(255,255,255,0.02); border-top: 1px solid rgba(255,255,255,0.06); padding: 24px 30px; text-align: center; }
-            .footer p { margin: 0; color: rgba(255,255,255,0.45); font-size: 12px; }
-          </style>
-        </head>
-        <body>
-          <div class="wrapper">
-          <div class="container">
-            <div class="header">
-              <div class="header-badge">&#9889; New Message</div>
-              <h2>New Contact Form Submission</h2>
-              <p>You have received a new message from your portfolio website</p>
-            </div>
-            <div class="content">
-              <div class="glass-card contact-info">
-                <h3>&#9670; Contact Information</h3>
-                <p><strong>Name:</strong> ${name}</p>
-                <p><strong>Email:</strong> <a href="mailto:${email}">${email}</a></p>
-                <p><strong>Subject:</strong> ${subject}</p>
-              </div>
-              <div class="glass-card message-section">
-                <h3>&#9670; Message</h3>
-                <div class="message-text">${message.replace(/\n/g, '<br>')}</div>
-              </div>
-              <div class="glass-card timestamp">
-                <p><strong>Received:</strong> ${new Date().toLocaleString('en-US', {
-                  weekday: 'long',
-                  year: 'numeric',
-                  month: 'long',
-                  day: 'numeric',
-                  hour: '2-digit',
-                  minute: '2-digit',
-                  second: '2-digit',
-                  timeZoneName: 'short'
-                })}</p>
-              </div>
-            </div>
-            <div class="footer">
-              <p>This notification was sent from your portfolio contact form.</p>
-            </div>
-          </div>
-          </div>
-        </body>
-        </html>
-      `
-
-      // Auto-reply HTML (dark portfolio-themed template)
-      const autoReplyHtml = `
-        <!DOCTYPE html>
-        <html lang="en">
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Thank you for contacting Subash</title>
-          <style>
-            @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&family=Space+Grotesk:wght@500;600;700&display=swap');
-            body { margin: 0; padding: 0; font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #030014; color: #e4e4e7; }
-            .wrapper { background-color: #030014; padding: 30px 15px; }
-            .container { max-width: 600px; margin: 0 auto; background-color: #0a0a1a; border: 1px solid rgba(255,255,255,0.06); border-radius: 16px; overflow: hidden; }
-            .header { background: linear-gradient(135deg, #00d4ff 0%, #a855f7 50%, #ff2d55 100%); padding: 50px 30px; text-align: center; position: relative; }
-            .header::after { content: ''; position: absolute; bottom: 0; left: 0; right: 0; height: 40px; background: linear-gradient(to bottom, transparent, #0a0a1a); }
-            .header-badge { display: inline-block; background: rgba(0,0,0,0.25); border: 1px solid rgba(255,255,255,0.2); border-radius: 20px; padding: 4px 14px; font-size: 11px; font-weight: 500; color: rgba(255,255,255,0.9); letter-spacing: 1.5px; text-transform: uppercase; margin-bottom: 16px; }
-            .header h1 { margin: 0; font-family: 'Space Grotesk', 'Inter', sans-serif; font-size: 28px; font-weight: 700; color: #ffffff; letter-spacing: -0.5px; }
-            .header p { margin: 12px 0 0 0; font-size: 15px; color: rgba(255,255,255,0.9); font-weight: 300; }
-            .content { padding: 40px 30px; }
-            .glass-card { background-color: rgba(255,255,255,0.03); border: 1px solid rgba(255,255,255,0.08); border-radius: 12px; padding: 22px; margin: 18px 0; }
-            .glass-card h3, .glass-card h4 { margin: 0 0 12px 0; font-family: 'Space Grotesk', 'Inter', sans-serif; font-weight: 600; }
-            .message-summary { border-left: 3px solid #00d4ff; }
-            .message-summary h3 { color: #00d4ff; font-size: 16px; letter-spacing: 0.5px; }
-            .message-summary p { margin: 6px 0; color: rgba(255,255,255,0.8); font-size: 14px; }
-            .message-summary strong { color: #ffffff; font-weight: 500; }
-            .message-content { border-left: 3px solid #a855f7; }
-            .message-content h4 { color: #a855f7; font-size: 15px; letter-spacing: 0.5px; }
-            .message-text { color: rgba(255,255,255,0.8); line-height: 1.7; white-space: pre-line; font-size: 14px; }
-            .response-info { border-left: 3px solid #00ffa3; }
-            .response-info h4 { color: #00ffa3; font-size: 15px; }
-            .response-info p { margin: 0; color: rgba(255,255,255,0.75); line-height: 1.6; font-size: 14px; }
-            .connect-section { text-align: center; margin: 28px 0 10px 0; }
-            .connect-section h4 { color: #e4e4e7; font-family: 'Space Grotesk', 'Inter', sans-serif; font-size: 16px; font-weight: 600; margin: 0 0 6px 0; }
-            .connect-section p { color: rgba(255,255,255,0.65); font-size: 13px; margin: 0 0 18px 0; }
-            .connect-links a { display: inline-block; margin: 5px 6px; padding: 10px 22px; border-radius: 8px; font-size: 13px; font-weight: 500; text-decoration: none; letter-spacing: 0.3px; }
-            .btn-cyan { background: rgba(0,212,255,0.12); border: 1px solid rgba(0,212,255,0.3); color: #00d4ff; }
-            .btn-purple { background: rgba(168,85,247,0.12); border: 1px solid rgba(168,85,247,0.3); color: #a855f7; }
-            .btn-green { background: rgba(0,255,163,0.12); border: 1px solid rgba(0,255,163,0.3); color: #00ffa3; }
-            .divider { border: none; border-top: 1px solid rgba(255,255,255,0.06); margin: 28px 0; }
-            .closing-text { color: rgba(255,255,255,0.7); text-align: center; margin: 20px 0 0 0; font-size: 14px; font-weight: 300; }
-            .footer { background-color: rgba(255,255,255,0.02); border-top: 1px solid rgba(255,255,255,0.06); padding: 32px 30px; text-align: center; }
-            .footer-name { margin: 0 0 4px 0; font-family: 'Space Grotesk', 'Inter', sans-serif; font-size: 18px; font-weight: 700; background: linear-gradient(135deg, #00d4ff, #a855f7); -webkit-background-clip: text; -webkit-text-fill-color: transparent; background-clip: text; }
-            .footer-title { margin: 0 0 4px 0; color: rgba(255,255,255,0.7); font-size: 13px; font-weight: 400; }
-            .footer-org { margin: 0; color: rgba(255,255,255,0.55); font-size: 12px; }
-            .footer-links { margin: 18px 0; }
-            .footer-links a { display: inline-block; margin: 0 10px; color: #00d4ff; text-decoration: none; font-size: 13px; font-weight: 500; }
-            .footer-links .sep { color: rgba(255,255,255,0.3); }
-            .footer-note { font-size: 11px; margin-top: 18px; color: rgba(255,255,255,0.45); }
-          </style>
-        </head>
-        <body>
-          <div class="wrapper">
-          <div class="container">
-            <!-- Header -->
-            <div class="header">
-              <div class="header-badge">&#9889; Transmission Received</div>
-              <h1>Thank You for Reaching Out!</h1>
-              <p>Your message has been received. I appreciate you taking the time to connect.</p>
-            </div>
-
-            <!-- Content -->
-            <div class="content">
-              <div class="glass-card message-summary">
-                <h3>&#9670; Message Summary</h3>
-                <p><strong>Subject:</strong> ${subject}</p>
-                <p><strong>Received:</strong> ${new Date().toLocaleString('en-US', { 
-                  weekday: 'long', 
-                  year: 'numeric', 
-                  month: 'long', 
-                  day: 'numeric',
-                  hour: '2-digit',
-                  minute: '2-digit'
-                })}</p>
-              </div>
-
-              <div class="glass-card message-content">
-                <h4>&#9670; Your Message</h4>
-                <div class="message-text">${message.replace(/\n/g, '<br>')}</div>
-              </div>
-
-              <div class="glass-card response-info">
-                <h4>&#9670; Response Time</h4>
-                <p>I typically respond to all messages within 24-48 hours. For urgent inquiries, feel free to follow up on this email.</p>
-              </div>
-
-              <hr class="divider">
-
-              <div class="connect-section">
-                <h4>Alternative Ways to Connect</h4>
-                <p>While you wait, you can also reach me through:</p>
-                <div class="connect-links">
-                  <a href="https://www.linkedin.com/in/subash-s-514aa9373" target="_blank" class="btn-cyan">LinkedIn</a>
-                  <a href="https://github.com/Subash-S-66" target="_blank" class="btn-purple">GitHub</a>
-                  <a href="mailto:${process.env.EMAIL_TO || process.env.NOTIFICATION_EMAIL || 'subash.93450@gmail.com'}" class="btn-green">Email</a>
-                </div>
-              </div>
-
-              <p class="closing-text">Looking forward to connecting with you soon!</p>
-            </div>
-
-            <!-- Footer -->
-            <div class="footer">
-              <h5 class="footer-name">Subash S</h5>
-              <p class="footer-title">Full Stack Developer &bull; B.Tech Computer Science</p>
-              <p class="footer-org">Dr. M.G.R. Educational and Research Institute, Chennai</p>
-              <div class="footer-links">
-                <a href="https://github.com/Subash-S-66" target="_blank">GitHub</a>
-                <span class="sep">&#8226;</span>
-                <a href="https://www.linkedin.com/in/subash-s-514aa9373" target="_blank">LinkedIn</a>
-                <span class="sep">&#8226;</span>
-                <a href="mailto:${process.env.EMAIL_TO || process.env.NOTIFICATION_EMAIL || 'subash.93450@gmail.com'}">Email</a>
-              </div>
-              <p class="footer-note">This is an automated response. Please do not reply to this email directly.</p>
-            </div>
-          </div>
-          </div>
-        </body>
-        </html>
-      `
-
-      // Where to send the admin notification
-      const notificationEmail = process.env.EMAIL_TO || process.env.NOTIFICATION_EMAIL || 'subash.93450@gmail.com'
-
-      // Send notification to admin using SMTP if configured, otherwise try Resend
-      if (usingSMTP) {
-        // Send notification to admin
-        await sendEmailWithSMTP(notificationEmail, `Portfolio Contact: ${subject}`, mainEmailHtml, email)
-        // Send auto-reply to sender via SMTP (not third-party)
-        try {
-          await sendEmailWithSMTP(email, `Thank you for contacting me - ${subject}`, autoReplyHtml, notificationEmail)
-        } catch (err) {
-          console.warn('Auto-reply failed (SMTP):', err.message)
+      // A retry from the form's offline queue whose earlier attempt did get
+      // through gets the original receipt instead of creating a duplicate
+      const clientId = /^[\w-]{8,64}$/.test(req.body.clientId || '') ? req.body.clientId : null
+      const previous = clientId && submissions.findByClientId(clientId)
+      if (previous) return res.json(contactReceipt(previous))
+
+      // Only validated values from here on: the extra fields are the ones
+      // the schema checked, for the type it checked them against
+      const { name, email, subject, message } = req.validated
+      const inquiry = getInquiryType(req.validated.inquiryType || DEFAULT_INQUIRY_TYPE)
+      const details = Object.fromEntries(
+        Object.keys(inquiry.fields).filter(field => req.validated[field]).map(field => [field, req.validated[field]])
+      )
+
+      // Score the submission for spam, then persist it before any email is attempted
+      const spam = spamFilter.evaluate(req.body, { name, email, subject, message })
+      const submission = submissions.create({
+        fields: { name, email, subject, message, inquiryType: inquiry.id, details },
+        clientId,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        status: spam.isSpam ? 'spam' : 'new',
+        spam: { score: spam.score, probability: spam.probability, reasons: spam.reasons }
+      })
+
+      // Store the files (spam included, in case it turns out not to be).
+      // A disk failure loses the files, not the message.
+      let files = []
+      try {
+        files = await attachments.save(submission.id, req.files)
+        if (files.length) submissions.setAttachments(submission.id, files)
+      } catch (err) {
+        console.error(`Attachments for ${submission.id} could not be saved:`, err.message)
+      }
+
+      const received = contactReceipt(submission)
+
+      // Quarantined messages are kept but never emailed. The response is the
+      // same as for a real message so bots learn nothing from it.
+      if (spam.isSpam) {
+        console.log(`Contact submission ${submission.id} quarantined as spam (score ${spam.score}):`, spam.reasons.join('; '))
+        submissions.setDelivery(submission.id, 'quarantined')
+        return res.json(received)
+      }
+
+      // Render both emails; every visitor-supplied field is escaped
+      const receivedAt = new Date()
+      const { ticket } = submission
+      const notification = emails.notification({
+        name,
+        email,
+        subject,
+        message,
+        ticket,
+        inquiry: inquiry.label,
+        details: inquiryDetails(inquiry.id, details),
+        attachments: files,
+        receivedAt
+      })
+      const autoReply = emails.autoReply({ subject, message, ticket, statusUrl: statusLinks.url(received.statusToken), receivedAt })
+
+      // Queue the notification (and the auto-reply unless the transport is a
+      // third-party service). The outbox worker delivers them with retries.
+      if (mailTransport) {
+        outbox.enqueue({
+          type: 'notification',
+          message: {
+            to: notificationEmail,
+            ...notification,
+            replyTo: email,
+            ...(files.length && { attachments: attachments.forEmail(submission.id, files) })
+          },
+          meta: { submissionId: submission.id }
+        })
+        submissions.setDelivery(submission.id, 'queued')
+        submissions.recordMessageId(submission.id, 'notification', notification.messageId)
+
+        if (!mailTransport.thirdParty) {
+          outbox.enqueue({
+            type: 'auto-reply',
+            message: { to: email, ...autoReply, replyTo: notificationEmail },
+            meta: { submissionId: submission.id }
+          })
+          submissions.recordMessageId(submission.id, 'autoReply', autoReply.messageId)
+        } else {
+          // Only the admin is notified through a third-party service
+          console.log(`Auto-reply not sent to sender (${mailTransport.name} is a third-party service)`)
         }
-      } else if (process.env.RESEND_API_KEY) {
-        // Send notification via Resend (only admin, no auto-reply to avoid third-party for sender)
-        await sendEmailWithResend(notificationEmail, `Portfolio Contact: ${subject}`, mainEmailHtml, email)
-        console.log('Auto-reply not sent to sender (Resend is third-party service)')
       } else {
-        console.log('No email service configured. Message received but not sent via email.')
-        console.log('Name:', name, 'Email:', email, 'Subject:', subject, 'Message:', message)
+        console.log('No email service configured. Message stored but not sent via email:', submission.id)
+        submissions.setDelivery(submission.id, 'skipped')
       }
 
-      res.json({
-        success: true,
-        message: 'Message received! I\'ll get back to you soon.'
-      })
+      webhooks.dispatch('contact.created', contactEvent(submissions.get(submission.id)))
+
+      res.json(received)
 
     } catch (error) {
       console.error('Contact form error:', error.message)
@@ -500,9 +587,28 @@ app.use((err, req, res, next) => {
 app.use(express.static(path.join(__dirname, 'dist')))
 // Also serve the same build when the app is hosted under a subpath (Zeabur uses /projects)
 app.use('/projects', express.static(path.join(__dirname, 'dist')))
+// Count completed APK downloads (full 200 responses, not range requests
+// or 304s) and announce them to webhooks
+const trackApkDownload = (req, res, next) => {
+  if (req.method === 'GET' && req.path.toLowerCase().endsWith('.apk')) {
+    res.on('finish', () => {
+      if (res.statusCode !== 200) return
+      const file = decodeURIComponent(path.basename(req.path))
+      activity.apkDownloaded(file)
+      webhooks.dispatch('apk.downloaded', {
+        file,
+        at: new Date().toISOString(),
+        userAgent: req.get('user-agent') || null,
+        referrer: req.get('referer') || null
+      })
+    })
+  }
+  next()
+}
+
 // Serve Android APK files from the root-level "Android app" folder
-app.use('/apk', express.static(path.join(__dirname, '..', 'Android app')))
-app.use('/projects/apk', express.static(path.join(__dirname, '..', 'Android app')))
+app.use('/apk', trackApkDownload, express.static(path.join(__dirname, '..', 'Android app')))
+app.use('/projects/apk', trackApkDownload, express.static(path.join(__dirname, '..', 'Android app')))
 
 // Catch all handler: send back React's index.html file for client-side routing
 app.get('*', (req, res) => {
@@ -521,4 +627,28 @@ app.use('/api/*', (req, res) => {
 
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Server running on port ${PORT}`)
+  outbox.start()
+  webhooks.start()
+  if (digest) {
+    digest.start()
+    console.log(`📬 Digest to ${process.env.DIGEST_TO || notificationEmail}, next at ${digest.nextRun()?.toISOString()}`)
+  }
+  if (process.env.INBOUND_SMTP_PORT && !process.env.INBOUND_ADDRESS) {
+    console.error('INBOUND_SMTP_PORT is set without INBOUND_ADDRESS; not starting the SMTP listener')
+  } else if (process.env.INBOUND_SMTP_PORT) {
+    startSmtpListener({
+      port: Number(process.env.INBOUND_SMTP_PORT),
+      host: process.env.INBOUND_SMTP_HOST,
+      accepts: recipient => inboundMail.accepts(recipient),
+      onMessage: ingestEmail
+    })
+  }
 })
+
+// Write buffered activity counts before the process goes away
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    activity.stop()
+    process.exit(0)
+  })
+}
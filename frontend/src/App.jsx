@@ -10,12 +10,19 @@ import Navbar from './components/Navbar'
 import Hero from './components/Hero'
 import NeuralPathways from './components/NeuralPathways'
 import SceneIndicator from './components/SceneIndicator'
+import useHashRoute from './hooks/useHashRoute'
+import useSectionViews from './hooks/useSectionViews'
+import { API_ENDPOINTS } from './config/api'
+import api from './api/client'
 
 // Lazy load heavy sections — only mount when needed
 const About = lazy(() => import('./components/About'))
 const Projects = lazy(() => import('./components/Projects'))
 const Skills = lazy(() => import('./components/Skills'))
 const Contact = lazy(() => import('./components/Contact'))
+// Admin area (#/admin) is a separate chunk, never loaded by visitors
+const AdminApp = lazy(() => import('./admin/AdminApp'))
+const MessageStatus = lazy(() => import('./components/MessageStatus'))
 import Footer from './components/Footer'
 
 gsap.registerPlugin(ScrollTrigger)
@@ -149,11 +156,11 @@ function CameraMotion({ children }) {
 }
 
 /**
- * Root application component.
+ * Public portfolio.
  * Orchestrates the cinematic loader, smooth scroll system,
  * custom cursor, and all section components.
  */
-function App() {
+function Portfolio() {
   const [isLoaded, setIsLoaded] = useState(false)
   const mainRef = useRef(null)
 
@@ -161,6 +168,9 @@ function App() {
     setIsLoaded(true)
   }, [])
 
+  // Count section views for the admin digest once the intro has finished
+  useSectionViews(isLoaded)
+
   // Initialise Lenis smooth scroll + GSAP ScrollTrigger (cinema-grade inertia)
   useEffect(() => {
     if (!isLoaded) return
@@ -214,8 +224,9 @@ function App() {
   useEffect(() => {
     const wakeUpBackend = async () => {
       try {
-        await fetch('/api/health', { method: 'GET' })
-        console.log('Backend wakeup request sent to /api/health')
+        // A cold start can take a while; one long attempt is enough
+        await api.get(API_ENDPOINTS.HEALTH, { timeout: 60 * 1000, retries: 0 })
+        console.log(`Backend wakeup request sent to ${API_ENDPOINTS.HEALTH}`)
       } catch (error) {
         console.log('Backend wakeup failed (this is normal if backend is starting):', error.message)
       }
@@ -263,4 +274,32 @@ function App() {
   )
 }
 
+/**
+ * Root application component.
+ * Switches between the portfolio, the admin area and the message
+ * status page on the hash route.
+ */
+function App() {
+  const route = useHashRoute()
+
+  if (route.startsWith('/admin')) {
+    return (
+      <Suspense fallback={null}>
+        <AdminApp route={route} />
+      </Suspense>
+    )
+  }
+
+  const statusToken = route.match(/^\/status\/(.+)$/)?.[1]
+  if (statusToken) {
+    return (
+      <Suspense fallback={null}>
+        <MessageStatus token={statusToken} />
+      </Suspense>
+    )
+  }
+
+  return <Portfolio />
+}
+
 export default App
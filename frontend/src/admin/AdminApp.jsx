@@ -0,0 +1,70 @@
+import React, { useEffect, useState, useCallback } from 'react'
+import AdminLogin from './AdminLogin'
+import Inbox from './Inbox'
+import TemplateLibrary from './TemplateLibrary'
+import WebhookManager from './WebhookManager'
+import RateLimitBlocks from './RateLimitBlocks'
+import { getSession, logout } from './adminApi'
+
+/**
+ * Admin area, served at #/admin. Lazy-loaded from App.jsx so none of this
+ * ships with the public portfolio bundle.
+ */
+export default function AdminApp({ route }) {
+  // undefined while the existing session is being checked
+  const [session, setSession] = useState(undefined)
+
+  useEffect(() => {
+    document.title = 'Admin · Portfolio'
+    getSession().then(setSession, () => setSession(null))
+  }, [])
+
+  const handleLogout = useCallback(async () => {
+    try { await logout() } catch { /* cookie is cleared either way */ }
+    setSession(null)
+  }, [])
+
+  const handleUnauthorized = useCallback(() => setSession(null), [])
+
+  const section = route.match(/^\/admin\/(templates|webhooks|rate-limits)/)?.[1] || 'inbox'
+  const messageId = route.match(/^\/admin\/messages\/([^/]+)/)?.[1] || null
+
+  return (
+    <div className="native-cursor min-h-screen bg-[#030014] text-[#e4e4e7]">
+      {session === undefined && (
+        <p className="p-8 font-mono text-xs text-white/40">Checking session…</p>
+      )}
+      {session === null && <AdminLogin onLogin={setSession} />}
+      {session && (
+        <>
+          <nav className="border-b border-white/[0.06]">
+            <div className="mx-auto flex max-w-7xl items-center gap-2 px-4 py-3">
+              <span className="mr-3 font-mono text-[10px] uppercase tracking-[0.3em] text-[#00d4ff]">Admin</span>
+              <a href="#/admin" className={`admin-button ${section === 'inbox' ? 'admin-button-active' : ''}`}>Inbox</a>
+              <a href="#/admin/templates" className={`admin-button ${section === 'templates' ? 'admin-button-active' : ''}`}>
+                Templates
+              </a>
+              <a href="#/admin/webhooks" className={`admin-button ${section === 'webhooks' ? 'admin-button-active' : ''}`}>
+                Webhooks
+              </a>
+              <a href="#/admin/rate-limits" className={`admin-button ${section === 'rate-limits' ? 'admin-button-active' : ''}`}>
+                Rate limits
+              </a>
+              <span className="ml-auto font-mono text-xs text-white/50">{session.username}</span>
+              <button type="button" onClick={handleLogout} className="admin-button">Sign out</button>
+            </div>
+          </nav>
+          {section === 'templates' && <TemplateLibrary onUnauthorized={handleUnauthorized} />}
+          {section === 'webhooks' && <WebhookManager onUnauthorized={handleUnauthorized} />}
+          {section === 'rate-limits' && <RateLimitBlocks onUnauthorized={handleUnauthorized} />}
+          {section === 'inbox' && (
+            <Inbox
+              messageId={messageId ? decodeURIComponent(messageId) : null}
+              onUnauthorized={handleUnauthorized}
+            />
+          )}
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,65 @@
+import React, { useState } from 'react'
+import { login } from './adminApi'
+
+export default function AdminLogin({ onLogin }) {
+  const [form, setForm] = useState({ username: '', password: '' })
+  const [error, setError] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  const handleChange = (e) => setForm(prev => ({ ...prev, [e.target.name]: e.target.value }))
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    setError('')
+    try {
+      onLogin(await login(form.username, form.password))
+    } catch (err) {
+      setError(err.message)
+      setForm(prev => ({ ...prev, password: '' }))
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="flex min-h-screen items-center justify-center px-4">
+      <form onSubmit={handleSubmit} className="admin-panel w-full max-w-sm space-y-5 p-8">
+        <div>
+          <p className="font-mono text-[10px] uppercase tracking-[0.3em] text-[#00d4ff]">Admin</p>
+          <h1 className="mt-2 text-xl font-semibold text-white">Sign in</h1>
+        </div>
+        <label className="block space-y-1.5">
+          <span className="admin-label">Username</span>
+          <input
+            name="username"
+            value={form.username}
+            onChange={handleChange}
+            autoComplete="username"
+            required
+            className="admin-input"
+          />
+        </label>
+        <label className="block space-y-1.5">
+          <span className="admin-label">Password</span>
+          <input
+            type="password"
+            name="password"
+            value={form.password}
+            onChange={handleChange}
+            autoComplete="current-password"
+            required
+            className="admin-input"
+          />
+        </label>
+        {error && <p role="alert" className="text-sm text-[#ff2d55]">{error}</p>}
+        <button type="submit" disabled={submitting} className="admin-button admin-button-primary w-full">
+          {submitting ? 'Signing in…' : 'Sign in'}
+        </button>
+        <a href="#" className="block text-center font-mono text-[11px] text-white/40 hover:text-white/70">
+          ← Back to portfolio
+        </a>
+      </form>
+    </div>
+  )
+}
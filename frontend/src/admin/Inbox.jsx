@@ -0,0 +1,219 @@
+import React, { useEffect, useState, useCallback } from 'react'
+import MessageView from './MessageView'
+import StatusBadge, { STATUSES, formatDate, formatDuration } from './StatusBadge'
+import { listMessages, bulkSetStatus, getStats } from './adminApi'
+import { inquiryTypes, getInquiryType } from '../../../shared/inquiryTypes'
+
+const FILTERS = [{ value: '', label: 'All' }, ...STATUSES.map(value => ({ value, label: value[0].toUpperCase() + value.slice(1) }))]
+
+const percent = (count, total) => `${Math.round((count / total) * 100)}%`
+
+/* Time to first reply, measured against the auto-reply's "24-48 hours" promise */
+function ResponseStats({ stats }) {
+  if (!stats?.replied) {
+    return <p className="font-mono text-[11px] text-white/35">No replies yet</p>
+  }
+  return (
+    <dl className="flex flex-wrap gap-x-6 gap-y-1 font-mono text-[11px]">
+      <div><dt className="inline text-white/35">Median first reply </dt><dd className="inline text-white/70">{formatDuration(stats.medianMs)}</dd></div>
+      <div><dt className="inline text-white/35">Average </dt><dd className="inline text-white/70">{formatDuration(stats.averageMs)}</dd></div>
+      <div><dt className="inline text-white/35">Within 24h </dt><dd className="inline text-white/70">{percent(stats.within24h, stats.replied)}</dd></div>
+      <div><dt className="inline text-white/35">Within 48h </dt><dd className="inline text-white/70">{percent(stats.within48h, stats.replied)}</dd></div>
+      <div>
+        <dt className="inline text-white/35">Overdue </dt>
+        <dd className={`inline ${stats.overdue ? 'text-[#ff2d55]' : 'text-white/70'}`}>{stats.overdue}</dd>
+      </div>
+    </dl>
+  )
+}
+
+export default function Inbox({ messageId, onUnauthorized }) {
+  const [filter, setFilter] = useState('new')
+  const [type, setType] = useState('')
+  const [search, setSearch] = useState('')
+  const [query, setQuery] = useState('')
+  const [page, setPage] = useState(1)
+  const [data, setData] = useState(null)
+  const [error, setError] = useState('')
+  const [selected, setSelected] = useState(() => new Set())
+  const [stats, setStats] = useState(null)
+  const [refreshKey, setRefreshKey] = useState(0)
+
+  const refresh = useCallback(() => setRefreshKey(key => key + 1), [])
+
+  const handleError = useCallback((err) => {
+    if (err.status === 401) onUnauthorized()
+    else setError(err.message)
+  }, [onUnauthorized])
+
+  // Debounce the search box so typing doesn't fire a request per key
+  useEffect(() => {
+    const timer = setTimeout(() => { setQuery(search.trim()); setPage(1) }, 300)
+    return () => clearTimeout(timer)
+  }, [search])
+
+  useEffect(() => {
+    let cancelled = false
+    listMessages({ status: filter, type, q: query, page })
+      .then(result => { if (!cancelled) { setData(result); setError('') } })
+      .catch(err => { if (!cancelled) handleError(err) })
+    return () => { cancelled = true }
+  }, [filter, type, query, page, refreshKey, handleError])
+
+  useEffect(() => {
+    getStats().then(setStats, handleError)
+  }, [refreshKey, handleError])
+
+  // Drop selections that scrolled out of the current result set
+  useEffect(() => {
+    if (!data) return
+    const visible = new Set(data.messages.map(message => message.id))
+    setSelected(prev => new Set([...prev].filter(id => visible.has(id))))
+  }, [data])
+
+  const toggle = (id) => setSelected(prev => {
+    const next = new Set(prev)
+    if (next.has(id)) next.delete(id)
+    else next.add(id)
+    return next
+  })
+
+  const allSelected = data?.messages.length > 0 && data.messages.every(message => selected.has(message.id))
+  const toggleAll = () => setSelected(allSelected ? new Set() : new Set(data.messages.map(message => message.id)))
+
+  const moveSelected = async (status) => {
+    try {
+      await bulkSetStatus([...selected], status)
+      setSelected(new Set())
+      refresh()
+    } catch (err) {
+      handleError(err)
+    }
+  }
+
+  const changeFilter = (value) => { setFilter(value); setPage(1) }
+  const pageCount = data ? Math.max(1, Math.ceil(data.total / data.pageSize)) : 1
+
+  return (
+    <div className="mx-auto max-w-7xl px-4 py-8">
+      <header className="mb-6">
+        <h1 className="text-2xl font-semibold text-white">
+          Inbox {data?.unread > 0 && <span className="text-base text-white/40">({data.unread} unread)</span>}
+        </h1>
+      </header>
+
+      <div className="admin-panel mb-6 px-4 py-3">
+        <ResponseStats stats={stats} />
+      </div>
+
+      <div className="mb-4 flex flex-wrap items-center gap-2">
+        {FILTERS.map(({ value, label }) => (
+          <button
+            key={value || 'all'}
+            type="button"
+            onClick={() => changeFilter(value)}
+            className={`admin-button ${filter === value ? 'admin-button-active' : ''}`}
+          >
+            {label}
+            {value && data?.counts && <span className="ml-1.5 text-white/40">{data.counts[value]}</span>}
+          </button>
+        ))}
+        <select
+          value={type}
+          onChange={(e) => { setType(e.target.value); setPage(1) }}
+          aria-label="Inquiry type"
+          className="admin-input ml-auto w-auto"
+        >
+          <option value="">All inquiry types</option>
+          {inquiryTypes.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search ticket, name, email, message…"
+          className="admin-input w-full sm:w-72"
+        />
+      </div>
+
+      {error && <p role="alert" className="mb-4 text-sm text-[#ff2d55]">{error}</p>}
+
+      <div className="grid gap-6 lg:grid-cols-[minmax(0,2fr)_minmax(0,3fr)]">
+        <section className="admin-panel overflow-hidden">
+          <div className="flex flex-wrap items-center gap-2 border-b border-white/[0.06] px-4 py-3">
+            <input type="checkbox" checked={allSelected} onChange={toggleAll} aria-label="Select all" />
+            <span className="font-mono text-[11px] text-white/40">
+              {selected.size ? `${selected.size} selected` : `${data?.total ?? 0} messages`}
+            </span>
+            {selected.size > 0 && (
+              <div className="ml-auto flex flex-wrap gap-1.5">
+                {STATUSES.filter(status => status !== filter).map(status => (
+                  <button key={status} type="button" onClick={() => moveSelected(status)} className="admin-button">
+                    Move to {status}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <ul>
+            {data?.messages.map(message => (
+              <li
+                key={message.id}
+                className={`flex gap-3 border-b border-white/[0.04] px-4 py-3 ${message.id === messageId ? 'bg-white/[0.04]' : ''}`}
+              >
+                <input
+                  type="checkbox"
+                  checked={selected.has(message.id)}
+                  onChange={() => toggle(message.id)}
+                  aria-label={`Select message from ${message.name}`}
+                  className="mt-1"
+                />
+                <a href={`#/admin/messages/${encodeURIComponent(message.id)}`} className="min-w-0 flex-1">
+                  <div className="flex items-baseline justify-between gap-3">
+                    <span className={`truncate text-sm ${message.readAt ? 'text-white/70' : 'font-semibold text-white'}`}>
+                      {message.name}
+                    </span>
+                    <span className="shrink-0 font-mono text-[10px] text-white/35">
+                      {message.attachmentCount > 0 && <span className="mr-2">{message.attachmentCount} file{message.attachmentCount === 1 ? '' : 's'}</span>}
+                      {formatDate(message.createdAt)}
+                    </span>
+                  </div>
+                  <p className="truncate text-sm text-white/80">
+                    {message.inquiryType !== 'general' && (
+                      <span className="mr-2 font-mono text-[10px] uppercase tracking-wider text-[#a855f7]">
+                        {getInquiryType(message.inquiryType)?.label}
+                      </span>
+                    )}
+                    {message.subject}
+                  </p>
+                  <p className="truncate text-xs text-white/40">{message.preview}</p>
+                  {!filter && <div className="mt-1"><StatusBadge status={message.status} /></div>}
+                </a>
+              </li>
+            ))}
+            {data && !data.messages.length && (
+              <li className="px-4 py-10 text-center text-sm text-white/40">No messages</li>
+            )}
+          </ul>
+
+          {pageCount > 1 && (
+            <div className="flex items-center justify-between px-4 py-3 font-mono text-[11px] text-white/50">
+              <button type="button" disabled={page <= 1} onClick={() => setPage(p => p - 1)} className="admin-button">Prev</button>
+              <span>Page {page} of {pageCount}</span>
+              <button type="button" disabled={page >= pageCount} onClick={() => setPage(p => p + 1)} className="admin-button">Next</button>
+            </div>
+          )}
+        </section>
+
+        <section>
+          {messageId ? (
+            <MessageView key={messageId} id={messageId} onChange={refresh} onError={handleError} />
+          ) : (
+            <div className="admin-panel px-6 py-16 text-center text-sm text-white/40">Select a message to read it</div>
+          )}
+        </section>
+      </div>
+    </div>
+  )
+}
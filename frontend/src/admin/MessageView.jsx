@@ -0,0 +1,158 @@
+import React, { useEffect, useState } from 'react'
+import { getMessage, setMessageStatus, attachmentUrl } from './adminApi'
+import StatusBadge, { STATUSES, formatDate, formatDuration } from './StatusBadge'
+import ReplyComposer from './ReplyComposer'
+import { getInquiryType, inquiryDetails } from '../../../shared/inquiryTypes'
+import { formatFileSize } from '../../../shared/contactSchema'
+
+export default function MessageView({ id, onChange, onError }) {
+  const [message, setMessage] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    getMessage(id)
+      .then(result => {
+        if (cancelled) return
+        setMessage(result)
+        onChange() // opening marks it read, so the list needs a refresh
+      })
+      .catch(err => { if (!cancelled) onError(err) })
+    return () => { cancelled = true }
+  }, [id, onChange, onError])
+
+  const move = async (status) => {
+    try {
+      setMessage(await setMessageStatus(id, status))
+      onChange()
+    } catch (err) {
+      onError(err)
+    }
+  }
+
+  if (!message) {
+    return <div className="admin-panel px-6 py-16 text-center font-mono text-xs text-white/40">Loading…</div>
+  }
+
+  const { fields, spam, delivery } = message
+  const inquiry = getInquiryType(fields.inquiryType)
+  const details = inquiryDetails(fields.inquiryType, fields.details)
+
+  return (
+    <article className="admin-panel p-6">
+      <header className="mb-5 space-y-2 border-b border-white/[0.06] pb-5">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h2 className="text-lg font-semibold text-white">{fields.subject}</h2>
+          <StatusBadge status={message.status} />
+        </div>
+        <p className="text-sm text-white/70">
+          {fields.name} &lt;<a href={`mailto:${fields.email}`} className="text-[#00d4ff] hover:underline">{fields.email}</a>&gt;
+        </p>
+        <p className="font-mono text-[11px] text-white/40">
+          {message.ticket && <span className="mr-3 text-white/60">{message.ticket}</span>}
+          {formatDate(message.createdAt)}
+        </p>
+      </header>
+
+      {inquiry && inquiry.id !== 'general' && (
+        <section className="mb-5 rounded-lg border border-[#a855f7]/20 bg-[#a855f7]/[0.04] p-4">
+          <h3 className="mb-2 font-mono text-[11px] uppercase tracking-wider text-[#a855f7]">{inquiry.label}</h3>
+          <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1.5 text-sm">
+            {details.map(({ field, label, value }) => (
+              <React.Fragment key={field}>
+                <dt className="text-white/40">{label}</dt>
+                <dd className="whitespace-pre-wrap break-words text-white/80">
+                  {inquiry.fields[field]?.format === 'links'
+                    ? value.split(/\s+/).map(link => (
+                      <a key={link} href={link} target="_blank" rel="noopener noreferrer" className="block text-[#00d4ff] hover:underline">{link}</a>
+                    ))
+                    : value}
+                </dd>
+              </React.Fragment>
+            ))}
+          </dl>
+          {!details.length && <p className="text-sm text-white/40">No details given</p>}
+        </section>
+      )}
+
+      <p className="whitespace-pre-wrap break-words text-sm leading-relaxed text-white/85">{fields.message}</p>
+
+      {message.attachments?.length > 0 && (
+        <ul className="mt-4 flex flex-wrap gap-2">
+          {message.attachments.map(attachment => (
+            <li key={attachment.id}>
+              <a href={attachmentUrl(message.id, attachment.id)} download={attachment.name} className="admin-button inline-block">
+                {attachment.name} <span className="text-white/40">{formatFileSize(attachment.size)}</span>
+              </a>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {message.thread?.length > 0 && (
+        <ol className="mt-6 space-y-3">
+          {message.thread.map(entry => (
+            <li key={entry.id} className="rounded-lg border border-white/[0.06] bg-white/[0.02] p-4">
+              <div className="mb-2 flex flex-wrap items-baseline justify-between gap-2 font-mono text-[10px] text-white/40">
+                <span>{entry.direction === 'outbound' ? `You → ${entry.to}` : entry.from}</span>
+                <span>
+                  {formatDate(entry.at)}
+                  {entry.delivery && ` · ${entry.delivery.status}`}
+                </span>
+              </div>
+              <p className="whitespace-pre-wrap break-words text-sm leading-relaxed text-white/75">{entry.text}</p>
+              {entry.delivery?.error && <p className="mt-2 font-mono text-[10px] text-[#ff2d55]">{entry.delivery.error}</p>}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <ReplyComposer
+        message={message}
+        onSent={(updated) => { setMessage(updated); onChange() }}
+        onError={onError}
+      />
+
+      <div className="mt-6 flex flex-wrap gap-2">
+        {STATUSES.filter(status => status !== message.status).map(status => (
+          <button key={status} type="button" onClick={() => move(status)} className="admin-button">
+            Move to {status}
+          </button>
+        ))}
+      </div>
+
+      <dl className="mt-6 grid grid-cols-[auto_1fr] gap-x-4 gap-y-1.5 border-t border-white/[0.06] pt-5 font-mono text-[11px]">
+        <dt className="text-white/35">Delivery</dt>
+        <dd className="text-white/60">
+          {delivery?.status || 'unknown'}{delivery?.error && ` — ${delivery.error}`}
+        </dd>
+        {spam && (
+          <>
+            <dt className="text-white/35">Spam score</dt>
+            <dd className="text-white/60">
+              {spam.score}{spam.probability != null && ` (classifier ${Math.round(spam.probability * 100)}%)`}
+              {spam.reasons?.length > 0 && ` — ${spam.reasons.join(', ')}`}
+            </dd>
+          </>
+        )}
+        {message.firstReplyAt && (
+          <>
+            <dt className="text-white/35">First reply</dt>
+            <dd className="text-white/60">
+              {formatDate(message.firstReplyAt)} ({formatDuration(Date.parse(message.firstReplyAt) - Date.parse(message.createdAt))})
+            </dd>
+          </>
+        )}
+        {message.readAt && (
+          <>
+            <dt className="text-white/35">Read</dt>
+            <dd className="text-white/60">{formatDate(message.readAt)}</dd>
+          </>
+        )}
+        <dt className="text-white/35">User agent</dt>
+        <dd className="break-all text-white/60">{message.userAgent || '—'}</dd>
+        <dt className="text-white/35">ID</dt>
+        <dd className="break-all text-white/60">{message.id}</dd>
+      </dl>
+    </article>
+  )
+}
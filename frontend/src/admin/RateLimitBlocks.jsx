@@ -0,0 +1,97 @@
+import React, { useEffect, useState, useCallback } from 'react'
+import { formatDate, formatDuration } from './StatusBadge'
+import { listRateLimitBlocks, unblockRateLimit } from './adminApi'
+
+const KEY_TYPE_LABELS = { ip: 'IP', email: 'Email' }
+
+export default function RateLimitBlocks({ onUnauthorized }) {
+  const [blocks, setBlocks] = useState([])
+  const [policies, setPolicies] = useState([])
+  const [error, setError] = useState('')
+  const [busyId, setBusyId] = useState(null)
+
+  const handleError = useCallback((err) => {
+    if (err.status === 401) onUnauthorized()
+    else setError(err.message)
+  }, [onUnauthorized])
+
+  const load = useCallback(() => {
+    listRateLimitBlocks()
+      .then(data => { setBlocks(data.blocks); setPolicies(data.policies); setError('') })
+      .catch(handleError)
+  }, [handleError])
+
+  useEffect(load, [load])
+
+  const handleUnblock = async (block) => {
+    if (!window.confirm(`Lift the ${block.policy} block on ${block.label}?`)) return
+    setBusyId(block.id)
+    try {
+      await unblockRateLimit(block.id)
+      load()
+    } catch (err) {
+      handleError(err)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  return (
+    <div className="mx-auto max-w-7xl px-4 py-8">
+      <header className="mb-6 flex flex-wrap items-center justify-between gap-4">
+        <h1 className="text-2xl font-semibold text-white">Rate limits</h1>
+        <button type="button" onClick={load} className="admin-button">Refresh</button>
+      </header>
+
+      {error && <p role="alert" className="mb-4 text-sm text-[#ff2d55]">{error}</p>}
+
+      <div className="grid gap-6 lg:grid-cols-[minmax(0,3fr)_minmax(0,2fr)]">
+        <section className="admin-panel overflow-hidden">
+          <h2 className="admin-label border-b border-white/[0.06] px-4 py-3">Current blocks</h2>
+          <ul>
+            {blocks.map(block => (
+              <li key={block.id} className="flex flex-wrap items-center justify-between gap-3 border-b border-white/[0.04] px-4 py-3">
+                <div className="min-w-0">
+                  <p className="truncate text-sm text-white">
+                    <span className="mr-2 font-mono text-[10px] uppercase tracking-wider text-[#00d4ff]">
+                      {KEY_TYPE_LABELS[block.keyType] || block.keyType}
+                    </span>
+                    {block.label}
+                  </p>
+                  <p className="mt-1 font-mono text-[11px] text-white/40">
+                    {block.policy} · {block.hits} requests · {block.attempts} rejected
+                    {' · '}since {formatDate(block.blockedAt)}
+                    {' · '}{formatDuration(Date.parse(block.until) - Date.now())} left
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleUnblock(block)}
+                  disabled={busyId === block.id}
+                  className="admin-button"
+                >
+                  Unblock
+                </button>
+              </li>
+            ))}
+            {!blocks.length && <li className="px-4 py-10 text-center text-sm text-white/40">Nobody is blocked</li>}
+          </ul>
+        </section>
+
+        <section className="admin-panel p-4">
+          <h2 className="admin-label mb-3">Policies</h2>
+          <ul className="space-y-2 font-mono text-[11px] text-white/60">
+            {policies.map(policy => (
+              <li key={policy.name}>
+                <span className="text-white/85">{policy.name}</span>
+                {` · ${policy.max} per ${formatDuration(policy.windowMs)} by ${policy.keyBy.join(' and ')}`}
+                {policy.blockMs && ` · blocked for ${formatDuration(policy.blockMs)}`}
+              </li>
+            ))}
+          </ul>
+          <p className="mt-4 text-xs text-white/35">Set in backend/config/rate-limits.js; override with RATE_LIMITS.</p>
+        </section>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,86 @@
+import React, { useEffect, useState } from 'react'
+import { sendReply, listTemplates } from './adminApi'
+import { PROJECT_TITLES, fillTemplate, usesVariable, guessProject } from './replyTemplates'
+
+const MAX_LENGTH = 10000
+
+export default function ReplyComposer({ message, onSent, onError }) {
+  const [body, setBody] = useState('')
+  const [sending, setSending] = useState(false)
+  const [templates, setTemplates] = useState([])
+  const [templateId, setTemplateId] = useState('')
+  const [project, setProject] = useState(() => guessProject(message.fields))
+
+  useEffect(() => {
+    listTemplates().then(data => setTemplates(data.templates), onError)
+  }, [onError])
+
+  const template = templates.find(t => t.id === templateId)
+
+  // Fill the template's variables and add it to whatever is already written
+  const insertTemplate = () => {
+    const text = fillTemplate(template.body, { name: message.fields.name, subject: message.fields.subject, project })
+    setBody(prev => (prev.trim() ? `${prev.trimEnd()}\n\n${text}` : text))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!body.trim()) return
+    setSending(true)
+    try {
+      onSent(await sendReply(message.id, body))
+      setBody('')
+    } catch (err) {
+      onError(err)
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-6 space-y-2 border-t border-white/[0.06] pt-5">
+      {templates.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={templateId}
+            onChange={(e) => setTemplateId(e.target.value)}
+            aria-label="Reply template"
+            className="admin-input w-auto"
+          >
+            <option value="">Insert a template…</option>
+            {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+          </select>
+          {template && usesVariable(template.body, 'project') && (
+            <select
+              value={project}
+              onChange={(e) => setProject(e.target.value)}
+              aria-label="Project"
+              className="admin-input w-auto"
+            >
+              <option value="">Project…</option>
+              {PROJECT_TITLES.map(title => <option key={title} value={title}>{title}</option>)}
+            </select>
+          )}
+          <button type="button" disabled={!template} onClick={insertTemplate} className="admin-button">Insert</button>
+        </div>
+      )}
+      <label className="block space-y-1.5">
+        <span className="admin-label">Reply to {message.fields.email}</span>
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          rows={7}
+          maxLength={MAX_LENGTH}
+          placeholder={`Hi ${message.fields.name},`}
+          className="admin-input resize-y leading-relaxed"
+        />
+      </label>
+      <div className="flex items-center justify-between gap-3">
+        <span className="font-mono text-[10px] text-white/35">{body.length}/{MAX_LENGTH}</span>
+        <button type="submit" disabled={sending || !body.trim()} className="admin-button admin-button-primary">
+          {sending ? 'Sending…' : 'Send reply'}
+        </button>
+      </div>
+    </form>
+  )
+}
@@ -0,0 +1,19 @@
+import React from 'react'
+
+export const STATUSES = ['new', 'replied', 'spam', 'archived']
+
+export const formatDate = (iso) =>
+  new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+
+// 95 minutes → "1h 35m"; 3 days → "3d 0h"
+export function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000)
+  if (minutes < 60) return `${minutes}m`
+  const hours = Math.floor(minutes / 60)
+  if (hours < 24) return `${hours}h ${minutes % 60}m`
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`
+}
+
+export default function StatusBadge({ status }) {
+  return <span className={`admin-badge admin-badge-${status}`}>{status}</span>
+}
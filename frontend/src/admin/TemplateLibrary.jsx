@@ -0,0 +1,124 @@
+import React, { useEffect, useState, useCallback } from 'react'
+import { listTemplates, createTemplate, updateTemplate, deleteTemplate } from './adminApi'
+
+const EMPTY = { name: '', body: '' }
+
+export default function TemplateLibrary({ onUnauthorized }) {
+  const [templates, setTemplates] = useState([])
+  const [variables, setVariables] = useState([])
+  // null: nothing open; 'new': creating; otherwise the id being edited
+  const [editing, setEditing] = useState(null)
+  const [draft, setDraft] = useState(EMPTY)
+  const [error, setError] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const handleError = useCallback((err) => {
+    if (err.status === 401) onUnauthorized()
+    else setError(err.message)
+  }, [onUnauthorized])
+
+  const load = useCallback(() => {
+    listTemplates()
+      .then(data => { setTemplates(data.templates); setVariables(data.variables) })
+      .catch(handleError)
+  }, [handleError])
+
+  useEffect(load, [load])
+
+  const open = (template) => {
+    setEditing(template ? template.id : 'new')
+    setDraft(template ? { name: template.name, body: template.body } : EMPTY)
+    setError('')
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      const saved = editing === 'new' ? await createTemplate(draft) : await updateTemplate(editing, draft)
+      setEditing(saved.id)
+      setError('')
+      load()
+    } catch (err) {
+      handleError(err)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the "${draft.name}" template?`)) return
+    try {
+      await deleteTemplate(editing)
+      setEditing(null)
+      load()
+    } catch (err) {
+      handleError(err)
+    }
+  }
+
+  return (
+    <div className="mx-auto max-w-7xl px-4 py-8">
+      <header className="mb-6 flex flex-wrap items-center justify-between gap-4">
+        <h1 className="text-2xl font-semibold text-white">Reply templates</h1>
+        <button type="button" onClick={() => open(null)} className="admin-button admin-button-primary">New template</button>
+      </header>
+
+      <div className="grid gap-6 lg:grid-cols-[minmax(0,2fr)_minmax(0,3fr)]">
+        <ul className="admin-panel overflow-hidden">
+          {templates.map(template => (
+            <li key={template.id} className={`border-b border-white/[0.04] ${template.id === editing ? 'bg-white/[0.04]' : ''}`}>
+              <button type="button" onClick={() => open(template)} className="block w-full px-4 py-3 text-left">
+                <span className="block text-sm text-white">{template.name}</span>
+                <span className="block truncate text-xs text-white/40">{template.body}</span>
+              </button>
+            </li>
+          ))}
+          {!templates.length && <li className="px-4 py-10 text-center text-sm text-white/40">No templates yet</li>}
+        </ul>
+
+        {editing ? (
+          <form onSubmit={handleSave} className="admin-panel space-y-4 p-6">
+            <label className="block space-y-1.5">
+              <span className="admin-label">Name</span>
+              <input
+                value={draft.name}
+                onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+                maxLength={80}
+                required
+                className="admin-input"
+              />
+            </label>
+            <label className="block space-y-1.5">
+              <span className="admin-label">Body</span>
+              <textarea
+                value={draft.body}
+                onChange={(e) => setDraft(prev => ({ ...prev, body: e.target.value }))}
+                rows={12}
+                maxLength={10000}
+                required
+                className="admin-input resize-y leading-relaxed"
+              />
+            </label>
+            <p className="font-mono text-[10px] text-white/40">
+              Variables: {variables.map(name => `{{${name}}}`).join(' ')}
+            </p>
+            {error && <p role="alert" className="text-sm text-[#ff2d55]">{error}</p>}
+            <div className="flex gap-2">
+              <button type="submit" disabled={saving} className="admin-button admin-button-primary">
+                {saving ? 'Saving…' : 'Save'}
+              </button>
+              {editing !== 'new' && (
+                <button type="button" onClick={handleDelete} className="admin-button">Delete</button>
+              )}
+            </div>
+          </form>
+        ) : (
+          <div className="admin-panel px-6 py-16 text-center text-sm text-white/40">
+            {error ? <span className="text-[#ff2d55]">{error}</span> : 'Select a template to edit it'}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,246 @@
+import React, { useEffect, useState, useCallback } from 'react'
+import { formatDate } from './StatusBadge'
+import {
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  testWebhook,
+  listWebhookDeliveries,
+  retryWebhookDelivery,
+} from './adminApi'
+
+const DELIVERY_COLORS = {
+  sent: 'text-[#00ffa3]',
+  failed: 'text-[#ff2d55]',
+  retrying: 'text-[#a855f7]',
+}
+
+function EventCheckboxes({ events, value, onChange }) {
+  const toggle = (event) => onChange(value.includes(event) ? value.filter(e => e !== event) : [...value, event])
+  return (
+    <div className="flex flex-wrap gap-3">
+      {events.map(event => (
+        <label key={event} className="flex items-center gap-1.5 font-mono text-[11px] text-white/70">
+          <input type="checkbox" checked={value.includes(event)} onChange={() => toggle(event)} />
+          {event}
+        </label>
+      ))}
+    </div>
+  )
+}
+
+function Deliveries({ webhookId, refreshKey, onError }) {
+  const [deliveries, setDeliveries] = useState([])
+  const [reloadKey, setReloadKey] = useState(0)
+
+  useEffect(() => {
+    listWebhookDeliveries(webhookId).then(setDeliveries, onError)
+  }, [webhookId, refreshKey, reloadKey, onError])
+
+  const retry = async (id) => {
+    try {
+      await retryWebhookDelivery(id)
+      setReloadKey(key => key + 1)
+    } catch (err) {
+      onError(err)
+    }
+  }
+
+  return (
+    <section className="mt-6 border-t border-white/[0.06] pt-5">
+      <div className="mb-3 flex items-center justify-between">
+        <h3 className="admin-label">Recent deliveries</h3>
+        <button type="button" onClick={() => setReloadKey(key => key + 1)} className="admin-button">Refresh</button>
+      </div>
+      {!deliveries.length && <p className="text-sm text-white/40">Nothing delivered yet</p>}
+      <ul className="space-y-2">
+        {deliveries.map(delivery => {
+          const last = delivery.attempts[delivery.attempts.length - 1]
+          return (
+            <li key={delivery.id} className="rounded-lg border border-white/[0.06] px-3 py-2 font-mono text-[11px]">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <span className="text-white/80">{delivery.type}</span>
+                <span className={DELIVERY_COLORS[delivery.status] || 'text-white/50'}>
+                  {delivery.status}
+                  {last?.statusCode && ` · ${last.statusCode}`}
+                  {` · ${delivery.attempts.length} attempt${delivery.attempts.length === 1 ? '' : 's'}`}
+                </span>
+              </div>
+              <div className="mt-1 flex flex-wrap items-center justify-between gap-2 text-white/35">
+                <span>{formatDate(delivery.createdAt)}</span>
+                {delivery.status === 'retrying' && <span>next {formatDate(delivery.nextAttemptAt)}</span>}
+                {delivery.status === 'failed' && (
+                  <button type="button" onClick={() => retry(delivery.id)} className="admin-button">Retry</button>
+                )}
+              </div>
+              {delivery.lastError && delivery.status !== 'sent' && (
+                <p className="mt-1 break-all text-[#ff2d55]/80">{delivery.lastError}</p>
+              )}
+            </li>
+          )
+        })}
+      </ul>
+    </section>
+  )
+}
+
+export default function WebhookManager({ onUnauthorized }) {
+  const [webhooks, setWebhooks] = useState([])
+  const [events, setEvents] = useState([])
+  const [selectedId, setSelectedId] = useState(null)
+  const [draft, setDraft] = useState({ url: '', events: [], description: '' })
+  // Full secret of a just-created or rotated endpoint; shown once
+  const [revealed, setRevealed] = useState(null)
+  const [error, setError] = useState('')
+  const [refreshKey, setRefreshKey] = useState(0)
+
+  const handleError = useCallback((err) => {
+    if (err.status === 401) onUnauthorized()
+    else setError(err.message)
+  }, [onUnauthorized])
+
+  const load = useCallback(() => {
+    listWebhooks()
+      .then(data => { setWebhooks(data.webhooks); setEvents(data.events) })
+      .catch(handleError)
+  }, [handleError])
+
+  useEffect(load, [load])
+
+  const run = async (action) => {
+    setError('')
+    try {
+      await action()
+      load()
+    } catch (err) {
+      handleError(err)
+    }
+  }
+
+  const selected = webhooks.find(webhook => webhook.id === selectedId)
+
+  const handleCreate = (e) => {
+    e.preventDefault()
+    run(async () => {
+      const created = await createWebhook(draft)
+      setDraft({ url: '', events: [], description: '' })
+      setSelectedId(created.id)
+      setRevealed({ id: created.id, secret: created.secret })
+    })
+  }
+
+  const handleRotate = () => {
+    if (!window.confirm('Rotate the signing secret? Deliveries will be signed with the new one immediately.')) return
+    run(async () => {
+      const rotated = await rotateWebhookSecret(selected.id)
+      setRevealed({ id: rotated.id, secret: rotated.secret })
+    })
+  }
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the webhook for ${selected.url}?`)) return
+    run(async () => {
+      await deleteWebhook(selected.id)
+      setSelectedId(null)
+    })
+  }
+
+  const handleTest = () => run(async () => {
+    await testWebhook(selected.id)
+    // Give the worker a moment before showing the result
+    setTimeout(() => setRefreshKey(key => key + 1), 1500)
+  })
+
+  return (
+    <div className="mx-auto max-w-7xl px-4 py-8">
+      <header className="mb-6">
+        <h1 className="text-2xl font-semibold text-white">Webhooks</h1>
+        <p className="mt-1 text-sm text-white/45">
+          Signed JSON POSTs for {events.join(', ')}. Verify <code className="font-mono text-white/70">X-Webhook-Signature</code> as
+          HMAC-SHA256 of <code className="font-mono text-white/70">timestamp.body</code> with the endpoint's secret.
+        </p>
+      </header>
+
+      {error && <p role="alert" className="mb-4 text-sm text-[#ff2d55]">{error}</p>}
+
+      <div className="grid gap-6 lg:grid-cols-[minmax(0,2fr)_minmax(0,3fr)]">
+        <div className="space-y-6">
+          <form onSubmit={handleCreate} className="admin-panel space-y-3 p-4">
+            <input
+              type="url"
+              value={draft.url}
+              onChange={(e) => setDraft(prev => ({ ...prev, url: e.target.value }))}
+              placeholder="https://example.com/hooks/portfolio"
+              required
+              className="admin-input"
+            />
+            <input
+              value={draft.description}
+              onChange={(e) => setDraft(prev => ({ ...prev, description: e.target.value }))}
+              placeholder="Description (optional)"
+              maxLength={200}
+              className="admin-input"
+            />
+            <EventCheckboxes events={events} value={draft.events} onChange={(value) => setDraft(prev => ({ ...prev, events: value }))} />
+            <button type="submit" disabled={!draft.events.length} className="admin-button admin-button-primary">Add webhook</button>
+          </form>
+
+          <ul className="admin-panel overflow-hidden">
+            {webhooks.map(webhook => (
+              <li key={webhook.id} className={`border-b border-white/[0.04] ${webhook.id === selectedId ? 'bg-white/[0.04]' : ''}`}>
+                <button type="button" onClick={() => setSelectedId(webhook.id)} className="block w-full px-4 py-3 text-left">
+                  <span className={`block truncate text-sm ${webhook.active ? 'text-white' : 'text-white/40 line-through'}`}>{webhook.url}</span>
+                  <span className="block truncate font-mono text-[10px] text-white/40">{webhook.events.join(' · ')}</span>
+                </button>
+              </li>
+            ))}
+            {!webhooks.length && <li className="px-4 py-10 text-center text-sm text-white/40">No webhooks yet</li>}
+          </ul>
+        </div>
+
+        {selected ? (
+          <section className="admin-panel p-6">
+            <h2 className="break-all text-lg font-semibold text-white">{selected.url}</h2>
+            {selected.description && <p className="mt-1 text-sm text-white/50">{selected.description}</p>}
+
+            {revealed?.id === selected.id && (
+              <div className="mt-4 rounded-lg border border-[#00ffa3]/20 bg-[#00ffa3]/[0.03] p-3">
+                <p className="admin-label">Signing secret — copy it now, it won't be shown again</p>
+                <code className="mt-1 block select-all break-all font-mono text-xs text-[#00ffa3]">{revealed.secret}</code>
+              </div>
+            )}
+
+            <div className="mt-5 space-y-3">
+              <EventCheckboxes
+                events={events}
+                value={selected.events}
+                onChange={(value) => value.length && run(() => updateWebhook(selected.id, { events: value }))}
+              />
+              <label className="flex items-center gap-2 font-mono text-[11px] text-white/70">
+                <input
+                  type="checkbox"
+                  checked={selected.active}
+                  onChange={(e) => run(() => updateWebhook(selected.id, { active: e.target.checked }))}
+                />
+                Active
+              </label>
+              <p className="font-mono text-[10px] text-white/35">Secret {selected.secretHint}</p>
+            </div>
+
+            <div className="mt-5 flex flex-wrap gap-2">
+              <button type="button" onClick={handleTest} className="admin-button">Send test</button>
+              <button type="button" onClick={handleRotate} className="admin-button">Rotate secret</button>
+              <button type="button" onClick={handleDelete} className="admin-button">Delete</button>
+            </div>
+
+            <Deliveries webhookId={selected.id} refreshKey={refreshKey} onError={handleError} />
+          </section>
+        ) : (
+          <div className="admin-panel px-6 py-16 text-center text-sm text-white/40">Select a webhook to see its deliveries</div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,87 @@
+import { API_ENDPOINTS } from '../config/api'
+import { request as apiRequest } from '../api/client'
+
+// The session cookie is HttpOnly; the CSRF token returned with the session
+// has to accompany every state-changing request.
+let csrfToken = null
+
+function request(url, { method = 'GET', body, query } = {}) {
+  const headers = method !== 'GET' && csrfToken ? { 'X-CSRF-Token': csrfToken } : {}
+  return apiRequest(url, { method, body, query, headers, credentials: 'include' })
+}
+
+function remember(data) {
+  csrfToken = data.session?.csrfToken || null
+  return data.session
+}
+
+export const getSession = () => request(API_ENDPOINTS.ADMIN_SESSION).then(remember)
+
+export const login = (username, password) =>
+  request(API_ENDPOINTS.ADMIN_LOGIN, { method: 'POST', body: { username, password } }).then(remember)
+
+export const logout = () =>
+  request(API_ENDPOINTS.ADMIN_LOGOUT, { method: 'POST' }).finally(() => { csrfToken = null })
+
+export const listMessages = ({ status, type, q, page } = {}) =>
+  request(API_ENDPOINTS.ADMIN_MESSAGES, { query: { status, type, q, page } })
+
+export const getMessage = (id) =>
+  request(`${API_ENDPOINTS.ADMIN_MESSAGES}/${encodeURIComponent(id)}`).then(data => data.message)
+
+// Plain link target: the session cookie authorises the download
+export const attachmentUrl = (id, attachmentId) =>
+  `${API_ENDPOINTS.ADMIN_MESSAGES}/${encodeURIComponent(id)}/attachments/${encodeURIComponent(attachmentId)}`
+
+export const setMessageStatus = (id, status) =>
+  request(`${API_ENDPOINTS.ADMIN_MESSAGES}/${encodeURIComponent(id)}`, { method: 'PATCH', body: { status } })
+    .then(data => data.message)
+
+export const bulkSetStatus = (ids, status) =>
+  request(`${API_ENDPOINTS.ADMIN_MESSAGES}/bulk`, { method: 'POST', body: { ids, status } })
+
+export const sendReply = (id, body) =>
+  request(`${API_ENDPOINTS.ADMIN_MESSAGES}/${encodeURIComponent(id)}/reply`, { method: 'POST', body: { body } })
+    .then(data => data.message)
+
+export const getStats = () => request(`${API_ENDPOINTS.ADMIN_MESSAGES}/stats`).then(data => data.stats)
+
+export const listTemplates = () => request(API_ENDPOINTS.ADMIN_REPLY_TEMPLATES)
+
+export const createTemplate = (template) =>
+  request(API_ENDPOINTS.ADMIN_REPLY_TEMPLATES, { method: 'POST', body: template }).then(data => data.template)
+
+export const updateTemplate = (id, template) =>
+  request(`${API_ENDPOINTS.ADMIN_REPLY_TEMPLATES}/${encodeURIComponent(id)}`, { method: 'PUT', body: template })
+    .then(data => data.template)
+
+export const deleteTemplate = (id) =>
+  request(`${API_ENDPOINTS.ADMIN_REPLY_TEMPLATES}/${encodeURIComponent(id)}`, { method: 'DELETE' })
+
+const webhookUrl = (id, action = '') =>
+  `${API_ENDPOINTS.ADMIN_WEBHOOKS}/${encodeURIComponent(id)}${action ? `/${action}` : ''}`
+
+export const listWebhooks = () => request(API_ENDPOINTS.ADMIN_WEBHOOKS)
+
+export const createWebhook = (webhook) =>
+  request(API_ENDPOINTS.ADMIN_WEBHOOKS, { method: 'POST', body: webhook }).then(data => data.webhook)
+
+export const updateWebhook = (id, changes) =>
+  request(webhookUrl(id), { method: 'PATCH', body: changes }).then(data => data.webhook)
+
+export const deleteWebhook = (id) => request(webhookUrl(id), { method: 'DELETE' })
+
+export const rotateWebhookSecret = (id) =>
+  request(webhookUrl(id, 'rotate-secret'), { method: 'POST' }).then(data => data.webhook)
+
+export const testWebhook = (id) => request(webhookUrl(id, 'test'), { method: 'POST' })
+
+export const listWebhookDeliveries = (id) => request(webhookUrl(id, 'deliveries')).then(data => data.deliveries)
+
+export const retryWebhookDelivery = (deliveryId) =>
+  request(`${API_ENDPOINTS.ADMIN_WEBHOOKS}/deliveries/${encodeURIComponent(deliveryId)}/retry`, { method: 'POST' })
+
+export const listRateLimitBlocks = () => request(API_ENDPOINTS.ADMIN_RATE_LIMITS)
+
+export const unblockRateLimit = (id) =>
+  request(`${API_ENDPOINTS.ADMIN_RATE_LIMITS}/${encodeURIComponent(id)}`, { method: 'DELETE' })
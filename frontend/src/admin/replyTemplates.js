@@ -0,0 +1,17 @@
+import { projects } from '../data/projects'
+
+export const PROJECT_TITLES = projects.map(project => project.title)
+
+/** Replaces {{name}}-style placeholders; unknown or empty ones are left for the admin to fill. */
+export function fillTemplate(body, values) {
+  return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => values[key] || match)
+}
+
+/** Whether a template uses a given placeholder. */
+export const usesVariable = (body, name) => new RegExp(`\\{\\{\\s*${name}\\s*\\}\\}`).test(body)
+
+/** Best guess at which portfolio project a message is about, by title. */
+export function guessProject({ subject, message }) {
+  const text = `${subject}\n${message}`.toLowerCase()
+  return PROJECT_TITLES.find(title => text.includes(title.toLowerCase())) || ''
+}
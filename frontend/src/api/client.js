@@ -0,0 +1,245 @@
+import API_BASE_URL from '../config/api'
+
+// Every backend call goes through here. Calls time out, idempotent ones are
+// retried with jittered backoff, and failures come back as ApiError.
+
+const DEFAULT_TIMEOUT_MS = 15 * 1000
+const DEFAULT_RETRIES = 2
+const RETRY_BASE_MS = 400
+const RETRY_MAX_MS = 5000
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+
+/**
+ * @typedef {object} RequestOptions
+ * @property {string} [method='GET']
+ * @property {*} [body] Sent as JSON, or as-is when it is FormData
+ * @property {Record<string, string | number | undefined>} [query] Appended as search params; empty values skipped
+ * @property {Record<string, string>} [headers]
+ * @property {number} [timeout] Per attempt, in ms (0: none)
+ * @property {number} [retries] Extra attempts after a retryable failure (idempotent calls only)
+ * @property {boolean} [idempotent] Lets a POST or PATCH be retried, e.g. one carrying a client id
+ * @property {RequestCredentials} [credentials]
+ * @property {boolean} [keepalive] Let the request outlive the page
+ * @property {AbortSignal} [signal] Cancels the call (no retries after that)
+ */
+
+/**
+ * @typedef {object} ApiRequest What request hooks see (and may change)
+ * @property {string} url
+ * @property {string} method
+ * @property {Record<string, string>} headers
+ * @property {BodyInit | undefined} body
+ * @property {RequestCredentials} credentials
+ * @property {boolean} keepalive
+ */
+
+/**
+ * A failed call. `kind` is 'http' when the server answered with an error
+ * status, otherwise 'network', 'timeout' or 'aborted' (status 0).
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {'http' | 'network' | 'timeout' | 'aborted'} [details.kind]
+   * @param {number} [details.status]
+   * @param {*} [details.data] Parsed response body
+   * @param {number | null} [details.retryAfterMs] From Retry-After or the body's `retryAfter`
+   */
+  constructor(message, { kind = 'network', status = 0, data = null, retryAfterMs = null } = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.kind = kind
+    this.status = status
+    this.data = data
+    this.retryAfterMs = retryAfterMs
+    /** @type {Record<string, string>} Validation errors by field, from `errors: [{ path, msg }]` */
+    this.fieldErrors = Object.fromEntries(
+      (Array.isArray(data?.errors) ? data.errors : []).filter((err) => err?.path).map((err) => [err.path, err.msg])
+    )
+  }
+
+  /** Worth sending again later: no answer, a timeout, 408, 429 or a 5xx */
+  get retryable() {
+    if (this.kind === 'aborted') return false
+    if (this.kind !== 'http') return true
+    return this.status === 408 || this.status === 429 || this.status >= 500
+  }
+}
+
+const requestHooks = new Set()
+const responseHooks = new Set()
+
+/**
+ * Run `hook(request)` before every call. It may change the request in place
+ * or return a new one. Returns a function that removes the hook.
+ * @param {(request: ApiRequest) => ApiRequest | void} hook
+ */
+export function onRequest(hook) {
+  requestHooks.add(hook)
+  return () => requestHooks.delete(hook)
+}
+
+/**
+ * Run `hook({ request, response, data, error })` after every attempt, failed
+ * ones included (`response` is null when there was no answer). Returns a
+ * function that removes the hook.
+ * @param {(result: { request: ApiRequest, response: Response | null, data: *, error: ApiError | null }) => void} hook
+ */
+export function onResponse(hook) {
+  responseHooks.add(hook)
+  return () => responseHooks.delete(hook)
+}
+
+// API_ENDPOINTS already start with the configured base (an origin, a path
+// such as /portfolio, or nothing), so only other root-relative paths get it
+const hasBase = (url) => Boolean(API_BASE_URL) && (url === API_BASE_URL || url.startsWith(`${API_BASE_URL}/`))
+
+const resolveUrl = (url, query) => {
+  const base = url.startsWith('/') && !hasBase(url) ? `${API_BASE_URL}${url}` : url
+  const params = new URLSearchParams()
+  Object.entries(query || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') params.set(key, String(value))
+  })
+  const search = params.toString()
+  return search ? `${base}${base.includes('?') ? '&' : '?'}${search}` : base
+}
+
+// Retry-After is seconds or an HTTP date; the API also puts seconds in the body
+const retryAfterMs = (response, data) => {
+  const header = response.headers.get('Retry-After')
+  if (header) {
+    const ms = /^\d+$/.test(header.trim()) ? Number(header) * 1000 : Date.parse(header) - Date.now()
+    if (Number.isFinite(ms)) return Math.max(0, ms)
+  }
+  return Number(data?.retryAfter) > 0 ? Number(data.retryAfter) * 1000 : null
+}
+
+const parseBody = async (response) => {
+  if (response.status === 204) return null
+  const text = await response.text()
+  if (!text) return null
+  if ((response.headers.get('Content-Type') || '').includes('json')) {
+    try {
+      return JSON.parse(text)
+    } catch {
+      return null
+    }
+  }
+  return text
+}
+
+const runResponseHooks = (result) => {
+  responseHooks.forEach((hook) => {
+    try {
+      hook(result)
+    } catch (err) {
+      console.error('API response hook failed:', err)
+    }
+  })
+}
+
+// Full jitter: anywhere up to the exponential delay, so clients that failed
+// together don't all come back at once
+const backoff = (attempt) => Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt)
+
+const sleep = (ms, signal) => new Promise((resolve) => {
+  const timer = setTimeout(resolve, ms)
+  signal?.addEventListener('abort', () => { clearTimeout(timer); resolve() }, { once: true })
+})
+
+async function attempt(request, { timeout, signal }) {
+  const controller = new AbortController()
+  let timedOut = false
+  const timer = timeout ? setTimeout(() => { timedOut = true; controller.abort() }, timeout) : null
+  const cancel = () => controller.abort()
+  signal?.addEventListener('abort', cancel)
+
+  let response = null
+  let data = null
+  let error = null
+  try {
+    const { url, ...init } = request
+    response = await fetch(url, { ...init, signal: controller.signal })
+    data = await parseBody(response)
+    if (!response.ok) {
+      error = new ApiError((data && data.message) || `Request failed (${response.status})`, {
+        kind: 'http',
+        status: response.status,
+        data,
+        retryAfterMs: retryAfterMs(response, data),
+      })
+    }
+  } catch {
+    if (timedOut) error = new ApiError('Request timed out', { kind: 'timeout' })
+    else if (signal?.aborted) error = new ApiError('Request cancelled', { kind: 'aborted' })
+    else error = new ApiError('Could not reach the server', { kind: 'network', status: response?.status || 0 })
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', cancel)
+  }
+
+  runResponseHooks({ request, response, data, error })
+  if (error) throw error
+  return data
+}
+
+/**
+ * Call the backend and resolve with the parsed response body (null when
+ * empty), or reject with an ApiError.
+ * @param {string} url An API_ENDPOINTS entry, or a path under API_BASE_URL
+ * @param {RequestOptions} [options]
+ * @returns {Promise<*>}
+ */
+export async function request(url, options = {}) {
+  const {
+    method = 'GET',
+    body,
+    query,
+    headers = {},
+    timeout = DEFAULT_TIMEOUT_MS,
+    idempotent = IDEMPOTENT_METHODS.includes(method.toUpperCase()),
+    retries = idempotent ? DEFAULT_RETRIES : 0,
+    credentials = 'same-origin',
+    keepalive = false,
+    signal,
+  } = options
+
+  const isForm = typeof FormData !== 'undefined' && body instanceof FormData
+  let prepared = {
+    url: resolveUrl(url, query),
+    method: method.toUpperCase(),
+    headers: { ...(body !== undefined && !isForm && { 'Content-Type': 'application/json' }), ...headers },
+    body: body === undefined || isForm ? body : JSON.stringify(body),
+    credentials,
+    keepalive,
+  }
+  requestHooks.forEach((hook) => { prepared = hook(prepared) || prepared })
+
+  for (let tries = 0; ; tries += 1) {
+    try {
+      return await attempt(prepared, { timeout, signal })
+    } catch (err) {
+      // Rate limits and long Retry-After waits are reported, not waited out
+      const delay = Math.max(backoff(tries), err.retryAfterMs || 0)
+      if (!idempotent || tries >= retries || !err.retryable || err.status === 429 || delay > RETRY_MAX_MS) throw err
+      await sleep(delay, signal)
+      if (signal?.aborted) throw new ApiError('Request cancelled', { kind: 'aborted' })
+    }
+  }
+}
+
+export const api = {
+  /** @param {string} url @param {RequestOptions} [options] */
+  get: (url, options) => request(url, { ...options, method: 'GET' }),
+  /** @param {string} url @param {*} [body] @param {RequestOptions} [options] */
+  post: (url, body, options) => request(url, { ...options, method: 'POST', body }),
+  /** @param {string} url @param {*} [body] @param {RequestOptions} [options] */
+  put: (url, body, options) => request(url, { ...options, method: 'PUT', body }),
+  /** @param {string} url @param {*} [body] @param {RequestOptions} [options] */
+  patch: (url, body, options) => request(url, { ...options, method: 'PATCH', body }),
+  /** @param {string} url @param {RequestOptions} [options] */
+  delete: (url, options) => request(url, { ...options, method: 'DELETE' }),
+}
+
+export default api
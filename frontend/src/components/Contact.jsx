@@ -4,6 +4,12 @@ import gsap from 'gsap'
 import { ScrollTrigger } from 'gsap/ScrollTrigger'
 import { contactInfo, socialLinks } from '../data/personal'
 import { API_ENDPOINTS } from '../config/api'
+import api, { ApiError } from '../api/client'
+import useProofOfWork from '../hooks/useProofOfWork'
+import useFormDraft from '../hooks/useFormDraft'
+import useSubmissionQueue from '../hooks/useSubmissionQueue'
+import { validate as validateSchema, attachmentRules, validateAttachments, formatFileSize } from '../../../shared/contactSchema'
+import { inquiryTypes, inquirySchema, getInquiryType, DEFAULT_INQUIRY_TYPE } from '../../../shared/inquiryTypes'
 
 gsap.registerPlugin(ScrollTrigger)
 
@@ -12,8 +18,16 @@ gsap.registerPlugin(ScrollTrigger)
  *  -------------------------------------------------------
  *  - Electric field canvas on form container
  *  - Floating label inputs with glow underlines
- *  - Form validation (name/email/subject/message)
+ *  - Form validation shared with the API (shared/contactSchema.js)
+ *  - Inquiry types with their own extra fields (shared/inquiryTypes.js)
+ *  - Optional file attachments (PDF, DOCX, PNG, JPG), sent as multipart
+ *  - Draft autosaved to localStorage and restored on return
+ *  - Offline queue: failed sends wait in IndexedDB and retry on their own
+ *  - Rate limit countdown from Retry-After, keeping the message meanwhile
+ *  - Honeypot field + signed form token for spam filtering
+ *  - Proof-of-work challenge solved in a Web Worker while typing
  *  - POST to API with status feedback
+ *  - Ticket ID + status page link once sent
  *  - Success particle burst animation
  *  - Contact cards with 3D hover
  *  - Social links orbit
@@ -112,8 +126,45 @@ function ElectricCanvas({ isActive }) {
   )
 }
 
+// Every field of every inquiry type starts empty; only the chosen type's
+// fields are validated and sent
+const EMPTY_FORM = {
+  inquiryType: DEFAULT_INQUIRY_TYPE,
+  name: '',
+  email: '',
+  subject: '',
+  message: '',
+  ...Object.fromEntries(inquiryTypes.flatMap((type) => Object.keys(type.fields)).map((field) => [field, ''])),
+}
+
+const DRAFT_KEY = 'portfolio:contact-draft'
+
+const isFormEmpty = (values) => Object.entries(values).every(([field, value]) => field === 'inquiryType' || !value)
+
+// Only known text fields come back from storage
+const draftValues = (draft) => Object.fromEntries(
+  Object.keys(EMPTY_FORM)
+    .filter((field) => typeof draft[field] === 'string')
+    .map((field) => [field, draft[field]])
+)
+
+// The server spam filter wants this long between issuing a form token and
+// the submission that carries it (SPAM_MIN_FILL_MS, 3s by default)
+const TOKEN_MIN_AGE_MS = 3500
+
+// Sent with every attempt at the same message, so a retry of a message
+// that did reach the server returns the original receipt
+const newClientId = () => (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`)
+
+const requestFormToken = () => api.get(API_ENDPOINTS.CONTACT_TOKEN).then((data) => data?.token || null, () => null)
+
+// Uploads can take a while on a slow connection
+const UPLOAD_TIMEOUT_MS = 2 * 60 * 1000
+
+const formatCountdown = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+
 /* ───── Floating Label Input ───── */
-function FormField({ label, type = 'text', name, value, onChange, error, rows }) {
+function FormField({ label, type = 'text', name, value, onChange, error, rows, hint }) {
   const [focused, setFocused] = useState(false)
   const isTextarea = type === 'textarea'
   const hasValue = value && value.length > 0
@@ -165,6 +216,8 @@ function FormField({ label, type = 'text', name, value, onChange, error, rows })
         }}
       />
 
+      {hint && !error && <p className="text-[11px] text-white/35 mt-1 font-mono">{hint}</p>}
+
       {/* Error message */}
       <AnimatePresence>
         {error && (
@@ -182,6 +235,202 @@ function FormField({ label, type = 'text', name, value, onChange, error, rows })
   )
 }
 
+/* ───── Choice Chips (inquiry type, budget, timeline) ───── */
+function ChoiceField({ label, name, options, value, onSelect, error }) {
+  return (
+    <fieldset className="relative mb-6">
+      <legend className="text-[10px] text-white/90 mb-2">{label}</legend>
+      <div role="radiogroup" className="flex flex-wrap gap-2">
+        {options.map((option) => {
+          const selected = option.value === value
+          return (
+            <motion.button
+              key={option.value}
+              type="button"
+              role="radio"
+              aria-checked={selected}
+              title={option.description}
+              onClick={() => onSelect(name, selected && option.deselect ? '' : option.value)}
+              whileTap={{ scale: 0.95 }}
+              className={`px-3 py-1.5 rounded-full border font-mono text-[11px] tracking-wide transition-colors duration-300 ${
+                selected
+                  ? 'border-cyan-400/40 bg-cyan-400/10 text-cyan-300'
+                  : 'border-white/[0.08] text-white/60 hover:border-white/20 hover:text-white/85'
+              }`}
+            >
+              {option.label}
+            </motion.button>
+          )
+        })}
+      </div>
+      <AnimatePresence>
+        {error && (
+          <motion.p
+            initial={{ opacity: 0, y: -5 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0 }}
+            className="text-sm text-red-400/85 mt-1 font-mono"
+          >
+            {error}
+          </motion.p>
+        )}
+      </AnimatePresence>
+    </fieldset>
+  )
+}
+
+/* ───── File Attachments ───── */
+const ACCEPT = attachmentRules.types.flatMap((type) => [...type.extensions, type.mimeType]).join(',')
+const TYPE_LABELS = attachmentRules.types.map((type) => type.label).join(', ')
+
+function AttachmentField({ files, onChange, error }) {
+  const inputRef = useRef(null)
+  const full = files.length >= attachmentRules.maxFiles
+
+  const add = (e) => {
+    onChange([...files, ...Array.from(e.target.files || [])])
+    e.target.value = '' // so picking the same file again still fires onChange
+  }
+
+  return (
+    <div className="relative mb-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          type="button"
+          onClick={() => inputRef.current?.click()}
+          disabled={full}
+          className="px-3 py-1.5 rounded-full border border-white/[0.08] font-mono text-[11px] tracking-wide text-white/60 hover:border-white/20 hover:text-white/85 disabled:opacity-40 transition-colors duration-300"
+        >
+          + Attach files
+        </button>
+        <span className="text-[11px] text-white/35 font-mono">
+          {TYPE_LABELS} · up to {attachmentRules.maxFiles} files, {formatFileSize(attachmentRules.maxFileSize)} each
+        </span>
+        <input ref={inputRef} type="file" multiple accept={ACCEPT} onChange={add} className="hidden" />
+      </div>
+
+      {files.length > 0 && (
+        <ul className="mt-3 space-y-1.5">
+          {files.map((file, index) => (
+            <li key={`${file.name}-${index}`} className="flex items-center justify-between gap-3 text-sm text-white/75">
+              <span className="truncate">{file.name} <span className="text-white/35 font-mono text-[11px]">{formatFileSize(file.size)}</span></span>
+              <button
+                type="button"
+                onClick={() => onChange(files.filter((_, i) => i !== index))}
+                aria-label={`Remove ${file.name}`}
+                className="shrink-0 font-mono text-[11px] text-white/40 hover:text-red-400/85 transition-colors"
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <AnimatePresence>
+        {error && (
+          <motion.p
+            initial={{ opacity: 0, y: -5 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0 }}
+            className="text-sm text-red-400/85 mt-1 font-mono"
+          >
+            {error}
+          </motion.p>
+        )}
+      </AnimatePresence>
+    </div>
+  )
+}
+
+/* ───── Queued / retrying / sent messages ───── */
+const QUEUE_STATES = {
+  queued: { label: 'Queued', color: 'text-amber-300/85', note: 'Will send automatically when the connection is back' },
+  retrying: { label: 'Retrying', color: 'text-cyan-300/85', note: 'Sending…' },
+  sent: { label: 'Sent', color: 'text-green-400/90', note: 'Delivered' },
+  failed: { label: 'Not sent', color: 'text-red-400/85', note: 'The server rejected this message' },
+}
+
+function QueuedMessages({ entries, onRetry, onDismiss, onEdit }) {
+  if (!entries.length) return null
+  return (
+    <ul className="mt-6 space-y-2" aria-live="polite">
+      {entries.map((entry) => {
+        const state = QUEUE_STATES[entry.state]
+        return (
+          <li key={entry.id} className="rounded-lg border border-white/[0.06] bg-white/[0.015] px-4 py-3">
+            <div className="flex items-center justify-between gap-3">
+              <span className="truncate text-sm text-white/80">{entry.payload.subject}</span>
+              <span className={`shrink-0 font-mono text-[10px] uppercase tracking-[0.2em] ${state.color}`}>
+                {state.label}{entry.state === 'queued' && entry.attempts > 1 && ` · ${entry.attempts} tries`}
+              </span>
+            </div>
+            <p className="mt-1 font-mono text-[11px] text-white/40">
+              {entry.state === 'sent' && entry.receipt?.ticket ? (
+                <>
+                  Ticket <span className="text-white/75 select-all">{entry.receipt.ticket}</span>
+                  {' · '}
+                  <a href={`#/status/${entry.receipt.statusToken}`} target="_blank" rel="noopener" className="text-[#00ffa3]/80 hover:text-[#00ffa3]">
+                    Track status →
+                  </a>
+                </>
+              ) : (
+                entry.state === 'failed' ? entry.error || state.note : state.note
+              )}
+            </p>
+            <div className="mt-2 flex gap-4 font-mono text-[10px] uppercase tracking-[0.2em]">
+              {entry.state === 'queued' && (
+                <button type="button" onClick={onRetry} className="text-white/50 hover:text-white/80 transition-colors">Retry now</button>
+              )}
+              {entry.state === 'failed' && (
+                <button type="button" onClick={() => onEdit(entry)} className="text-white/50 hover:text-white/80 transition-colors">Edit message</button>
+              )}
+              {entry.state !== 'retrying' && (
+                <button type="button" onClick={() => onDismiss(entry.id)} className="text-white/35 hover:text-white/70 transition-colors">
+                  {entry.state === 'queued' ? 'Cancel' : 'Dismiss'}
+                </button>
+              )}
+            </div>
+          </li>
+        )
+      })}
+    </ul>
+  )
+}
+
+/* ───── The chosen inquiry type's extra fields ───── */
+function InquiryFields({ type, form, errors, onChange, onSelect }) {
+  return Object.entries(type.fields).map(([field, rules]) => {
+    const label = rules.optional ? `${rules.label} (optional)` : rules.label
+    if (rules.options) {
+      return (
+        <ChoiceField
+          key={field}
+          label={label}
+          name={field}
+          options={rules.options.map((option) => ({ value: option, label: option, deselect: rules.optional }))}
+          value={form[field]}
+          onSelect={onSelect}
+          error={errors[field]}
+        />
+      )
+    }
+    return (
+      <FormField
+        key={field}
+        label={label}
+        type={rules.format === 'links' ? 'textarea' : 'text'}
+        rows={rules.format === 'links' ? 2 : undefined}
+        name={field}
+        value={form[field]}
+        onChange={onChange}
+        error={errors[field]}
+        hint={rules.hint || (rules.format === 'links' ? 'One link per line' : undefined)}
+      />
+    )
+  })
+}
+
 /* ───── Contact Info Card ───── */
 function InfoCard({ info, index }) {
   return (
@@ -212,9 +461,84 @@ function InfoCard({ info, index }) {
 const Contact = () => {
   const headingRef = useRef(null)
   const formRef = useRef(null)
-  const [form, setForm] = useState({ name: '', email: '', subject: '', message: '' })
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [files, setFiles] = useState([])
   const [errors, setErrors] = useState({})
-  const [status, setStatus] = useState('idle') // idle, sending, success, error
+  const [status, setStatus] = useState('idle') // idle, sending, success, queued, limited, error
+  const [retryAt, setRetryAt] = useState(null) // when a rate-limited visitor may send again
+  const [now, setNow] = useState(() => Date.now())
+  const [receipt, setReceipt] = useState(null) // { ticket, statusToken, confirmationSent } of the last message sent
+  const [honeypot, setHoneypot] = useState('')
+  const formTokenRef = useRef(null)
+
+  // Start solving the proof-of-work puzzle as soon as the visitor engages
+  const hasInput = files.length > 0 || Object.entries(form).some(([field, value]) => field !== 'inquiryType' && value)
+  const inquiry = getInquiryType(form.inquiryType)
+  const schema = inquirySchema(form.inquiryType)
+  const { takeSolution } = useProofOfWork(hasInput)
+
+  // Signed render-timestamp token; the server rejects forms sent back too fast
+  const fetchFormToken = useCallback(async () => {
+    formTokenRef.current = await requestFormToken()
+  }, [])
+
+  const restoreDraft = useCallback((draft) => {
+    const values = { ...EMPTY_FORM, ...draftValues(draft) }
+    setForm(values)
+    return values
+  }, [])
+  const { restored, clearDraft } = useFormDraft(DRAFT_KEY, form, restoreDraft, isFormEmpty)
+
+  // One delivery attempt, for the first send and for queued retries. The
+  // ApiErrors it throws are `retryable` when the message never got an answer
+  // (no connection, backend down or still starting up) or was rate limited,
+  // and carry the server's field errors and Retry-After otherwise.
+  const deliver = useCallback(async ({ payload, files: attached = [] }) => {
+    let { formToken } = payload
+    if (!formToken) {
+      // The backend was unreachable when the form loaded
+      formToken = await requestFormToken()
+      if (!formToken) throw new ApiError('Server unreachable')
+      await new Promise((resolve) => setTimeout(resolve, TOKEN_MIN_AGE_MS))
+    }
+    const pow = await takeSolution()
+    if (!pow) throw new ApiError('Server unreachable')
+
+    const fields = { ...payload, formToken, pow }
+    let body = fields
+    // With files the same fields go as multipart; the browser sets the boundary
+    if (attached.length) {
+      body = new FormData()
+      Object.entries(fields).forEach(([key, value]) => {
+        body.append(key, typeof value === 'object' && value !== null ? JSON.stringify(value) : value ?? '')
+      })
+      attached.forEach((file) => body.append('attachments', file))
+    }
+
+    try {
+      return await api.post(API_ENDPOINTS.CONTACT, body, attached.length ? { timeout: UPLOAD_TIMEOUT_MS } : {})
+    } catch (err) {
+      // Only errors for fields on this form can be shown inline
+      err.fieldErrors = Object.fromEntries(
+        Object.entries(err.fieldErrors || {}).filter(([field]) => field in EMPTY_FORM || field === 'attachments')
+      )
+      throw err
+    }
+  }, [takeSolution])
+
+  const { entries: queued, enqueue, dismiss, retryNow } = useSubmissionQueue(deliver)
+
+  // A message the server turned down goes back into the form for fixing
+  const editQueued = useCallback((entry) => {
+    restoreDraft(entry.payload)
+    setFiles(entry.files || [])
+    dismiss(entry.id)
+    formRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+  }, [restoreDraft, dismiss])
+
+  useEffect(() => {
+    fetchFormToken()
+  }, [fetchFormToken])
 
   // Heading chars animation
   useEffect(() => {
@@ -258,50 +582,87 @@ const Contact = () => {
     })
   }, [])
 
-  const handleChange = useCallback((e) => {
-    const { name, value } = e.target
+  const setField = useCallback((name, value) => {
     setForm(prev => ({ ...prev, [name]: value }))
     setErrors(prev => ({ ...prev, [name]: '' }))
   }, [])
 
-  const validate = useCallback(() => {
-    const e = {}
-    if (!form.name || form.name.length < 2 || form.name.length > 50) {
-      e.name = 'Name must be 2-50 characters'
-    }
-    if (!form.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(form.email)) {
-      e.email = 'Valid email required'
-    }
-    if (!form.subject || form.subject.length < 5 || form.subject.length > 100) {
-      e.subject = 'Subject must be 5-100 characters'
-    }
-    if (!form.message || form.message.length < 10 || form.message.length > 1000) {
-      e.message = 'Message must be 10-1000 characters'
-    }
-    setErrors(e)
-    return Object.keys(e).length === 0
-  }, [form])
+  const handleChange = useCallback((e) => {
+    setField(e.target.name, e.target.value)
+  }, [setField])
+
+  const handleFiles = useCallback((next) => {
+    setFiles(next)
+    setErrors(prev => ({ ...prev, attachments: validateAttachments(next) }))
+  }, [])
 
   const handleSubmit = useCallback(async (e) => {
     e.preventDefault()
-    if (!validate()) return
+    // Only the chosen type's fields are checked and sent
+    const { valid, errors: fieldErrors, values } = validateSchema(schema, form)
+    const attachmentError = validateAttachments(files)
+    setErrors(attachmentError ? { ...fieldErrors, attachments: attachmentError } : fieldErrors)
+    if (!valid || attachmentError) return
+
+    const entry = {
+      payload: { ...values, website: honeypot, formToken: formTokenRef.current, clientId: newClientId() },
+      files,
+    }
+    const reset = () => {
+      setForm(EMPTY_FORM)
+      setFiles([])
+      clearDraft()
+      fetchFormToken()
+    }
 
     setStatus('sending')
     try {
-      const res = await fetch(API_ENDPOINTS.CONTACT, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(form),
-      })
-      if (!res.ok) throw new Error('Failed')
+      const data = await deliver(entry)
       setStatus('success')
-      setForm({ name: '', email: '', subject: '', message: '' })
-      setTimeout(() => setStatus('idle'), 5000)
-    } catch {
-      setStatus('error')
+      reset()
+      // With a ticket to note down, the overlay stays until it's dismissed
+      if (data.ticket) setReceipt({ ticket: data.ticket, statusToken: data.statusToken, confirmationSent: data.confirmationSent === true })
+      else setTimeout(() => setStatus('idle'), 5000)
+    } catch (err) {
+      if (Object.keys(err.fieldErrors || {}).length) {
+        setErrors(err.fieldErrors)
+        setStatus('idle')
+        return
+      }
+      if (err.status === 429) {
+        // Rate limited: keep the message (and its draft) until sending is allowed again
+        setRetryAt(Date.now() + (err.retryAfterMs || 60 * 1000))
+        setNow(Date.now())
+        setStatus('limited')
+        return
+      }
+      if (err.retryable) {
+        // Safe in the queue now, so the form can be cleared
+        enqueue(entry.payload, entry.files)
+        reset()
+        setStatus('queued')
+      } else {
+        setStatus('error')
+      }
       setTimeout(() => setStatus('idle'), 4000)
     }
-  }, [form, validate])
+  }, [form, files, schema, honeypot, fetchFormToken, clearDraft, deliver, enqueue])
+
+  // Tick the rate limit countdown, then let the visitor send again
+  useEffect(() => {
+    if (status !== 'limited') return
+    const timer = setInterval(() => {
+      const current = Date.now()
+      setNow(current)
+      if (current >= retryAt) {
+        setStatus('idle')
+        setRetryAt(null)
+      }
+    }, 1000)
+    return () => clearInterval(timer)
+  }, [status, retryAt])
+
+  const secondsLeft = status === 'limited' ? Math.max(0, Math.ceil((retryAt - now) / 1000)) : 0
 
   return (
     <section id="contact" className="relative py-16 md:py-24 px-6 overflow-hidden aurora-bg">
@@ -377,15 +738,52 @@ const Contact = () => {
               <ElectricCanvas />
 
               <form onSubmit={handleSubmit} className="relative z-10 space-y-2">
+                {restored && (
+                  <p className="mb-4 flex items-center justify-between gap-3 font-mono text-[11px] text-white/45">
+                    <span>Draft restored from your last visit</span>
+                    <button
+                      type="button"
+                      onClick={() => { setForm(EMPTY_FORM); clearDraft() }}
+                      className="uppercase tracking-[0.2em] text-white/40 hover:text-white/75 transition-colors"
+                    >
+                      Discard
+                    </button>
+                  </p>
+                )}
+                <ChoiceField
+                  label="What's this about?"
+                  name="inquiryType"
+                  options={inquiryTypes.map(({ id, label, description }) => ({ value: id, label, description }))}
+                  value={form.inquiryType}
+                  onSelect={setField}
+                  error={errors.inquiryType}
+                />
                 <FormField label="Name" name="name" value={form.name} onChange={handleChange} error={errors.name} />
                 <FormField label="Email" type="email" name="email" value={form.email} onChange={handleChange} error={errors.email} />
                 <FormField label="Subject" name="subject" value={form.subject} onChange={handleChange} error={errors.subject} />
+                {inquiry && <InquiryFields type={inquiry} form={form} errors={errors} onChange={handleChange} onSelect={setField} />}
                 <FormField label="Message" type="textarea" name="message" value={form.message} onChange={handleChange} error={errors.message} rows={4} />
+                <AttachmentField files={files} onChange={handleFiles} error={errors.attachments} />
+
+                {/* Honeypot — invisible to people, irresistible to bots */}
+                <div aria-hidden="true" className="absolute -left-[9999px] top-0 w-px h-px overflow-hidden">
+                  <label>
+                    Website
+                    <input
+                      type="text"
+                      name="website"
+                      tabIndex={-1}
+                      autoComplete="off"
+                      value={honeypot}
+                      onChange={(e) => setHoneypot(e.target.value)}
+                    />
+                  </label>
+                </div>
 
                 <div className="pt-4">
                   <motion.button
                     type="submit"
-                    disabled={status === 'sending'}
+                    disabled={status === 'sending' || status === 'limited'}
                     whileHover={{ scale: 1.03, y: -2, boxShadow: '0 0 30px rgba(0,212,255,0.15)' }}
                     whileTap={{ scale: 0.96 }}
                     className="relative w-full py-3.5 rounded-lg font-mono text-sm uppercase tracking-[0.3em] border overflow-hidden group disabled:opacity-40 transition-all duration-500 magnetic-glow"
@@ -398,9 +796,16 @@ const Contact = () => {
                       {status === 'idle' && 'Transmit Message'}
                       {status === 'sending' && 'Transmitting...'}
                       {status === 'success' && '✓ Message Sent'}
+                      {status === 'queued' && '⟳ Queued — Will Retry'}
+                      {status === 'limited' && `Send Again in ${formatCountdown(secondsLeft)}`}
                       {status === 'error' && '✕ Retry'}
                     </span>
                   </motion.button>
+                  {status === 'limited' && (
+                    <p role="status" className="mt-3 text-center font-mono text-[11px] text-amber-300/85">
+                      Too many messages for now — your draft is saved, send it again in {formatCountdown(secondsLeft)}.
+                    </p>
+                  )}
                 </div>
               </form>
 
@@ -453,11 +858,38 @@ const Contact = () => {
                         transition={{ delay: 0.5, duration: 0.6 }}
                         className="mt-3 h-[1px] w-32 mx-auto origin-center bg-gradient-to-r from-transparent via-green-400/20 to-transparent"
                       />
+                      {receipt && (
+                        <div className="mt-5 space-y-3">
+                          <p className="font-mono text-[11px] text-white/50">
+                            Ticket <span className="text-white/85 tracking-wider select-all">{receipt.ticket}</span>
+                          </p>
+                          <a
+                            href={`#/status/${receipt.statusToken}`}
+                            target="_blank"
+                            rel="noopener"
+                            className="inline-block font-mono text-[11px] uppercase tracking-[0.2em] text-[#00ffa3]/80 hover:text-[#00ffa3] transition-colors"
+                          >
+                            Track status →
+                          </a>
+                          {receipt.confirmationSent && (
+                            <p className="font-mono text-[10px] text-white/30">The link is also in your confirmation email.</p>
+                          )}
+                          <button
+                            type="button"
+                            onClick={() => { setStatus('idle'); setReceipt(null) }}
+                            className="font-mono text-[10px] uppercase tracking-[0.2em] text-white/40 hover:text-white/70 transition-colors"
+                          >
+                            Close
+                          </button>
+                        </div>
+                      )}
                     </motion.div>
                   </motion.div>
                 )}
               </AnimatePresence>
             </div>
+
+            <QueuedMessages entries={queued} onRetry={retryNow} onDismiss={dismiss} onEdit={editQueued} />
           </div>
 
           {/* Info side */}
@@ -0,0 +1,88 @@
+import React, { useEffect, useState } from 'react'
+import { API_ENDPOINTS } from '../config/api'
+import api from '../api/client'
+import { personalInfo } from '../data/personal'
+
+/* ═══════════════════════════════════════════════════════════════
+ *  MESSAGE STATUS — read-only page behind the magic link
+ *  -------------------------------------------------------
+ *  - Opened at #/status/<signed token> from the contact form
+ *    success state or the auto-reply email
+ *  - Shows the ticket, whether the message was read or answered,
+ *    and the conversation so far
+ * ═══════════════════════════════════════════════════════════════ */
+
+const STATES = {
+  received: { label: 'Received', detail: 'Your message is waiting to be read.', color: '#00d4ff' },
+  read: { label: 'Read', detail: 'Your message has been read. A reply is on its way.', color: '#a855f7' },
+  answered: { label: 'Answered', detail: 'You have a reply — check your inbox too.', color: '#00ffa3' },
+}
+
+const formatDate = (iso) =>
+  new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+
+export default function MessageStatus({ token }) {
+  const [data, setData] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    document.title = 'Message status'
+    const controller = new AbortController()
+    api.get(`${API_ENDPOINTS.CONTACT_STATUS}/${encodeURIComponent(token)}`, { signal: controller.signal })
+      .then((body) => setData(body.status))
+      .catch((err) => {
+        if (err.kind !== 'aborted') setError(err.data?.message || 'Could not load the status of this message.')
+      })
+    return () => controller.abort()
+  }, [token])
+
+  const state = data && STATES[data.state]
+
+  return (
+    <div className="native-cursor min-h-screen bg-[#030014] px-6 py-16 text-[#e4e4e7]">
+      <div className="mx-auto max-w-2xl">
+        <p className="font-mono text-[10px] uppercase tracking-[0.3em] text-[#00d4ff]">Message status</p>
+
+        {error && (
+          <p role="alert" className="mt-6 text-sm text-[#ff2d55]">{error}</p>
+        )}
+        {!data && !error && (
+          <p className="mt-6 font-mono text-xs text-white/40">Loading…</p>
+        )}
+
+        {data && (
+          <>
+            <h1 className="mt-3 text-2xl font-semibold text-white">{data.subject}</h1>
+            <p className="mt-2 font-mono text-[11px] text-white/40">
+              Ticket <span className="text-white/75 tracking-wider">{data.ticket}</span> · sent {formatDate(data.submittedAt)}
+            </p>
+
+            <div className="mt-8 rounded-xl border border-white/[0.06] bg-white/[0.02] p-5" style={{ borderLeft: `3px solid ${state.color}` }}>
+              <p className="font-mono text-xs uppercase tracking-[0.25em]" style={{ color: state.color }}>{state.label}</p>
+              <p className="mt-1 text-sm text-white/70">{state.detail}</p>
+              {data.readAt && <p className="mt-2 font-mono text-[10px] text-white/35">Read {formatDate(data.readAt)}</p>}
+              {data.answeredAt && <p className="font-mono text-[10px] text-white/35">First reply {formatDate(data.answeredAt)}</p>}
+            </div>
+
+            <ol className="mt-8 space-y-4">
+              {data.thread.map((entry, i) => (
+                <li
+                  key={i}
+                  className={`rounded-xl border p-5 ${entry.author === 'owner' ? 'border-[#00ffa3]/15 bg-[#00ffa3]/[0.02]' : 'border-white/[0.06] bg-white/[0.02]'}`}
+                >
+                  <div className="mb-2 flex justify-between gap-3 font-mono text-[10px] text-white/40">
+                    <span>{entry.author === 'owner' ? personalInfo.name : 'You'}</span>
+                    <span>{formatDate(entry.at)}</span>
+                  </div>
+                  <p className="whitespace-pre-wrap break-words text-sm leading-relaxed text-white/80">{entry.text}</p>
+                </li>
+              ))}
+            </ol>
+          </>
+        )}
+
+        <a href="#" className="mt-10 inline-block font-mono text-[11px] text-white/40 hover:text-white/70">← Back to portfolio</a>
+      </div>
+    </div>
+  )
+}
@@ -4,8 +4,19 @@ const API_BASE_URL = import.meta.env.VITE_API_URL || ''
 
 export const API_ENDPOINTS = {
   CONTACT: `${API_BASE_URL}/api/contact`,
+  CONTACT_TOKEN: `${API_BASE_URL}/api/contact/token`,
+  CONTACT_STATUS: `${API_BASE_URL}/api/contact/status`,
+  CHALLENGE: `${API_BASE_URL}/api/challenge`,
   HEALTH: `${API_BASE_URL}/api/health`,
-  PORTFOLIO: `${API_BASE_URL}/api/portfolio`
+  PORTFOLIO: `${API_BASE_URL}/api/portfolio`,
+  ACTIVITY_SECTION: `${API_BASE_URL}/api/activity/section`,
+  ADMIN_LOGIN: `${API_BASE_URL}/api/admin/login`,
+  ADMIN_SESSION: `${API_BASE_URL}/api/admin/session`,
+  ADMIN_LOGOUT: `${API_BASE_URL}/api/admin/logout`,
+  ADMIN_MESSAGES: `${API_BASE_URL}/api/admin/messages`,
+  ADMIN_REPLY_TEMPLATES: `${API_BASE_URL}/api/admin/reply-templates`,
+  ADMIN_WEBHOOKS: `${API_BASE_URL}/api/admin/webhooks`,
+  ADMIN_RATE_LIMITS: `${API_BASE_URL}/api/admin/rate-limits`
 }
 
 export default API_BASE_URL
@@ -0,0 +1,66 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+
+// Debounce writes so typing doesn't hit localStorage on every key
+const SAVE_DELAY_MS = 400
+
+function readDraft(key) {
+  try {
+    const draft = JSON.parse(window.localStorage.getItem(key))
+    return draft && typeof draft === 'object' ? draft : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Keeps a form's values in localStorage as the visitor types, so a reload
+ * or a dropped connection doesn't lose them. On mount a saved draft is
+ * passed to `restore(draft)` once, which returns the values it applied.
+ * `isEmpty(values)` decides when there is nothing worth keeping;
+ * `clearDraft()` forgets the draft (e.g. once it has been sent).
+ * Returns `{ restored, clearDraft }`, `restored` being true while a
+ * restored draft is on screen and untouched.
+ */
+export default function useFormDraft(key, values, restore, isEmpty) {
+  const [restored, setRestored] = useState(false)
+  const mountedRef = useRef(false)
+  const restoredValuesRef = useRef(null)
+
+  useEffect(() => {
+    const draft = readDraft(key)
+    if (draft && !isEmpty(draft)) {
+      restoredValuesRef.current = restore(draft)
+      setRestored(true)
+    }
+  }, [key]) // restore only runs once per key
+
+  useEffect(() => {
+    // Nothing to save on mount, or when the values are the restored draft
+    if (!mountedRef.current) {
+      mountedRef.current = true
+      return
+    }
+    if (values === restoredValuesRef.current) return
+    setRestored(false)
+    const timer = setTimeout(() => {
+      try {
+        if (isEmpty(values)) window.localStorage.removeItem(key)
+        else window.localStorage.setItem(key, JSON.stringify(values))
+      } catch {
+        // Storage full or disabled: drafts are a convenience only
+      }
+    }, SAVE_DELAY_MS)
+    return () => clearTimeout(timer)
+  }, [key, values, isEmpty])
+
+  const clearDraft = useCallback(() => {
+    try {
+      window.localStorage.removeItem(key)
+    } catch {
+      // ignore
+    }
+    setRestored(false)
+  }, [key])
+
+  return { restored, clearDraft }
+}
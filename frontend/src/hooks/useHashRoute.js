@@ -0,0 +1,22 @@
+import { useState, useEffect } from 'react'
+
+/**
+ * Returns the current hash route ("#/admin/inbox" → "/admin/inbox").
+ * Plain section anchors like "#contact" are not routes and yield "".
+ */
+function readRoute() {
+  const hash = window.location.hash
+  return hash.startsWith('#/') ? hash.slice(1) : ''
+}
+
+export default function useHashRoute() {
+  const [route, setRoute] = useState(readRoute)
+
+  useEffect(() => {
+    const handleChange = () => setRoute(readRoute())
+    window.addEventListener('hashchange', handleChange)
+    return () => window.removeEventListener('hashchange', handleChange)
+  }, [])
+
+  return route
+}
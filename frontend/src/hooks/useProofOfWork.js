@@ -0,0 +1,72 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { API_ENDPOINTS } from '../config/api'
+import api from '../api/client'
+
+// Discard solutions this close to their challenge's expiry
+const EXPIRY_MARGIN_MS = 30 * 1000
+
+/**
+ * Fetches a proof-of-work challenge and solves it in a Web Worker once
+ * `enabled` turns true (e.g. when the visitor starts typing), so the work
+ * is usually done before they hit send.
+ * `takeSolution()` resolves with `{ challenge, nonce }` (or null if solving
+ * failed) and consumes it; the next call starts a fresh challenge.
+ */
+export default function useProofOfWork(enabled) {
+  const [solving, setSolving] = useState(false)
+  const pendingRef = useRef(null)
+  const workerRef = useRef(null)
+
+  const solve = useCallback(() => {
+    if (pendingRef.current) return pendingRef.current
+
+    const promise = (async () => {
+      setSolving(true)
+      try {
+        const { challenge, difficulty, expiresAt } = await api.get(API_ENDPOINTS.CHALLENGE)
+
+        const worker = new Worker(new URL('../workers/proofOfWork.worker.js', import.meta.url), { type: 'module' })
+        workerRef.current = worker
+        const nonce = await new Promise((resolve, reject) => {
+          worker.onmessage = (e) => resolve(e.data.nonce)
+          worker.onerror = reject
+          worker.postMessage({ challenge, difficulty })
+        })
+        worker.terminate()
+        workerRef.current = null
+
+        return { challenge, nonce, expiresAt: Date.parse(expiresAt) }
+      } catch {
+        return null
+      } finally {
+        setSolving(false)
+      }
+    })()
+
+    pendingRef.current = promise
+    // Let a failed attempt be retried on the next call
+    promise.then((solution) => {
+      if (!solution && pendingRef.current === promise) pendingRef.current = null
+    })
+    return promise
+  }, [])
+
+  useEffect(() => {
+    if (enabled) solve()
+  }, [enabled, solve])
+
+  // Stop any in-flight work on unmount
+  useEffect(() => () => workerRef.current?.terminate(), [])
+
+  const takeSolution = useCallback(async () => {
+    let solution = await solve()
+    pendingRef.current = null
+    if (solution && solution.expiresAt - EXPIRY_MARGIN_MS < Date.now()) {
+      solution = await solve()
+      pendingRef.current = null
+    }
+    return solution && { challenge: solution.challenge, nonce: solution.nonce }
+  }, [solve])
+
+  return { solving, takeSolution }
+}
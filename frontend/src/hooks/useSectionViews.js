@@ -0,0 +1,44 @@
+import { useEffect } from 'react'
+import { API_ENDPOINTS } from '../config/api'
+import api from '../api/client'
+
+/**
+ * Reports each `section[id]` to the backend the first time it is at least
+ * a third visible, once per page load. Sections are lazy-mounted, so new
+ * ones are picked up as they appear. The counts feed the admin digest.
+ */
+export default function useSectionViews(enabled = true) {
+  useEffect(() => {
+    if (!enabled || typeof IntersectionObserver === 'undefined') return
+
+    const seen = new Set()
+    const report = (section) => {
+      api.post(API_ENDPOINTS.ACTIVITY_SECTION, { section }, { keepalive: true }).catch(() => {})
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        const id = entry.target.id
+        if (!entry.isIntersecting || seen.has(id)) return
+        seen.add(id)
+        observer.unobserve(entry.target)
+        report(id)
+      })
+    }, { threshold: 0.33 })
+
+    const observeSections = () => {
+      document.querySelectorAll('section[id]').forEach((section) => {
+        if (!seen.has(section.id)) observer.observe(section)
+      })
+    }
+    observeSections()
+
+    const mutations = new MutationObserver(observeSections)
+    mutations.observe(document.body, { childList: true, subtree: true })
+
+    return () => {
+      mutations.disconnect()
+      observer.disconnect()
+    }
+  }, [enabled])
+}
@@ -0,0 +1,174 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+
+const DB_NAME = 'portfolio-contact'
+const STORE = 'queue'
+
+// Wait before each retry: 5s, 15s, 30s, 1m, then every 5 minutes
+const RETRY_DELAYS_MS = [5000, 15000, 30000, 60000, 5 * 60 * 1000]
+
+/* ───── Minimal IndexedDB access (one object store keyed by id) ───── */
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB unavailable'))
+      const request = indexedDB.open(DB_NAME, 1)
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' })
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    dbPromise.catch(() => { dbPromise = null })
+  }
+  return dbPromise
+}
+
+async function run(mode, operation) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode)
+    const request = operation(transaction.objectStore(STORE))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+  })
+}
+
+// Storage failures (private mode, quota) leave the entry queued in memory
+const persist = (entry) => run('readwrite', (store) => store.put(entry)).catch(() => {})
+const forget = (id) => run('readwrite', (store) => store.delete(id)).catch(() => {})
+
+/**
+ * Contact submissions that couldn't be delivered, kept in IndexedDB (files
+ * included) and retried with backoff until they go through: on a timer,
+ * when the browser comes back online and when the tab becomes visible
+ * again. Queued entries survive reloads and are picked up on the next visit.
+ *
+ * `send(entry)` delivers one entry and resolves with the server's reply. It
+ * throws to fail the attempt; errors with `retryable: false` (the server
+ * rejected the message) end the entry as failed instead of retrying it,
+ * and `retryAfterMs` delays the next attempt by at least that much.
+ *
+ * Entries are `{ id, payload, files, state, attempts, nextAttemptAt, error,
+ * receipt }`, state being queued | retrying | sent | failed. Sent and
+ * failed entries stay listed until `dismiss(id)`.
+ */
+export default function useSubmissionQueue(send) {
+  const [entries, setEntries] = useState([])
+  const entriesRef = useRef([])
+  const sendRef = useRef(send)
+  const runningRef = useRef(false)
+  const timerRef = useRef(null)
+  const processRef = useRef(null)
+
+  sendRef.current = send
+
+  const update = useCallback((id, changes) => {
+    entriesRef.current = entriesRef.current.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry))
+    setEntries(entriesRef.current)
+    return entriesRef.current.find((entry) => entry.id === id)
+  }, [])
+
+  const schedule = useCallback(() => {
+    clearTimeout(timerRef.current)
+    const waiting = entriesRef.current.filter((entry) => entry.state === 'queued')
+    if (!waiting.length) return
+    const next = Math.min(...waiting.map((entry) => entry.nextAttemptAt))
+    timerRef.current = setTimeout(() => processRef.current(), Math.max(0, next - Date.now()))
+  }, [])
+
+  // Try every due entry once, oldest first. `force` ignores the backoff
+  // (the connection just came back).
+  const process = useCallback(async (force = false) => {
+    if (runningRef.current) return
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return
+    runningRef.current = true
+    try {
+      const due = entriesRef.current.filter((entry) => entry.state === 'queued' && (force || entry.nextAttemptAt <= Date.now()))
+      for (const { id, attempts } of due) {
+        const entry = update(id, { state: 'retrying', attempts: attempts + 1 })
+        try {
+          const receipt = await sendRef.current(entry)
+          update(id, { state: 'sent', receipt, error: null, files: [] })
+          forget(id)
+        } catch (err) {
+          if (err.retryable === false) {
+            update(id, { state: 'failed', error: err.message })
+            forget(id)
+          } else {
+            // A rate limit pushes the retry back at least as far as the server asked
+            const backoff = RETRY_DELAYS_MS[Math.min(entry.attempts - 1, RETRY_DELAYS_MS.length - 1)]
+            const delay = Math.max(backoff, err.retryAfterMs || 0)
+            persist(update(id, { state: 'queued', error: err.message, nextAttemptAt: Date.now() + delay }))
+          }
+        }
+      }
+    } finally {
+      runningRef.current = false
+      schedule()
+    }
+  }, [update, schedule])
+
+  processRef.current = process
+
+  // Pick up whatever an earlier visit left in the queue
+  useEffect(() => {
+    let cancelled = false
+    run('readonly', (store) => store.getAll())
+      .then((stored = []) => {
+        if (cancelled || !stored.length) return
+        const known = new Set(entriesRef.current.map((entry) => entry.id))
+        const restored = stored
+          .filter((entry) => !known.has(entry.id))
+          .map((entry) => ({ ...entry, state: 'queued', nextAttemptAt: Date.now() }))
+        entriesRef.current = [...restored, ...entriesRef.current].sort((a, b) => a.createdAt - b.createdAt)
+        setEntries(entriesRef.current)
+        processRef.current()
+      })
+      .catch(() => {})
+    return () => { cancelled = true }
+  }, [])
+
+  useEffect(() => {
+    const retryNow = () => processRef.current(true)
+    const onVisible = () => { if (document.visibilityState === 'visible') retryNow() }
+    window.addEventListener('online', retryNow)
+    document.addEventListener('visibilitychange', onVisible)
+    return () => {
+      window.removeEventListener('online', retryNow)
+      document.removeEventListener('visibilitychange', onVisible)
+      clearTimeout(timerRef.current)
+    }
+  }, [])
+
+  // Queue a submission whose first attempt failed; the first retry is
+  // after the shortest backoff
+  const enqueue = useCallback((payload, files = []) => {
+    const entry = {
+      id: payload.clientId,
+      payload,
+      files,
+      state: 'queued',
+      attempts: 1,
+      error: null,
+      receipt: null,
+      createdAt: Date.now(),
+      nextAttemptAt: Date.now() + RETRY_DELAYS_MS[0],
+    }
+    entriesRef.current = [...entriesRef.current, entry]
+    setEntries(entriesRef.current)
+    persist(entry)
+    schedule()
+    return entry
+  }, [schedule])
+
+  const dismiss = useCallback((id) => {
+    entriesRef.current = entriesRef.current.filter((entry) => entry.id !== id)
+    setEntries(entriesRef.current)
+    forget(id)
+    schedule()
+  }, [schedule])
+
+  const retryNow = useCallback(() => process(true), [process])
+
+  return { entries, enqueue, dismiss, retryNow }
+}
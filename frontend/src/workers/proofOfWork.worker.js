@@ -0,0 +1,31 @@
+/**
+ * Proof-of-work solver for the contact form.
+ * Finds a nonce such that SHA-256("<challenge>:<nonce>") starts with
+ * `difficulty` zero bits, then posts it back to the page.
+ */
+
+const encoder = new TextEncoder()
+
+function leadingZeroBits(bytes) {
+  let bits = 0
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8
+      continue
+    }
+    bits += Math.clz32(byte) - 24
+    break
+  }
+  return bits
+}
+
+self.onmessage = async ({ data }) => {
+  const { challenge, difficulty } = data
+  for (let nonce = 0; ; nonce++) {
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`))
+    if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+      self.postMessage({ nonce })
+      return
+    }
+  }
+}
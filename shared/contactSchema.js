@@ -0,0 +1,147 @@
+/**
+ * Contact form schema shared by the frontend (Contact.jsx) and the backend
+ * (/api/contact), so both sides enforce the same rules, limits and messages.
+ * Plain ES module with no dependencies — it runs unchanged in the browser
+ * and in Node.
+ */
+
+const EMAIL_PATTERN = /^[^\s@<>()",;:]+@[^\s@<>()",;:]+\.[^\s@<>()",;:]{2,}$/
+const LINE_BREAK = /[\r\n\u0085\u2028\u2029]/
+const LINK_PATTERN = /^https?:\/\/[^\s<>"]+\.[^\s<>"]+$/i
+
+export const contactSchema = {
+  name: { label: 'Name', minLength: 2, maxLength: 50 },
+  email: { label: 'Email', format: 'email', maxLength: 254 },
+  subject: { label: 'Subject', minLength: 5, maxLength: 100, singleLine: true },
+  message: { label: 'Message', minLength: 10, maxLength: 1000 },
+}
+
+/**
+ * Files that may be attached to a message (sent as multipart/form-data in
+ * the `attachments` field). The backend also sniffs each file's leading
+ * bytes, so a renamed file of another type is refused.
+ */
+export const attachmentRules = {
+  label: 'Attachments',
+  maxFiles: 3,
+  maxFileSize: 5 * 1024 * 1024,
+  maxTotalSize: 10 * 1024 * 1024,
+  types: [
+    { id: 'pdf', label: 'PDF', extensions: ['.pdf'], mimeType: 'application/pdf' },
+    {
+      id: 'docx',
+      label: 'DOCX',
+      extensions: ['.docx'],
+      mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    },
+    { id: 'png', label: 'PNG', extensions: ['.png'], mimeType: 'image/png' },
+    { id: 'jpg', label: 'JPG', extensions: ['.jpg', '.jpeg'], mimeType: 'image/jpeg' },
+  ],
+}
+
+/**
+ * Human-readable file size ("340 KB", "2.5 MB").
+ */
+export function formatFileSize(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`
+  const megabytes = bytes / (1024 * 1024)
+  return `${Number.isInteger(megabytes) ? megabytes : megabytes.toFixed(1)} MB`
+}
+
+/**
+ * The allowed type a file name's extension claims, or null.
+ */
+export function attachmentType(fileName) {
+  const extension = /\.[^.]+$/.exec(String(fileName).toLowerCase())?.[0]
+  return attachmentRules.types.find((type) => type.extensions.includes(extension)) || null
+}
+
+/**
+ * Check a list of `{ name, size }` files against attachmentRules.
+ * Returns an error message, or '' when the files pass.
+ */
+export function validateAttachments(files = []) {
+  const { maxFiles, maxFileSize, maxTotalSize, types } = attachmentRules
+  if (files.length > maxFiles) return `You can attach up to ${maxFiles} files`
+  for (const file of files) {
+    if (!attachmentType(file.name)) {
+      return `"${file.name}" is not an allowed file type (${types.map((type) => type.label).join(', ')})`
+    }
+    if (!file.size) return `"${file.name}" is empty`
+    if (file.size > maxFileSize) return `"${file.name}" is larger than ${formatFileSize(maxFileSize)}`
+  }
+  if (files.reduce((total, file) => total + file.size, 0) > maxTotalSize) {
+    return `Attachments must be ${formatFileSize(maxTotalSize)} or less in total`
+  }
+  return ''
+}
+
+/**
+ * Error message for a failed rule on a field.
+ */
+export function fieldMessage(rules, rule) {
+  switch (rule) {
+    case 'required':
+      return `${rules.label} is required`
+    case 'length':
+      return `${rules.label} must be between ${rules.minLength} and ${rules.maxLength} characters`
+    case 'maxLength':
+      return `${rules.label} must be at most ${rules.maxLength} characters`
+    case 'email':
+      return 'Please provide a valid email address'
+    case 'singleLine':
+      return `${rules.label} must be a single line`
+    case 'option':
+      return `Please choose ${/^[aeiou]/i.test(rules.label) ? 'an' : 'a'} ${rules.label.toLowerCase()}`
+    case 'links':
+      return `${rules.label} must be up to ${rules.maxLinks} http(s) links, one per line`
+    default:
+      return `${rules.label} is invalid`
+  }
+}
+
+/**
+ * Validate one field. Returns an error message, or '' when the value passes.
+ */
+export function validateField(schema, field, rawValue) {
+  const rules = schema[field]
+  if (!rules) return ''
+  const value = typeof rawValue === 'string' ? rawValue.trim() : ''
+
+  if (!value && rules.optional) return ''
+  if (!value) return fieldMessage(rules, rules.options ? 'option' : 'required')
+  if (rules.singleLine && LINE_BREAK.test(value)) return fieldMessage(rules, 'singleLine')
+  if (rules.options && !rules.options.includes(value)) return fieldMessage(rules, 'option')
+  if (rules.format === 'email' && !EMAIL_PATTERN.test(value)) return fieldMessage(rules, 'email')
+  if (rules.format === 'links') {
+    const links = value.split(/\s+/)
+    if (links.length > rules.maxLinks || !links.every(link => LINK_PATTERN.test(link))) return fieldMessage(rules, 'links')
+  }
+  if (rules.minLength !== undefined && value.length < rules.minLength) return fieldMessage(rules, 'length')
+  if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+    return fieldMessage(rules, rules.minLength !== undefined ? 'length' : 'maxLength')
+  }
+  return ''
+}
+
+/**
+ * Validate every field in `schema`.
+ * Returns `{ valid, errors, values }` where `errors` maps field -> message
+ * and `values` holds the trimmed strings for the schema's fields only.
+ * Email addresses are also lower-cased, so a stored address matches what the
+ * blocklist and rate limiter key on.
+ */
+export function validate(schema, input = {}) {
+  const errors = {}
+  const values = {}
+
+  for (const field of Object.keys(schema)) {
+    const raw = input[field]
+    const value = typeof raw === 'string' ? raw.trim() : ''
+    values[field] = schema[field].format === 'email' ? value.toLowerCase() : value
+    const error = validateField(schema, field, raw)
+    if (error) errors[field] = error
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors, values }
+}
@@ -0,0 +1,82 @@
+/**
+ * Inquiry types offered by the contact form, and the extra fields each one
+ * asks for. Field rules use the contactSchema format, so Contact.jsx and
+ * /api/contact validate a submission against the same combined schema.
+ * Extra fields may set `options` (rendered as choices) and a `hint` shown under the input.
+ */
+
+import { contactSchema } from './contactSchema.js'
+
+export const DEFAULT_INQUIRY_TYPE = 'general'
+
+export const BUDGET_RANGES = ['Under $500', '$500 - $2,000', '$2,000 - $5,000', '$5,000+', 'Not sure yet']
+
+export const TIMELINES = ['As soon as possible', 'Within a month', '1-3 months', '3+ months', 'Flexible']
+
+export const inquiryTypes = [
+  {
+    id: 'job',
+    label: 'Job Opportunity',
+    description: 'Full-time roles and internships',
+    fields: {
+      company: { label: 'Company', minLength: 2, maxLength: 100, singleLine: true },
+      role: { label: 'Role', minLength: 2, maxLength: 100, singleLine: true, hint: 'e.g. Frontend Developer' },
+      links: { label: 'Job posting link', format: 'links', maxLinks: 3, maxLength: 600, optional: true, hint: 'Posting or careers page' },
+    },
+  },
+  {
+    id: 'freelance',
+    label: 'Freelance Project',
+    description: 'A product or feature you want built',
+    fields: {
+      budget: { label: 'Budget range', options: BUDGET_RANGES },
+      timeline: { label: 'Timeline', options: TIMELINES },
+      links: { label: 'Reference links', format: 'links', maxLinks: 5, maxLength: 1000, optional: true, hint: 'Designs, existing site, docs' },
+    },
+  },
+  {
+    id: 'collaboration',
+    label: 'Collaboration',
+    description: 'Open source, hackathons and side projects',
+    fields: {
+      links: { label: 'Project links', format: 'links', maxLinks: 5, maxLength: 1000, optional: true, hint: 'Repository, demo, write-up' },
+      timeline: { label: 'Timeline', options: TIMELINES, optional: true },
+    },
+  },
+  {
+    id: 'general',
+    label: 'General',
+    description: 'Questions, feedback or just saying hi',
+    fields: {},
+  },
+]
+
+export function getInquiryType(id) {
+  return inquiryTypes.find((type) => type.id === id) || null
+}
+
+/**
+ * Full schema for a submission of the given type: the base contact fields,
+ * the inquiry type itself and that type's extra fields. Unknown or missing
+ * types get the general schema (and fail on `inquiryType` if unknown).
+ */
+export function inquirySchema(typeId) {
+  const type = getInquiryType(typeId) || getInquiryType(DEFAULT_INQUIRY_TYPE)
+  return {
+    inquiryType: { label: 'Inquiry type', options: inquiryTypes.map(({ id }) => id), optional: true },
+    ...contactSchema,
+    ...type.fields,
+  }
+}
+
+/**
+ * The filled-in extra fields of a submission as `[{ field, label, value }]`,
+ * in the order the type defines them, for emails and the admin inbox.
+ */
+export function inquiryDetails(typeId, details = {}) {
+  const type = getInquiryType(typeId)
+  if (!type) return []
+  return Object.entries(type.fields)
+    .filter(([field]) => details[field])
+    .map(([field, rules]) => ({ field, label: rules.label, value: details[field] }))
+}